@@ -1,17 +1,50 @@
 import { Client, Databases, Users, Teams, Query, ID } from 'node-appwrite';
 import forge from 'node-forge';
+import { DEFAULT_WEEKLY_OFF, isWeeklyOff, validateWeeklyOffRule } from './utils/time.js';
+import { parseICS, parseHolidayCSV, parseHolidayScope, buildHolidayICS } from './utils/calendar.js';
+import {
+  PROFESSIONAL_TAX_SLABS,
+  findProfessionalTaxState,
+  calculatePF,
+  calculateESI,
+  calculateProfessionalTax,
+  buildPFECR,
+  buildESIContributionFile
+} from './utils/statutory.js';
+import { buildPayslipPDF } from './utils/payslip.js';
+import { BANK_FILE_FORMATS, buildBankTransferFile } from './utils/bankfile.js';
+import { isValidIFSC, isValidBankAccountNumber } from './utils/validation.js';
 
 // ============================================
 // CONSTANTS & CONFIGURATION
 // ============================================
 
-// Check-in blocked after 7:05 AM IST
-const CHECKIN_CUTOFF_HOUR = 7;
-const CHECKIN_CUTOFF_MINUTE = 5;
+// Built-in shift policy, used when no policy is configured in `shift_policies`.
+// On time until 7:00 AM IST (7:05 with grace), later check-ins are accepted and marked
+// late until the shift ends at 3:25 PM; check-out blocked 2:00 PM - 3:25 PM.
+// Windows may wrap past midnight (e.g. check-in 22:00-00:30 for a night shift).
+const DEFAULT_SHIFT_POLICY = {
+  $id: null,
+  name: 'Default',
+  checkInOpen: '00:00',
+  checkInClose: '07:00',
+  graceMinutes: 5,
+  maxLateMinutes: null, // Minutes after checkInClose a late check-in is still accepted (null = until shiftEnd)
+  shiftEnd: '15:25', // Check-outs before this are recorded as early departures
+  checkoutBlockedWindows: [{ start: '14:00', end: '15:25' }],
+  halfDayHours: 4,
+  presentHours: 6,
+  maxShiftHours: 16 // How long after check-in a check-out may still close the record
+};
+
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
 
-const CHECKOUT_BLOCK_START_HOUR = 14; // 2:00 PM
-const CHECKOUT_BLOCK_END_HOUR = 15; // 3:25 PM
-const CHECKOUT_BLOCK_END_MINUTE = 25;
+// Roster types for `shift_assignments`
+const SHIFT_TYPES = {
+  FIXED: 'fixed',
+  ROTATING: 'rotating'
+};
 
 const ATTENDANCE_STATUS = {
   PRESENT: 'present',
@@ -19,7 +52,8 @@ const ATTENDANCE_STATUS = {
   ABSENT: 'absent',
   SUNDAY: 'sunday',
   HOLIDAY: 'holiday',
-  LEAVE: 'leave'
+  LEAVE: 'leave',
+  UNPAID_LEAVE: 'unpaid_leave' // Loss of pay: counted, but not a paid day
 };
 
 const AUDIT_ACTIONS = {
@@ -29,11 +63,242 @@ const AUDIT_ACTIONS = {
   DEVICE_REGISTERED: 'device-registered',
   DEVICE_RESET: 'device-reset',
   HOLIDAY_CREATED: 'holiday-created',
+  HOLIDAY_UPDATED: 'holiday-updated',
   HOLIDAY_DELETED: 'holiday-deleted',
+  HOLIDAY_SELECTED: 'holiday-selected',
+  HOLIDAY_UNSELECTED: 'holiday-unselected',
+  HOLIDAYS_IMPORTED: 'holidays-imported',
   PAYROLL_GENERATED: 'payroll-generated',
   PAYROLL_UNLOCKED: 'payroll-unlocked',
   EMPLOYEE_CREATED: 'employee-created',
-  EMPLOYEE_DEACTIVATED: 'employee-deactivated'
+  EMPLOYEE_DEACTIVATED: 'employee-deactivated',
+  SHIFT_POLICY_CREATED: 'shift-policy-created',
+  SHIFT_POLICY_UPDATED: 'shift-policy-updated',
+  SHIFT_ASSIGNED: 'shift-assigned',
+  SETTINGS_UPDATED: 'settings-updated',
+  OVERTIME_APPROVED: 'overtime-approved',
+  OVERTIME_REJECTED: 'overtime-rejected',
+  BREAK_STARTED: 'break-started',
+  BREAK_ENDED: 'break-ended',
+  MISSED_CHECKOUT_CLOSED: 'missed-checkout-closed',
+  REGULARIZATION_REQUESTED: 'regularization-requested',
+  REGULARIZATION_APPROVED: 'regularization-approved',
+  REGULARIZATION_REJECTED: 'regularization-rejected',
+  LEAVE_REQUESTED: 'leave-requested',
+  LEAVE_CANCELLED: 'leave-cancelled',
+  LEAVE_TYPE_CREATED: 'leave-type-created',
+  LEAVE_TYPE_UPDATED: 'leave-type-updated',
+  COMP_OFF_EARNED: 'comp-off-earned',
+  COMP_OFF_APPROVED: 'comp-off-approved',
+  COMP_OFF_REJECTED: 'comp-off-rejected',
+  COMP_OFF_ADJUSTED: 'comp-off-adjusted',
+  SALARY_STRUCTURE_CREATED: 'salary-structure-created',
+  SALARY_STRUCTURE_UPDATED: 'salary-structure-updated',
+  BANK_TRANSFER_EXPORTED: 'bank-transfer-exported',
+  SALARY_REVISED: 'salary-revised'
+};
+
+// Punch events stored on the attendance record's `punches` timeline
+const PUNCH_TYPES = {
+  CHECK_IN: 'check-in',
+  BREAK_START: 'break-start',
+  BREAK_END: 'break-end',
+  CHECK_OUT: 'check-out'
+};
+
+// Official breaks (client visits, bank runs) count as work; the rest are unpaid
+const BREAK_TYPES = {
+  LUNCH: 'lunch',
+  PERSONAL: 'personal',
+  OFFICIAL: 'official'
+};
+
+const PAID_BREAK_TYPES = [BREAK_TYPES.OFFICIAL];
+
+// Payroll counter for each attendance status
+const PAYROLL_DAY_FIELDS = {
+  [ATTENDANCE_STATUS.PRESENT]: 'presentDays',
+  [ATTENDANCE_STATUS.HALF_DAY]: 'halfDays',
+  [ATTENDANCE_STATUS.ABSENT]: 'absentDays',
+  [ATTENDANCE_STATUS.SUNDAY]: 'sundayDays',
+  [ATTENDANCE_STATUS.HOLIDAY]: 'holidayDays',
+  [ATTENDANCE_STATUS.LEAVE]: 'leaveDays',
+  [ATTENDANCE_STATUS.UNPAID_LEAVE]: 'unpaidLeaveDays'
+};
+
+// Statuses that leave room for a paid half-day leave to complete the day
+const HALF_DAY_LEAVE_STATUSES = [ATTENDANCE_STATUS.ABSENT, ATTENDANCE_STATUS.HALF_DAY];
+
+// What `close-open-attendance` does with a record nobody checked out of
+const MISSED_CHECKOUT_MODES = {
+  MISSED_PUNCH: 'missed-punch', // Flag it and leave the status for an admin to fix
+  DEFAULT_CHECKOUT: 'default-checkout', // Check out at the configured time (or shift end)
+  REGULARIZATION: 'regularization' // Flag it and open a regularization request
+};
+
+// Days a monthly salary is divided by for the daily rate
+const PAYABLE_DAYS_BASIS = {
+  CALENDAR: 'calendar', // Days in the month
+  WORKING_DAYS: 'working-days', // Days in the month less the employee's weekly offs
+  FIXED_26: 'fixed-26',
+  FIXED_30: 'fixed-30'
+};
+
+// How a leave type's yearly quota is credited
+const LEAVE_ACCRUAL = {
+  MONTHLY: 'monthly', // quota / 12 credited at the start of every month
+  YEARLY: 'yearly' // full quota credited on 1 January
+};
+
+const LEAVE_TYPE_CODE_REGEX = /^[a-z][a-z0-9_-]{0,31}$/;
+
+// Built-in catalogue, used when no types are configured in `leave_types`.
+// yearlyQuota null = no limit (no balance is kept).
+const DEFAULT_LEAVE_TYPES = [
+  { code: 'casual', name: 'Casual Leave', yearlyQuota: 12, accrual: LEAVE_ACCRUAL.MONTHLY, carryForwardCap: 0, isPaid: true },
+  { code: 'sick', name: 'Sick Leave', yearlyQuota: 12, accrual: LEAVE_ACCRUAL.YEARLY, carryForwardCap: 0, isPaid: true },
+  { code: 'earned', name: 'Earned Leave', yearlyQuota: 15, accrual: LEAVE_ACCRUAL.MONTHLY, carryForwardCap: 30, isPaid: true },
+  { code: 'unpaid', name: 'Unpaid Leave', yearlyQuota: null, accrual: LEAVE_ACCRUAL.YEARLY, carryForwardCap: 0, isPaid: false },
+  // Redeems comp-off credits (earned by working Sundays/holidays) instead of a quota
+  { code: 'comp_off', name: 'Compensatory Off', yearlyQuota: null, accrual: LEAVE_ACCRUAL.YEARLY, carryForwardCap: 0, isPaid: true, isCompOff: true }
+];
+
+const COMP_OFF_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Longest leave range accepted in one request (calendar days)
+const MAX_LEAVE_SPAN_DAYS = 62;
+
+const LEAVE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'
+};
+
+const REGULARIZATION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Back-pay (or recovery) from a salary revision dated into a locked payroll month,
+// settled by the next payroll generated. Void once that month's payroll is deleted for
+// regeneration, which pays the revised salary itself.
+const ARREAR_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  VOID: 'void'
+};
+
+// How a salary component's full-month amount is worked out
+const SALARY_COMPONENT_TYPES = {
+  FIXED: 'fixed', // `value` per month
+  PERCENT: 'percent', // `value`% of `base`
+  REMAINDER: 'remainder' // Monthly salary minus every other earning (one per structure)
+};
+
+// What a percentage component is calculated on
+const SALARY_EARNING_BASES = ['ctc', 'basic']; // Monthly salary or the basic component
+const SALARY_DEDUCTION_BASES = ['basic', 'gross']; // Earned basic or earned gross
+
+const SALARY_COMPONENT_CODE_REGEX = /^[a-z][a-z0-9_-]{0,31}$/;
+
+// Built-in structure, used when none is configured: the whole salary is basic, nothing deducted
+const DEFAULT_SALARY_STRUCTURE = {
+  earnings: [{ code: 'basic', name: 'Basic', type: SALARY_COMPONENT_TYPES.REMAINDER }],
+  deductions: []
+};
+
+// Organisation-wide rules stored in the `settings` collection (document ID = key,
+// `value` = JSON). Stored values are merged over these defaults.
+const SETTINGS_DEFAULTS = {
+  overtime: {
+    enabled: false,
+    dailyThresholdHours: 9,
+    weeklyThresholdHours: 48,
+    standardDayHours: 8, // Hourly rate = daily rate / standard day hours
+    regularMultiplier: 1.5,
+    sundayMultiplier: 2, // All hours worked on a weekly off...
+    holidayMultiplier: 2, // ...or a holiday are overtime at these rates, unless the day earned a comp-off
+    requireApproval: false
+  },
+  penalties: {
+    enabled: false,
+    lateMarksPerDeduction: 3, // Every N late check-ins deduct `deductionDays` (0 = ignore)
+    earlyLeavesPerDeduction: 3, // Every N early departures deduct `deductionDays` (0 = ignore)
+    deductionDays: 0.5
+  },
+  leave: {
+    excludeSundays: true, // Weekly offs (Sundays by default) inside a leave range are not charged
+    excludeHolidays: true, // Neither are holidays
+    // ...unless they fall between two leave days, which then count as leave. Between two
+    // requests, approving the second charges the off days to its type.
+    sandwichRule: false
+  },
+  compOff: {
+    enabled: false, // Working a weekly off or holiday earns 1 day (0.5 for a half day) instead of overtime
+    requireApproval: false, // Credits stay pending until an admin approves them
+    expiryDays: 90 // Days after the worked date a credit can still be redeemed
+  },
+  missedCheckout: {
+    mode: MISSED_CHECKOUT_MODES.MISSED_PUNCH,
+    defaultCheckoutTime: '', // HH:MM for 'default-checkout'; empty = the shift's end
+    lookbackDays: 7 // How far back the scheduled run looks for open records
+  },
+  holidays: {
+    optionalPerYear: 2 // Optional (restricted) holidays an employee may pick per calendar year
+  },
+  weeklyOff: {
+    // Organisation-wide rule, e.g. [{ day: 0 }, { day: 6, weeks: [2, 4] }] for Sundays
+    // plus 2nd/4th Saturdays. Offices and employees may override it with `weeklyOff`.
+    pattern: DEFAULT_WEEKLY_OFF
+  },
+  statutory: {
+    enabled: false, // Deduct PF, ESI and professional tax in payroll
+    pfWageCeiling: 15000, // PF is worked out on basic up to this
+    pfRestrictToCeiling: true,
+    pfEmployeeRate: 12,
+    pfEmployerRate: 12,
+    pfEmployerEpsRate: 8.33, // Part of the employer's share that goes to the pension scheme
+    esiThreshold: 21000, // Employees with a monthly gross above this are not covered
+    esiEmployeeRate: 0.75,
+    esiEmployerRate: 3.25,
+    // State (code or name) whose slabs apply when the employee's region has none; empty = no tax
+    professionalTaxState: ''
+  },
+  payroll: {
+    // Organisation-wide; employees may override it with `payableDaysBasis`
+    payableDaysBasis: PAYABLE_DAYS_BASIS.CALENDAR
+  },
+  company: {
+    name: '', // Payslip header
+    address: '',
+    bankAccountNumber: '' // Account salaries are paid from, for bank files that name it
+  }
+};
+
+// Extra constraints on settings fields beyond the default's type: a list of allowed
+// values, a pattern (empty string always allowed) or a validator returning an error
+const SETTINGS_CONSTRAINTS = {
+  missedCheckout: {
+    mode: Object.values(MISSED_CHECKOUT_MODES),
+    defaultCheckoutTime: TIME_OF_DAY_REGEX
+  },
+  weeklyOff: {
+    pattern: validateWeeklyOffRule
+  },
+  payroll: {
+    payableDaysBasis: Object.values(PAYABLE_DAYS_BASIS)
+  },
+  statutory: {
+    professionalTaxState: (value) => (!value || findProfessionalTaxState(value)
+      ? null
+      : `No professional tax slabs for ${value}; use one of: ${Object.keys(PROFESSIONAL_TAX_SLABS).join(', ')}`)
+  }
 };
 
 // ============================================
@@ -73,1075 +338,4146 @@ const formatMonth = (date) => {
 };
 
 /**
- * Check if check-in is allowed (before 9:05 AM IST only)
+ * Parse "HH:MM" to minutes since midnight
  */
-const isCheckInAllowed = () => {
-  const now = getNowIST();
-  const hour = now.getHours();
-  const minute = now.getMinutes();
+const parseTimeOfDay = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
 
-  // Before 7:05 AM - allowed
-  if (hour < CHECKIN_CUTOFF_HOUR) return true;
-  if (hour === CHECKIN_CUTOFF_HOUR && minute <= CHECKIN_CUTOFF_MINUTE) return true;
+/**
+ * Format minutes since midnight as "7:05 AM"
+ */
+const formatTimeOfDay = (totalMinutes) => {
+  const normalized = ((totalMinutes % 1440) + 1440) % 1440;
+  const hours = Math.floor(normalized / 60);
+  const minutes = String(normalized % 60).padStart(2, '0');
+  const period = hours < 12 ? 'AM' : 'PM';
+  const displayHour = hours % 12 === 0 ? 12 : hours % 12;
+  return `${displayHour}:${minutes} ${period}`;
+};
 
-  // After 7:05 AM - blocked
-  return false;
+/**
+ * Format a window as "2:00-3:25 PM" (or "11:30 AM-1:00 PM" across meridiems)
+ */
+const formatTimeRange = (startMinutes, endMinutes) => {
+  const start = formatTimeOfDay(startMinutes);
+  const end = formatTimeOfDay(endMinutes);
+  const [startClock, startPeriod] = start.split(' ');
+  return startPeriod === end.split(' ')[1] ? `${startClock}-${end}` : `${start}-${end}`;
 };
 
 /**
- * Check if check-out is allowed (NOT between 2:00 PM - 3:25 PM IST)
+ * Current IST time as minutes since midnight
  */
-const isCheckOutAllowed = () => {
+const getMinutesOfDayIST = () => {
   const now = getNowIST();
-  const hour = now.getHours();
-  const minute = now.getMinutes();
-
-  // Before 2:00 PM - allowed
-  if (hour < CHECKOUT_BLOCK_START_HOUR) return true;
-
-  // After 3:25 PM - allowed
-  if (hour > CHECKOUT_BLOCK_END_HOUR) return true;
-  if (hour === CHECKOUT_BLOCK_END_HOUR && minute > CHECKOUT_BLOCK_END_MINUTE) return true;
-
-  // Between 2:00 PM and 3:25 PM - blocked
-  return false;
+  return now.getHours() * 60 + now.getMinutes();
 };
 
 /**
- * [UPDATED] Calculate attendance status based on HOURS WORKED
- * Rules:
- * - Less than 4 hours = Absent
- * - 4 to 6 hours = Half Day
- * - More than 6 hours = Present
+ * Parse a JSON attribute, falling back when empty or malformed
  */
-const calculateAttendanceStatus = (workHours) => {
-  if (workHours === undefined || workHours === null) return ATTENDANCE_STATUS.ABSENT;
-
-  if (workHours < 4) {
-    return ATTENDANCE_STATUS.ABSENT;
-  } else if (workHours < 6) {
-    return ATTENDANCE_STATUS.HALF_DAY;
-  } else {
-    return ATTENDANCE_STATUS.PRESENT;
+const parseJSONField = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return fallback;
   }
 };
 
 /**
- * Calculate work hours between check-in and check-out
+ * Parse a stored weekly-off rule (JSON string or list); null when unset or invalid
  */
-const calculateWorkHours = (checkInTime, checkOutTime) => {
-  if (!checkInTime || !checkOutTime) return 0;
-
-  const checkIn = new Date(checkInTime);
-  const checkOut = new Date(checkOutTime);
-
-  const diffMs = checkOut - checkIn;
-  const diffHours = diffMs / (1000 * 60 * 60);
-
-  return Math.max(0, parseFloat(diffHours.toFixed(2)));
+const parseWeeklyOffRule = (value) => {
+  const rule = parseJSONField(value, null);
+  return rule && !validateWeeklyOffRule(rule) ? rule : null;
 };
 
 /**
- * Verify RSA signature
+ * Stored form of a weekly-off override from admin input: a JSON rule, or null to clear it
+ * (inherit the office's or organisation's rule). Returns { value } or { error }.
  */
-const verifySignature = (publicKeyPem, data, signatureBase64) => {
-  try {
-    const publicKey = forge.pki.publicKeyFromPem(publicKeyPem);
-    const md = forge.md.sha256.create();
-    md.update(data, 'utf8');
-    const verified = publicKey.verify(md.digest().bytes(), forge.util.decode64(signatureBase64));
-    return verified;
-  } catch (err) {
-    return false;
-  }
+const parseWeeklyOffInput = (value) => {
+  if (value === null || value === '') return { value: null };
+  const error = validateWeeklyOffRule(value);
+  return error ? { error } : { value: JSON.stringify(value) };
 };
 
 /**
- * Calculate SHA-256 hash
+ * Stored form of a payable-days basis override from admin input, or null to clear it
+ * (use the organisation's). Returns { value } or { error }.
  */
-const calculateHash = (data) => {
-  const md = forge.md.sha256.create();
-  md.update(JSON.stringify(data));
-  return md.digest().toHex();
+const parsePayableDaysBasisInput = (value) => {
+  if (value === null || value === undefined || value === '') return { value: null };
+  if (!Object.values(PAYABLE_DAYS_BASIS).includes(value)) {
+    return { error: `payableDaysBasis must be one of: ${Object.values(PAYABLE_DAYS_BASIS).join(', ')}` };
+  }
+  return { value };
 };
 
 /**
- * Validate geofence - check if location is within radius of any office location
+ * Employee bank details from admin input; fields left out are not returned (unchanged).
+ * Spaces are dropped from account numbers and IFSCs upper-cased. Returns { values } or { error }.
  */
-const validateGeofence = (lat, lng, officeLocations, accuracy = null) => {
-  // If no office locations configured, allow (with flag)
-  if (!officeLocations || officeLocations.length === 0) {
-    return { valid: true, flagged: true, reason: 'No office locations configured' };
+const parseBankDetailsInput = (data) => {
+  const values = {};
+
+  if (data.bankAccountNumber !== undefined) {
+    const accountNumber = String(data.bankAccountNumber || '').replace(/\s/g, '');
+    if (accountNumber && !isValidBankAccountNumber(accountNumber)) {
+      return { error: 'bankAccountNumber must be 9 to 18 digits' };
+    }
+    values.bankAccountNumber = accountNumber || null;
   }
 
-  // If accuracy is too low (> 50 meters), flag but allow
-  if (accuracy && accuracy > 50) {
-    return { valid: true, flagged: true, reason: 'GPS accuracy too low' };
+  if (data.bankIfsc !== undefined) {
+    const ifsc = String(data.bankIfsc || '').trim().toUpperCase();
+    if (ifsc && !isValidIFSC(ifsc)) return { error: 'bankIfsc must be a valid IFSC, e.g. HDFC0001234' };
+    values.bankIfsc = ifsc || null;
   }
 
-  // Check distance to each office location
-  for (const office of officeLocations) {
-    if (!office.isActive) continue;
+  // Account holder's name as the bank has it, when it differs from the employee's
+  if (data.beneficiaryName !== undefined) values.beneficiaryName = String(data.beneficiaryName || '').trim() || null;
 
-    const distance = calculateDistance(lat, lng, office.latitude, office.longitude);
+  return { values };
+};
 
-    if (distance <= office.radiusMeters) {
-      return { valid: true, flagged: false, nearestOffice: office.name };
+/**
+ * Holiday occurrences between two dates (inclusive)
+ * A recurring holiday falls on its month-day every year from its first date on (a
+ * 29 February holiday only in leap years); each occurrence is a copy of the document
+ * with `date` set to that day. Sorted by date.
+ */
+const expandRecurringHolidays = (holidays, startDate, endDate) => {
+  const occurrences = [];
+  holidays.filter(h => DATE_REGEX.test(h.date || '')).forEach(holiday => {
+    if (!holiday.isRecurring) {
+      if (holiday.date >= startDate && holiday.date <= endDate) occurrences.push(holiday);
+      return;
     }
-  }
 
-  // Outside all geofences - flag
-  return { valid: true, flagged: true, reason: 'Outside office premises' };
+    const monthDay = holiday.date.slice(5);
+    const firstYear = Math.max(parseInt(holiday.date.slice(0, 4)), parseInt(startDate.slice(0, 4)));
+    for (let year = firstYear; year <= parseInt(endDate.slice(0, 4)); year++) {
+      const date = `${year}-${monthDay}`;
+      if (formatDate(new Date(`${date}T00:00:00Z`)) !== date) continue; // 29 Feb in a common year
+      if (date >= startDate && date <= endDate) occurrences.push({ ...holiday, date });
+    }
+  });
+  return occurrences.sort((a, b) => a.date.localeCompare(b.date));
 };
 
 /**
- * Calculate distance between two coordinates using Haversine formula
+ * Key of an optional holiday pick: a recurring holiday is picked one occurrence at a time
  */
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371e3; // Earth radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lon2 - lon1) * Math.PI / 180;
+const holidaySelectionKey = (holidayId, date) => `${holidayId}|${date}`;
 
-  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-            Math.cos(φ1) * Math.cos(φ2) *
-            Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+/**
+ * Holidays that apply to an employee, given their holiday scope (see getHolidayScope)
+ * A holiday tied to an office or region applies only to employees of that office or
+ * region; an optional holiday only once the employee has picked it (unless
+ * `includeUnpicked`, to list what they may still pick).
+ */
+const filterHolidaysForScope = (holidays, scope, { includeUnpicked = false } = {}) => {
+  return holidays.filter(h =>
+    (!h.officeLocationId || h.officeLocationId === scope.officeLocationId) &&
+    (!h.region || h.region === scope.region) &&
+    (!h.isOptional || includeUnpicked || scope.selectedHolidays.has(holidaySelectionKey(h.$id, h.date)))
+  );
+};
 
-  return R * c; // Distance in meters
+/**
+ * Weekly-off rule for an employee: their own, else their office's, else the organisation's
+ * `rules` comes from getWeeklyOffRules.
+ */
+const resolveWeeklyOff = (employee, rules) => {
+  return (employee && parseWeeklyOffRule(employee.weeklyOff)) ||
+         (employee && rules.byOffice[employee.officeLocationId]) ||
+         rules.organisation;
 };
 
 /**
- * Check if user is admin
+ * Build a shift policy from a `shift_policies` document, filling gaps from the default
  */
-const checkAdmin = async (callerId, teams, adminTeamId) => {
-  if (!callerId) throw new Error('Missing user ID');
-  if (!adminTeamId) throw new Error('Admin team not configured');
+const normalizeShiftPolicy = (doc) => {
+  if (!doc) return DEFAULT_SHIFT_POLICY;
 
-  const memberships = await teams.listMemberships(adminTeamId, [
-    Query.equal('userId', callerId)
-  ]);
+  const pick = (key) => (doc[key] !== undefined && doc[key] !== null ? doc[key] : DEFAULT_SHIFT_POLICY[key]);
+  const windows = parseJSONField(doc.checkoutBlockedWindows, DEFAULT_SHIFT_POLICY.checkoutBlockedWindows);
 
-  if (memberships.total === 0) {
-    throw new Error('Unauthorized: Admin access required');
-  }
+  return {
+    $id: doc.$id || null,
+    name: pick('name'),
+    checkInOpen: TIME_OF_DAY_REGEX.test(doc.checkInOpen) ? doc.checkInOpen : DEFAULT_SHIFT_POLICY.checkInOpen,
+    checkInClose: TIME_OF_DAY_REGEX.test(doc.checkInClose) ? doc.checkInClose : DEFAULT_SHIFT_POLICY.checkInClose,
+    graceMinutes: pick('graceMinutes'),
+    maxLateMinutes: pick('maxLateMinutes'),
+    shiftEnd: TIME_OF_DAY_REGEX.test(doc.shiftEnd) ? doc.shiftEnd : DEFAULT_SHIFT_POLICY.shiftEnd,
+    checkoutBlockedWindows: Array.isArray(windows) ? windows : DEFAULT_SHIFT_POLICY.checkoutBlockedWindows,
+    halfDayHours: pick('halfDayHours'),
+    presentHours: pick('presentHours'),
+    maxShiftHours: pick('maxShiftHours')
+  };
 };
 
 /**
- * Create audit log entry
+ * Check if a minute of the day falls in [start, end], wrapping past midnight
  */
-const createAuditLog = async (databases, dbId, data) => {
-  const {
-    actorId,
-    action,
-    targetId = null,
-    targetType = null,
-    payload,
-    deviceInfo = null,
-    ipAddress = null,
-    signature = null,
-    signatureVerified = false
-  } = data;
-
-  const timestamp = new Date().toISOString();
-  const hash = calculateHash({ actorId, action, targetId, payload, timestamp });
-
-  await databases.createDocument(dbId, 'audit', ID.unique(), {
-    timestamp,
-    actorId,
-    action,
-    targetId,
-    targetType,
-    payload: JSON.stringify(payload),
-    deviceInfo,
-    ipAddress,
-    signature,
-    signatureVerified,
-    hash
-  });
+const isWithinWindow = (minutes, start, end) => {
+  return (minutes - start + 1440) % 1440 <= (end - start + 1440) % 1440;
 };
 
-// ============================================
-// DATABASE HELPER FUNCTIONS
-// ============================================
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+const addDays = (date, days) => {
+  return new Date(Date.parse(date) + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+};
 
 /**
- * Get employee by ID
+ * Last minute (since midnight) at which check-in is accepted, late check-ins included
  */
-const getEmployee = async (databases, dbId, employeeId) => {
-  try {
-    return await databases.getDocument(dbId, 'employees', employeeId);
-  } catch (err) {
-    throw new Error('Employee not found');
+const getCheckInCutoff = (policy) => {
+  if (policy.maxLateMinutes === null || policy.maxLateMinutes === undefined) {
+    return parseTimeOfDay(policy.shiftEnd);
   }
+  return parseTimeOfDay(policy.checkInClose) + Math.max(policy.graceMinutes || 0, policy.maxLateMinutes);
 };
 
 /**
- * Get employee by email
+ * Check if check-in is allowed under the shift policy (open time up to the late cutoff)
  */
-const getEmployeeByEmail = async (databases, dbId, email) => {
-  const result = await databases.listDocuments(dbId, 'employees', [
-    Query.equal('email', email),
-    Query.limit(1)
-  ]);
+const isCheckInAllowed = (policy = DEFAULT_SHIFT_POLICY) => {
+  return isWithinWindow(getMinutesOfDayIST(), parseTimeOfDay(policy.checkInOpen), getCheckInCutoff(policy));
+};
 
-  if (result.total === 0) throw new Error('Employee not found');
-  return result.documents[0];
+/**
+ * Instant of a policy time-of-day within the shift starting on a business date
+ * Times earlier than the check-in open time fall on the next calendar day.
+ */
+const getShiftInstant = (policy, businessDate, time) => {
+  const open = Date.parse(`${businessDate}T${policy.checkInOpen}:00+05:30`);
+  const offset = (parseTimeOfDay(time) - parseTimeOfDay(policy.checkInOpen) + 1440) % 1440;
+  return new Date(open + offset * 60 * 1000);
 };
 
 /**
- * Get attendance record for specific employee and date
+ * Minutes a check-in came after checkInClose (0 when within grace)
  */
-const getAttendanceByDate = async (databases, dbId, employeeId, date) => {
-  const result = await databases.listDocuments(dbId, 'attendance', [
-    Query.equal('employeeId', employeeId),
-    Query.equal('date', date),
-    Query.limit(1)
-  ]);
+const calculateLateMinutes = (policy, businessDate, checkInTime) => {
+  const late = Math.floor((new Date(checkInTime) - getShiftInstant(policy, businessDate, policy.checkInClose)) / (60 * 1000));
+  return late > (policy.graceMinutes || 0) ? late : 0;
+};
 
-  return result.total > 0 ? result.documents[0] : null;
+/**
+ * Minutes a check-out came before the shift end (0 when at or after it)
+ */
+const calculateEarlyLeaveMinutes = (policy, businessDate, checkOutTime) => {
+  const early = Math.ceil((getShiftInstant(policy, businessDate, policy.shiftEnd) - new Date(checkOutTime)) / (60 * 1000));
+  return Math.max(0, early);
 };
 
 /**
- * Get all active office locations
+ * Explain why check-in is refused right now (whichever boundary is nearer)
  */
-const getActiveOfficeLocations = async (databases, dbId) => {
-  const result = await databases.listDocuments(dbId, 'office_locations', [
-    Query.equal('isActive', true)
-  ]);
+const getCheckInBlockedMessage = (policy) => {
+  const now = getMinutesOfDayIST();
+  const open = parseTimeOfDay(policy.checkInOpen);
+  const cutoff = getCheckInCutoff(policy);
+  if ((open - now + 1440) % 1440 < (now - cutoff + 1440) % 1440) {
+    return `Check-in opens at ${formatTimeOfDay(open)}`;
+  }
+  return `Check-in not allowed after ${formatTimeOfDay(cutoff)}`;
+};
 
-  return result.documents;
+/**
+ * Business date of a check-in happening now: the day the check-in window opened.
+ * For a night shift opening at 22:00, a 00:20 check-in belongs to the previous day.
+ */
+const getShiftBusinessDate = (policy) => {
+  const now = getNowIST();
+  const sinceOpen = (getMinutesOfDayIST() - parseTimeOfDay(policy.checkInOpen) + 1440) % 1440;
+  return formatDate(new Date(now.getTime() - sinceOpen * 60 * 1000));
 };
 
+/**
+ * Pick the shift a check-in happening now belongs to: today's, unless yesterday's
+ * night shift is still open for check-in shortly after midnight
+ */
+const resolveCheckInPolicy = (resolveShift, today) => {
+  const policy = resolveShift(today);
+  if (isCheckInAllowed(policy)) return policy;
 
-// ============================================
-// EMPLOYEE ACTION HANDLERS
-// ============================================
+  const previousPolicy = resolveShift(addDays(today, -1));
+  if (isCheckInAllowed(previousPolicy) && getShiftBusinessDate(previousPolicy) !== today) {
+    return previousPolicy;
+  }
+  return policy;
+};
 
 /**
- * Handle check-in
+ * Get the blocked check-out window the current time falls in, if any
  */
-const handleCheckIn = async (payload, databases, dbId) => {
-  // Validate time window - must be before 7:05 AM IST
-  if (!isCheckInAllowed()) {
-    return {
-      success: false,
-      message: 'Check-in not allowed after 7:05 AM'
-    };
-  }
+const getActiveCheckOutBlock = (policy) => {
+  const now = getMinutesOfDayIST();
+  return policy.checkoutBlockedWindows.find(w =>
+    isWithinWindow(now, parseTimeOfDay(w.start), parseTimeOfDay(w.end))
+  ) || null;
+};
 
-  const { email, signature, dataToVerify, location } = payload;
+/**
+ * Explain a blocked check-out window
+ */
+const getCheckOutBlockedMessage = (window) => {
+  return `Check-out unavailable between ${formatTimeRange(parseTimeOfDay(window.start), parseTimeOfDay(window.end))}`;
+};
 
-  // Validate required fields
-  if (!email || !signature || !dataToVerify) {
-    return { success: false, message: 'Please provide email and credentials' };
-  }
+/**
+ * Check if check-out is allowed (outside every blocked window of the shift policy)
+ */
+const isCheckOutAllowed = (policy = DEFAULT_SHIFT_POLICY) => {
+  return !getActiveCheckOutBlock(policy);
+};
 
-  // Get employee
-  const employee = await getEmployeeByEmail(databases, dbId, email);
+/**
+ * Calculate attendance status based on HOURS WORKED, using the policy thresholds
+ * Default rules:
+ * - Less than 4 hours = Absent
+ * - 4 to 6 hours = Half Day
+ * - More than 6 hours = Present
+ */
+const calculateAttendanceStatus = (workHours, policy = DEFAULT_SHIFT_POLICY) => {
+  if (workHours === undefined || workHours === null) return ATTENDANCE_STATUS.ABSENT;
 
-  // Check if device is registered
-  if (!employee.devicePublicKey) {
-    return { success: false, message: 'Device not registered. Please register first.' };
+  if (workHours < policy.halfDayHours) {
+    return ATTENDANCE_STATUS.ABSENT;
+  } else if (workHours < policy.presentHours) {
+    return ATTENDANCE_STATUS.HALF_DAY;
+  } else {
+    return ATTENDANCE_STATUS.PRESENT;
+  }
+};
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ */
+const daysBetween = (fromDate, toDate) => {
+  return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / (1000 * 60 * 60 * 24));
+};
+
+/**
+ * Build a roster entry from a `shift_assignments` document (null if unusable)
+ */
+const normalizeShiftAssignment = (doc) => {
+  if (!doc || !DATE_REGEX.test(doc.effectiveFrom || '')) return null;
+
+  const rotation = parseJSONField(doc.rotation, []);
+  if (doc.shiftType === SHIFT_TYPES.ROTATING) {
+    if (!Array.isArray(rotation) || rotation.length === 0) return null;
+    return { $id: doc.$id, shiftType: SHIFT_TYPES.ROTATING, rotation, effectiveFrom: doc.effectiveFrom };
+  }
+
+  if (!doc.shiftPolicyId) return null;
+  return { $id: doc.$id, shiftType: SHIFT_TYPES.FIXED, shiftPolicyId: doc.shiftPolicyId, effectiveFrom: doc.effectiveFrom };
+};
+
+/**
+ * Pick the policy ID an employee's roster assigns for a date
+ * The latest assignment effective on or before the date wins; rotating rosters
+ * advance one entry per week counted from their effective date.
+ */
+const resolveAssignedPolicyId = (assignments, date) => {
+  let current = null;
+  for (const assignment of assignments) {
+    if (assignment.effectiveFrom > date) continue;
+    if (!current || assignment.effectiveFrom > current.effectiveFrom) current = assignment;
+  }
+
+  if (!current) return null;
+  if (current.shiftType === SHIFT_TYPES.FIXED) return current.shiftPolicyId;
+
+  const week = Math.floor(daysBetween(current.effectiveFrom, date) / 7);
+  return current.rotation[week % current.rotation.length];
+};
+
+/**
+ * Calculate work hours between check-in and check-out
+ */
+const calculateWorkHours = (checkInTime, checkOutTime) => {
+  if (!checkInTime || !checkOutTime) return 0;
+
+  const checkIn = new Date(checkInTime);
+  const checkOut = new Date(checkOutTime);
+
+  const diffMs = checkOut - checkIn;
+  const diffHours = diffMs / (1000 * 60 * 60);
+
+  return Math.max(0, parseFloat(diffHours.toFixed(2)));
+};
+
+/**
+ * Read the punch timeline from an attendance record
+ */
+const parsePunches = (attendance) => {
+  const punches = parseJSONField(attendance && attendance.punches, []);
+  return Array.isArray(punches) ? punches : [];
+};
+
+/**
+ * Punch timeline with the check-in/check-out punches moved to corrected times
+ * (added when the record had none)
+ */
+const correctCheckPunches = (punches, checkInTime, checkOutTime) => {
+  const corrected = punches.map(p => ({ ...p }));
+  const setPunch = (type, time, atEnd) => {
+    if (!time) return;
+    const punch = corrected.find(p => p.type === type);
+    if (punch) {
+      if (punch.time !== time) Object.assign(punch, { time, corrected: true });
+    } else if (atEnd) {
+      corrected.push({ type, time, corrected: true });
+    } else {
+      corrected.unshift({ type, time, corrected: true });
+    }
+  };
+  setPunch(PUNCH_TYPES.CHECK_IN, checkInTime, false);
+  setPunch(PUNCH_TYPES.CHECK_OUT, checkOutTime, true);
+  return corrected;
+};
+
+/**
+ * Get the break-start punch that has not been ended yet, if any
+ */
+const getOpenBreak = (punches) => {
+  let open = null;
+  for (const punch of punches) {
+    if (punch.type === PUNCH_TYPES.BREAK_START) open = punch;
+    if (punch.type === PUNCH_TYPES.BREAK_END) open = null;
+  }
+  return open;
+};
+
+/**
+ * Total hours spent on unpaid breaks; a break still open is closed at `endTime`.
+ * Breaks are clipped to the `startTime`..`endTime` window (e.g. corrected check-in/out).
+ */
+const calculateUnpaidBreakHours = (punches, endTime, startTime = null) => {
+  let totalMs = 0;
+  let open = null;
+  const windowStart = startTime ? new Date(startTime).getTime() : -Infinity;
+  const windowEnd = endTime ? new Date(endTime).getTime() : Infinity;
+
+  const closeBreak = (time) => {
+    if (open && !PAID_BREAK_TYPES.includes(open.breakType)) {
+      const from = Math.max(new Date(open.time).getTime(), windowStart);
+      const to = Math.min(new Date(time).getTime(), windowEnd);
+      totalMs += Math.max(0, to - from);
+    }
+    open = null;
+  };
+
+  for (const punch of punches) {
+    if (punch.type === PUNCH_TYPES.BREAK_START) {
+      closeBreak(punch.time);
+      open = punch;
+    } else if (punch.type === PUNCH_TYPES.BREAK_END) {
+      closeBreak(punch.time);
+    }
+  }
+  if (open && endTime) closeBreak(endTime);
+
+  return parseFloat((totalMs / (1000 * 60 * 60)).toFixed(2));
+};
+
+/**
+ * Net work hours: time between check-in and check-out minus unpaid breaks
+ */
+const calculateNetWorkHours = (checkInTime, checkOutTime, punches = []) => {
+  const grossHours = calculateWorkHours(checkInTime, checkOutTime);
+  if (grossHours === 0) return 0;
+  const breakHours = calculateUnpaidBreakHours(punches, checkOutTime, checkInTime);
+  return Math.max(0, parseFloat((grossHours - breakHours).toFixed(2)));
+};
+
+/**
+ * Paid days from payroll counters (half days and half-day leaves count as 0.5)
+ */
+const calculatePaidDays = (counts) => {
+  return (counts.presentDays || 0) +
+         (counts.sundayDays || 0) +
+         (counts.holidayDays || 0) +
+         (counts.leaveDays || 0) +
+         ((counts.halfDays || 0) * 0.5) +
+         ((counts.halfDayLeaves || 0) * 0.5);
+};
+
+/**
+ * Build a leave type from a `leave_types` document (null if unusable)
+ */
+const normalizeLeaveType = (doc) => {
+  if (!doc || !LEAVE_TYPE_CODE_REGEX.test(doc.code || '')) return null;
+  const quota = doc.yearlyQuota === undefined || doc.yearlyQuota === null ? null : Number(doc.yearlyQuota);
+  return {
+    $id: doc.$id || null,
+    code: doc.code,
+    name: doc.name || doc.code,
+    yearlyQuota: quota === null || isNaN(quota) ? null : quota,
+    accrual: doc.accrual === LEAVE_ACCRUAL.MONTHLY ? LEAVE_ACCRUAL.MONTHLY : LEAVE_ACCRUAL.YEARLY,
+    carryForwardCap: Number(doc.carryForwardCap) || 0,
+    isPaid: doc.isPaid !== false,
+    isCompOff: doc.isCompOff === true,
+    isActive: doc.isActive !== false
+  };
+};
+
+/**
+ * Leave credited for a year up to a date (YYYY-MM-DD)
+ * Monthly types credit quota / 12 at the start of each month; yearly types credit the
+ * whole quota up front. Employees joining during the year are credited from their join month.
+ */
+const calculateLeaveAccrual = (leaveType, joinDate, date) => {
+  if (leaveType.yearlyQuota === null) return null;
+
+  const year = date.substring(0, 4);
+  let startMonth = 1;
+  if (joinDate && DATE_REGEX.test(joinDate.substring(0, 10))) {
+    if (joinDate.substring(0, 10) > date) return 0;
+    if (joinDate.substring(0, 4) === year) startMonth = parseInt(joinDate.substring(5, 7));
+  }
+
+  const endMonth = leaveType.accrual === LEAVE_ACCRUAL.MONTHLY ? parseInt(date.substring(5, 7)) : 12;
+  const months = Math.max(0, endMonth - startMonth + 1);
+  return parseFloat((leaveType.yearlyQuota * months / 12).toFixed(2));
+};
+
+/**
+ * Balance of a leave type as of a date, from its `leave_balances` document (may be null)
+ * and the leave carried into the year. `available` is null for types without a quota.
+ */
+const summarizeLeaveBalance = (leaveType, balance, joinDate, date, opening = 0) => {
+  const accrued = calculateLeaveAccrual(leaveType, joinDate, date);
+  const used = balance ? balance.used || 0 : 0;
+  return {
+    leaveType: leaveType.code,
+    name: leaveType.name,
+    isPaid: leaveType.isPaid,
+    opening,
+    accrued,
+    used,
+    available: accrued === null ? null : parseFloat((opening + accrued - used).toFixed(2))
+  };
+};
+
+/**
+ * Dates a leave covers, with the fraction of each day taken (1, or 0.5 for a half day)
+ * Weekly offs and holidays inside the range are skipped when the leave rules say so; under
+ * the sandwich rule, skipped days between two full leave days are charged after all.
+ * Legacy single-day leaves only have `date`.
+ */
+const expandLeaveDates = (leave, holidayDates, rules, weeklyOff = DEFAULT_WEEKLY_OFF) => {
+  const start = leave.startDate || leave.date;
+  const end = leave.endDate || start;
+  const dates = [];
+  let skipped = [];
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    if ((rules.excludeSundays && isWeeklyOff(date, weeklyOff)) || (rules.excludeHolidays && holidayDates.has(date))) {
+      skipped.push(date);
+      continue;
+    }
+
+    const isHalf = (date === start && leave.halfDayStart) || (date === end && leave.halfDayEnd);
+    const previous = dates[dates.length - 1];
+    if (rules.sandwichRule && previous && previous.fraction === 1 && !isHalf) {
+      skipped.forEach(d => dates.push({ date: d, fraction: 1, sandwiched: true }));
+    }
+    skipped = [];
+    dates.push({ date, fraction: isHalf ? 0.5 : 1 });
+  }
+  return dates;
+};
+
+/**
+ * Sandwich rule: the leave that makes an off day (weekly off/holiday) count as leave,
+ * i.e. the nearest working days on both sides are full leave days. Null otherwise.
+ * When the two sides are separate requests, it is the one whose approval charged the
+ * day (`sandwichedDates`), so the day is paid the way it was debited.
+ */
+const findSandwichingLeave = (date, isOffDay, leaveByDate) => {
+  const nearestWorkingDay = (step) => {
+    let d = addDays(date, step);
+    for (let i = 0; i < 31 && isOffDay(d); i++) d = addDays(d, step);
+    return leaveByDate[d];
+  };
+
+  const before = nearestWorkingDay(-1);
+  const after = nearestWorkingDay(1);
+  if (!before || !after || before.fraction !== 1 || after.fraction !== 1) return null;
+  return [after.leave, before.leave].find(l => parseJSONField(l.sandwichedDates, []).includes(date)) || before.leave;
+};
+
+/**
+ * Total days charged for a leave
+ */
+const countLeaveDays = (leaveDates) => {
+  return leaveDates.reduce((sum, d) => sum + d.fraction, 0);
+};
+
+/**
+ * Comp-off balance for a year, from the employee's `comp_off_credits` documents
+ * Approved credits are redeemable until they expire; pending ones are shown separately.
+ */
+const summarizeCompOffBalance = (leaveType, credits, year, asOf) => {
+  const round = (n) => parseFloat(n.toFixed(2));
+  let earned = 0, used = 0, pending = 0, expired = 0, available = 0;
+
+  for (const credit of credits) {
+    const remaining = (credit.days || 0) - (credit.used || 0);
+    const inYear = String(credit.date || '').startsWith(String(year));
+    if (credit.status === COMP_OFF_STATUS.PENDING) {
+      if (inYear) pending += credit.days || 0;
+      continue;
+    }
+    if (credit.status !== COMP_OFF_STATUS.APPROVED) continue;
+
+    if (inYear) {
+      earned += credit.days || 0;
+      used += credit.used || 0;
+    }
+    if (credit.expiresOn >= asOf) available += remaining;
+    else if (inYear) expired += remaining;
+  }
+
+  return {
+    leaveType: leaveType.code,
+    name: leaveType.name,
+    isPaid: leaveType.isPaid,
+    opening: 0,
+    accrued: round(earned),
+    used: round(used),
+    pending: round(pending),
+    expired: round(expired),
+    available: round(available)
+  };
+};
+
+/**
+ * Approved comp-off credits usable for a leave starting on a date, soonest expiry first
+ */
+const getRedeemableCompOffCredits = (credits, date) => {
+  return credits
+    .filter(c => c.status === COMP_OFF_STATUS.APPROVED && c.date < date && c.expiresOn >= date &&
+                 (c.days || 0) - (c.used || 0) > 0)
+    .sort((a, b) => a.expiresOn.localeCompare(b.expiresOn));
+};
+
+/**
+ * Whether an approved leave is paid: the flag stamped at approval, else its type's flag
+ * (unknown legacy types count as paid)
+ */
+const isLeavePaid = (leave, catalogue) => {
+  if (typeof leave.isPaid === 'boolean') return leave.isPaid;
+  return catalogue[leave.type] ? catalogue[leave.type].isPaid : true;
+};
+
+/**
+ * Days deducted for late check-ins and early departures under the penalty rules
+ * e.g. 3 late marks per deduction of 0.5 days: 7 late marks = 1 day
+ */
+const calculatePenaltyDays = (lateMarks, earlyLeaves, rules) => {
+  if (!rules.enabled) return 0;
+  const deductions = (count, perDeduction) => (perDeduction > 0 ? Math.floor(count / perDeduction) : 0);
+  return (deductions(lateMarks, rules.lateMarksPerDeduction) +
+          deductions(earlyLeaves, rules.earlyLeavesPerDeduction)) * rules.deductionDays;
+};
+
+/**
+ * Payroll day counts and salary amounts after attendance status changes
+ * `changes`: [{ oldStatus, newStatus, halfDayLeave }]
+ */
+const recountPayrollDays = (payroll, changes) => {
+  const update = {};
+  Object.values(PAYROLL_DAY_FIELDS).forEach(field => { update[field] = payroll[field] || 0; });
+  update.halfDayLeaves = payroll.halfDayLeaves || 0;
+
+  changes.forEach(({ oldStatus, newStatus, halfDayLeave }) => {
+    if (PAYROLL_DAY_FIELDS[oldStatus]) update[PAYROLL_DAY_FIELDS[oldStatus]]--;
+    if (PAYROLL_DAY_FIELDS[newStatus]) update[PAYROLL_DAY_FIELDS[newStatus]]++;
+    // A half-day leave only tops up days that are not already fully paid
+    if (halfDayLeave) {
+      update.halfDayLeaves += (HALF_DAY_LEAVE_STATUSES.includes(newStatus) ? 1 : 0) -
+                              (HALF_DAY_LEAVE_STATUSES.includes(oldStatus) ? 1 : 0);
+    }
+  });
+
+  Object.keys(update).forEach(key => {
+    if (update[key] < 0) update[key] = 0;
+  });
+  Object.assign(update, calculatePayrollAmounts({ ...payroll, ...update }));
+  return update;
+};
+
+/**
+ * Monthly salary in effect on a date from the revision history (oldest first): the latest
+ * revision in effect, before the first revision its previous salary, else the employee's
+ */
+const getSalaryOn = (employee, revisions, date) => {
+  const inEffect = revisions.filter(r => r.effectiveFrom <= date);
+  if (inEffect.length > 0) return inEffect[inEffect.length - 1].salaryMonthly;
+  if (revisions.length > 0 && typeof revisions[0].previousSalary === 'number') return revisions[0].previousSalary;
+  return employee.salaryMonthly;
+};
+
+/**
+ * Salary for a month in which revisions may take effect part-way: every day is paid at
+ * the salary in effect on it, so the month's salary is the day-weighted average.
+ * Returns { baseSalary, periods: [{ from, to, salaryMonthly }] }
+ */
+const calculateMonthSalary = (employee, revisions, month) => {
+  const [year, monthNum] = month.split('-');
+  const daysInMonth = new Date(parseInt(year), parseInt(monthNum), 0).getDate();
+  const periods = [];
+  let total = 0;
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = `${month}-${String(day).padStart(2, '0')}`;
+    const salaryMonthly = getSalaryOn(employee, revisions, date);
+    const last = periods[periods.length - 1];
+    if (last && last.salaryMonthly === salaryMonthly) last.to = date;
+    else periods.push({ from: date, to: date, salaryMonthly });
+    total += salaryMonthly;
+  }
+
+  return { baseSalary: parseFloat((total / daysInMonth).toFixed(2)), periods };
+};
+
+/**
+ * Days the month's salary is divided by under a payable-days basis (the employee's
+ * override, else the organisation's); working days leave out the employee's weekly offs
+ * Returns { basis, basisDays }
+ */
+const getPayableDays = (employee, payrollRules, month, weeklyOff) => {
+  const basis = Object.values(PAYABLE_DAYS_BASIS).includes(employee.payableDaysBasis)
+    ? employee.payableDaysBasis
+    : payrollRules.payableDaysBasis;
+  const [year, monthNum] = month.split('-');
+  const daysInMonth = new Date(parseInt(year), parseInt(monthNum), 0).getDate();
+
+  if (basis === PAYABLE_DAYS_BASIS.FIXED_26) return { basis, basisDays: 26 };
+  if (basis === PAYABLE_DAYS_BASIS.FIXED_30) return { basis, basisDays: 30 };
+  if (basis === PAYABLE_DAYS_BASIS.WORKING_DAYS) {
+    let workingDays = 0;
+    for (let day = 1; day <= daysInMonth; day++) {
+      if (!isWeeklyOff(`${month}-${String(day).padStart(2, '0')}`, weeklyOff)) workingDays++;
+    }
+    return { basis, basisDays: Math.max(1, workingDays) };
+  }
+  return { basis: PAYABLE_DAYS_BASIS.CALENDAR, basisDays: daysInMonth };
+};
+
+/**
+ * Full-month earnings of a salary structure for a monthly salary
+ * Fixed and salary-based components come first, then those on basic, then the remainder.
+ * Components adding up to more than the salary are scaled down to it, leaving no remainder.
+ */
+const calculateMonthlyEarnings = (earnings, monthlySalary) => {
+  const amounts = {};
+  const percentOf = (component, base) => base * (Number(component.value) || 0) / 100;
+  const isOnBasic = (c) => c.type === SALARY_COMPONENT_TYPES.PERCENT && c.base === 'basic';
+
+  earnings.forEach(c => {
+    if (c.type === SALARY_COMPONENT_TYPES.FIXED) amounts[c.code] = Number(c.value) || 0;
+    else if (c.type === SALARY_COMPONENT_TYPES.PERCENT && !isOnBasic(c)) amounts[c.code] = percentOf(c, monthlySalary);
+  });
+  earnings.filter(isOnBasic).forEach(c => { amounts[c.code] = percentOf(c, amounts.basic || 0); });
+
+  const allocated = Object.values(amounts).reduce((sum, amount) => sum + amount, 0);
+  if (allocated > monthlySalary) {
+    const scale = monthlySalary / allocated;
+    Object.keys(amounts).forEach(code => { amounts[code] *= scale; });
+  }
+  earnings.forEach(c => {
+    if (c.type === SALARY_COMPONENT_TYPES.REMAINDER) amounts[c.code] = Math.max(0, monthlySalary - allocated);
+  });
+
+  return earnings.map(c => ({ code: c.code, name: c.name || c.code, amount: amounts[c.code] || 0 }));
+};
+
+/**
+ * Gross, deductions and net salary for a payroll document (or its pending update)
+ * Earnings follow the payroll's salary structure snapshot (the built-in one when unset),
+ * scaled from the monthly salary to the pay earned: daily rate x (paid days - penalty days).
+ * Overtime is its own earning line. Deductions stop at gross, so net is never negative.
+ */
+const calculatePayrollAmounts = (payroll) => {
+  const structure = parseJSONField(payroll.salaryStructure, null) || DEFAULT_SALARY_STRUCTURE;
+  const toAmount = (value) => parseFloat(value.toFixed(2));
+
+  const payableDays = Math.max(0, calculatePaidDays(payroll) - (payroll.penaltyDays || 0));
+  let earnedPay = (payroll.dailyRate || 0) * payableDays;
+  if (payroll.payableDaysBasis && payroll.payableDaysBasis !== PAYABLE_DAYS_BASIS.CALENDAR && payroll.month) {
+    // Other bases pay the salary for the days in the payroll period (all of them for a
+    // full month) less its unpaid days at the daily rate
+    const [year, monthNum] = payroll.month.split('-');
+    const daysInMonth = new Date(parseInt(year), parseInt(monthNum), 0).getDate();
+    const periodDays = payroll.totalWorkingDays ?? daysInMonth;
+    earnedPay = Math.max(0,
+      (payroll.baseSalary || 0) * periodDays / daysInMonth - (payroll.dailyRate || 0) * Math.max(0, periodDays - payableDays));
+  }
+  const monthlySalary = payroll.baseSalary > 0 ? payroll.baseSalary : earnedPay;
+  const factor = monthlySalary > 0 ? earnedPay / monthlySalary : 0;
+
+  const monthlyEarnings = calculateMonthlyEarnings(structure.earnings || [], monthlySalary);
+  const monthlyGross = monthlyEarnings.reduce((sum, e) => sum + e.amount, 0);
+  const earnings = monthlyEarnings.map(e => ({ ...e, amount: toAmount(e.amount * factor) }));
+  if (payroll.overtimePay > 0) {
+    earnings.push({ code: 'overtime', name: 'Overtime', amount: toAmount(payroll.overtimePay) });
+  }
+  if (payroll.arrearsPay > 0) {
+    earnings.push({ code: 'arrears', name: 'Arrears', amount: toAmount(payroll.arrearsPay) });
+  }
+  const grossSalary = toAmount(earnings.reduce((sum, e) => sum + e.amount, 0));
+  const earnedBasic = earnings.find(e => e.code === 'basic')?.amount || 0;
+
+  // Statutory contributions come first and replace structure components with the same code
+  const statutory = structure.statutory
+    ? calculateStatutoryContributions(structure.statutory, { basic: earnedBasic, gross: grossSalary, monthlyGross, month: payroll.month })
+    : null;
+  const lines = statutory ? [...statutory.deductions] : [];
+  (structure.deductions || []).forEach(c => {
+    // Skip components a statutory one replaces, and those above their gross limit (e.g. ESI)
+    if (lines.some(line => line.code === c.code) || (c.grossLimit && monthlyGross > c.grossLimit)) return;
+
+    let amount;
+    if (c.type === SALARY_COMPONENT_TYPES.PERCENT) {
+      const base = c.base === 'basic' ? earnedBasic : grossSalary;
+      amount = (c.maxBase ? Math.min(base, c.maxBase) : base) * (Number(c.value) || 0) / 100;
+    } else {
+      amount = grossSalary > 0 ? Number(c.value) || 0 : 0;
+    }
+    if (c.maxAmount) amount = Math.min(amount, c.maxAmount);
+    lines.push({ code: c.code, name: c.name || c.code, amount });
+  });
+  // Negative arrears: salary paid in locked months above a back-dated lower revision
+  if (payroll.arrearsPay < 0) {
+    lines.push({ code: 'recovery', name: 'Salary Recovery', amount: -payroll.arrearsPay });
+  }
+
+  const deductions = [];
+  let remaining = grossSalary;
+  lines.forEach(line => {
+    const amount = toAmount(Math.min(line.amount, remaining));
+    if (amount <= 0) return;
+    remaining = toAmount(remaining - amount);
+    deductions.push({ ...line, amount });
+  });
+
+  const totalDeductions = toAmount(grossSalary - remaining);
+  return {
+    grossSalary,
+    totalDeductions,
+    netSalary: remaining,
+    earnings: JSON.stringify(earnings),
+    deductions: JSON.stringify(deductions),
+    ...(statutory && { statutoryContributions: JSON.stringify(statutory.contributions) })
+  };
+};
+
+/**
+ * Statutory rules for one employee's payroll from the `statutory` settings (null when
+ * disabled). Professional tax follows the employee's region when it has slabs, else
+ * the organisation's state.
+ */
+const getStatutoryConfig = (rules, region) => {
+  if (!rules.enabled) return null;
+  const state = findProfessionalTaxState(region) || findProfessionalTaxState(rules.professionalTaxState);
+  return {
+    pf: {
+      wageCeiling: rules.pfWageCeiling,
+      restrictToCeiling: rules.pfRestrictToCeiling,
+      employeeRate: rules.pfEmployeeRate,
+      employerRate: rules.pfEmployerRate,
+      employerEpsRate: rules.pfEmployerEpsRate
+    },
+    esi: { threshold: rules.esiThreshold, employeeRate: rules.esiEmployeeRate, employerRate: rules.esiEmployerRate },
+    professionalTax: state ? { state, slabs: PROFESSIONAL_TAX_SLABS[state].slabs } : null
+  };
+};
+
+/**
+ * Employee and employer statutory contributions for a month
+ * Returns { deductions: [{ code, name, amount }], contributions: { pf, esi, professionalTax } }
+ */
+const calculateStatutoryContributions = (config, { basic, gross, monthlyGross, month }) => {
+  const pf = calculatePF(basic, config.pf);
+  const esi = calculateESI(gross, monthlyGross, config.esi);
+  const professionalTax = config.professionalTax
+    ? { state: config.professionalTax.state, amount: calculateProfessionalTax(gross, month, config.professionalTax.slabs) }
+    : null;
+
+  return {
+    deductions: [
+      { code: 'pf', name: 'Provident Fund', amount: pf.employee },
+      { code: 'esi', name: 'ESI', amount: esi ? esi.employee : 0 },
+      { code: 'pt', name: 'Professional Tax', amount: professionalTax ? professionalTax.amount : 0 }
+    ],
+    contributions: { pf, esi, professionalTax }
+  };
+};
+
+/**
+ * Monday (YYYY-MM-DD) of the week a date falls in
+ */
+const getWeekStart = (date) => {
+  const day = new Date(date).getUTCDay();
+  return addDays(date, day === 0 ? -6 : 1 - day);
+};
+
+/**
+ * Calculate overtime for a month of worked days
+ * `days`: [{ date, hours, dayType: 'regular' | 'sunday' | 'holiday', approved }]
+ * Every hour worked on a weekly off or holiday is overtime at its multiplier. On other
+ * days hours past the daily threshold are overtime; regular hours past the weekly
+ * threshold are overtime too (taken from the latest days of the week). `adjacentDays`
+ * are worked days outside the month in its first and last weeks: they count towards
+ * those weeks' totals but are paid in their own month. With `requireApproval`,
+ * unapproved overtime is reported as pending and not paid.
+ */
+const calculateOvertime = (days, rules, hourlyRate, adjacentDays = []) => {
+  const byDate = {};
+  const weeks = {};
+
+  for (const day of [...days, ...adjacentDays]) {
+    const dailyOvertime = day.dayType === 'regular'
+      ? Math.max(0, day.hours - rules.dailyThresholdHours)
+      : day.hours;
+    const entry = { ...day, overtimeHours: dailyOvertime, regularHours: day.hours - dailyOvertime };
+    if (!adjacentDays.includes(day)) byDate[day.date] = entry;
+    const week = getWeekStart(day.date);
+    (weeks[week] = weeks[week] || []).push(entry);
+  }
+
+  for (const weekDays of Object.values(weeks)) {
+    const regularTotal = weekDays.reduce((sum, d) => sum + d.regularHours, 0);
+    let excess = Math.max(0, regularTotal - rules.weeklyThresholdHours);
+    const latestFirst = [...weekDays].sort((a, b) => b.date.localeCompare(a.date));
+    for (const day of latestFirst) {
+      if (excess <= 0) break;
+      const moved = Math.min(excess, day.regularHours);
+      day.overtimeHours += moved;
+      day.regularHours -= moved;
+      excess -= moved;
+    }
+  }
+
+  const multipliers = {
+    regular: rules.regularMultiplier,
+    sunday: rules.sundayMultiplier,
+    holiday: rules.holidayMultiplier
+  };
+
+  const result = { days: {}, totalHours: 0, totalPay: 0, pendingHours: 0 };
+  for (const day of Object.values(byDate)) {
+    if (day.overtimeHours <= 0) continue;
+    const hours = parseFloat(day.overtimeHours.toFixed(2));
+    const payable = !rules.requireApproval || day.approved === true;
+    const multiplier = multipliers[day.dayType] || rules.regularMultiplier;
+    const pay = payable ? parseFloat((hours * hourlyRate * multiplier).toFixed(2)) : 0;
+
+    result.days[day.date] = { hours, pay, multiplier, pending: !payable };
+    if (payable) {
+      result.totalHours += hours;
+      result.totalPay += pay;
+    } else {
+      result.pendingHours += hours;
+    }
+  }
+
+  result.totalHours = parseFloat(result.totalHours.toFixed(2));
+  result.totalPay = parseFloat(result.totalPay.toFixed(2));
+  result.pendingHours = parseFloat(result.pendingHours.toFixed(2));
+  return result;
+};
+
+/**
+ * Format a timestamp as an IST clock time ("09:05 AM")
+ */
+const formatClockIST = (timestamp) => {
+  return toIST(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true });
+};
+
+/**
+ * Verify RSA signature
+ */
+const verifySignature = (publicKeyPem, data, signatureBase64) => {
+  try {
+    const publicKey = forge.pki.publicKeyFromPem(publicKeyPem);
+    const md = forge.md.sha256.create();
+    md.update(data, 'utf8');
+    const verified = publicKey.verify(md.digest().bytes(), forge.util.decode64(signatureBase64));
+    return verified;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Calculate SHA-256 hash
+ */
+const calculateHash = (data) => {
+  const md = forge.md.sha256.create();
+  md.update(JSON.stringify(data));
+  return md.digest().toHex();
+};
+
+/**
+ * Validate geofence - check if location is within radius of any office location
+ */
+const validateGeofence = (lat, lng, officeLocations, accuracy = null) => {
+  // If no office locations configured, allow (with flag)
+  if (!officeLocations || officeLocations.length === 0) {
+    return { valid: true, flagged: true, reason: 'No office locations configured' };
+  }
+
+  // If accuracy is too low (> 50 meters), flag but allow
+  if (accuracy && accuracy > 50) {
+    return { valid: true, flagged: true, reason: 'GPS accuracy too low' };
+  }
+
+  // Check distance to each office location
+  for (const office of officeLocations) {
+    if (!office.isActive) continue;
+
+    const distance = calculateDistance(lat, lng, office.latitude, office.longitude);
+
+    if (distance <= office.radiusMeters) {
+      return { valid: true, flagged: false, nearestOffice: office.name };
+    }
+  }
+
+  // Outside all geofences - flag
+  return { valid: true, flagged: true, reason: 'Outside office premises' };
+};
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ */
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371e3; // Earth radius in meters
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const Δφ = (lat2 - lat1) * Math.PI / 180;
+  const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return R * c; // Distance in meters
+};
+
+/**
+ * Check if user is admin
+ */
+const checkAdmin = async (callerId, teams, adminTeamId) => {
+  if (!callerId) throw new Error('Missing user ID');
+  if (!adminTeamId) throw new Error('Admin team not configured');
+
+  const memberships = await teams.listMemberships(adminTeamId, [
+    Query.equal('userId', callerId)
+  ]);
+
+  if (memberships.total === 0) {
+    throw new Error('Unauthorized: Admin access required');
+  }
+};
+
+/**
+ * Create audit log entry
+ */
+const createAuditLog = async (databases, dbId, data) => {
+  const {
+    actorId,
+    action,
+    targetId = null,
+    targetType = null,
+    payload,
+    deviceInfo = null,
+    ipAddress = null,
+    signature = null,
+    signatureVerified = false
+  } = data;
+
+  const timestamp = new Date().toISOString();
+  const hash = calculateHash({ actorId, action, targetId, payload, timestamp });
+
+  await databases.createDocument(dbId, 'audit', ID.unique(), {
+    timestamp,
+    actorId,
+    action,
+    targetId,
+    targetType,
+    payload: JSON.stringify(payload),
+    deviceInfo,
+    ipAddress,
+    signature,
+    signatureVerified,
+    hash
+  });
+};
+
+// ============================================
+// DATABASE HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Get employee by ID
+ */
+const getEmployee = async (databases, dbId, employeeId) => {
+  try {
+    return await databases.getDocument(dbId, 'employees', employeeId);
+  } catch (err) {
+    throw new Error('Employee not found');
+  }
+};
+
+/**
+ * Get employee by email
+ */
+const getEmployeeByEmail = async (databases, dbId, email) => {
+  const result = await databases.listDocuments(dbId, 'employees', [
+    Query.equal('email', email),
+    Query.limit(1)
+  ]);
+
+  if (result.total === 0) throw new Error('Employee not found');
+  return result.documents[0];
+};
+
+/**
+ * Get attendance record for specific employee and date
+ */
+const getAttendanceByDate = async (databases, dbId, employeeId, date) => {
+  const result = await databases.listDocuments(dbId, 'attendance', [
+    Query.equal('employeeId', employeeId),
+    Query.equal('date', date),
+    Query.limit(1)
+  ]);
+
+  return result.total > 0 ? result.documents[0] : null;
+};
+
+/**
+ * Get organisation settings for a key, merged over the defaults
+ */
+const getSettings = async (databases, dbId, key) => {
+  const defaults = SETTINGS_DEFAULTS[key];
+  try {
+    const doc = await databases.getDocument(dbId, 'settings', key);
+    const stored = parseJSONField(doc.value, {});
+    return { ...defaults, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch (err) {
+    return { ...defaults };
+  }
+};
+
+/**
+ * Get an employee's holiday scope: their office, region (own, else the office's) and the
+ * optional holidays they picked between two dates (as holidaySelectionKey). Without an employee, only holidays
+ * that apply to everyone are in scope.
+ */
+const getHolidayScope = async (databases, dbId, employee, startDate, endDate) => {
+  if (!employee) return { officeLocationId: null, region: null, selectedHolidays: new Set() };
+
+  const [office, selections] = await Promise.all([
+    employee.officeLocationId
+      ? databases.getDocument(dbId, 'office_locations', employee.officeLocationId).catch(() => null)
+      : null,
+    databases.listDocuments(dbId, 'holiday_selections', [
+      Query.equal('employeeId', employee.$id),
+      Query.greaterThanEqual('date', startDate),
+      Query.lessThanEqual('date', endDate),
+      Query.limit(100)
+    ])
+  ]);
+
+  return {
+    officeLocationId: employee.officeLocationId || null,
+    region: employee.region || (office && office.region) || null,
+    selectedHolidays: new Set(selections.documents.map(sel => holidaySelectionKey(sel.holidayId, sel.date)))
+  };
+};
+
+/**
+ * Get all holiday occurrences between two dates (inclusive), recurring ones expanded
+ */
+const listHolidays = async (databases, dbId, startDate, endDate) => {
+  const [dated, recurring] = await Promise.all([
+    databases.listDocuments(dbId, 'holidays', [
+      Query.greaterThanEqual('date', startDate),
+      Query.lessThanEqual('date', endDate),
+      Query.orderAsc('date'),
+      Query.limit(100)
+    ]),
+    databases.listDocuments(dbId, 'holidays', [
+      Query.equal('isRecurring', true),
+      Query.lessThanEqual('date', endDate),
+      Query.limit(100)
+    ])
+  ]);
+
+  const byId = {};
+  [...dated.documents, ...recurring.documents].forEach(h => { byId[h.$id] = h; });
+  return expandRecurringHolidays(Object.values(byId), startDate, endDate);
+};
+
+/**
+ * Get the holidays between two dates (inclusive) that apply to an employee
+ */
+const getEmployeeHolidays = async (databases, dbId, employee, startDate, endDate) => {
+  const [holidays, scope] = await Promise.all([
+    listHolidays(databases, dbId, startDate, endDate),
+    getHolidayScope(databases, dbId, employee, startDate, endDate)
+  ]);
+  return filterHolidaysForScope(holidays, scope);
+};
+
+/**
+ * Get an employee's holiday dates between two dates (inclusive) as a Set
+ */
+const getHolidayDates = async (databases, dbId, employee, startDate, endDate) => {
+  const holidays = await getEmployeeHolidays(databases, dbId, employee, startDate, endDate);
+  return new Set(holidays.map(h => h.date));
+};
+
+/**
+ * Get the leave-type catalogue keyed by code (built-in types when none are configured)
+ * Inactive types stay in the catalogue so existing leaves still resolve.
+ */
+const getLeaveCatalogue = async (databases, dbId) => {
+  const result = await databases.listDocuments(dbId, 'leave_types', [Query.limit(100)]);
+  const configured = result.documents.map(normalizeLeaveType).filter(Boolean);
+  const types = configured.length > 0 ? configured : DEFAULT_LEAVE_TYPES.map(t => ({ $id: null, ...t, isActive: true }));
+
+  const catalogue = {};
+  types.forEach(type => { catalogue[type.code] = type; });
+  return catalogue;
+};
+
+/**
+ * Build a salary structure from a `salary_structures` document
+ */
+const normalizeSalaryStructure = (doc) => ({
+  $id: doc.$id,
+  name: doc.name || '',
+  earnings: parseJSONField(doc.earnings, []),
+  deductions: parseJSONField(doc.deductions, []),
+  isDefault: !!doc.isDefault,
+  isActive: doc.isActive !== false
+});
+
+/**
+ * Load all configured salary structures
+ */
+const getSalaryStructures = async (databases, dbId) => {
+  const result = await databases.listDocuments(dbId, 'salary_structures', [Query.limit(100)]);
+  return result.documents.map(normalizeSalaryStructure);
+};
+
+/**
+ * Get the salary structure that applies to an employee: their own, else the active
+ * default, else the built-in one ($id null)
+ */
+const resolveSalaryStructure = (employee, structures) => {
+  return structures.find(s => employee.salaryStructureId && s.$id === employee.salaryStructureId) ||
+         structures.find(s => s.isDefault && s.isActive) ||
+         { $id: null, name: 'Default', ...DEFAULT_SALARY_STRUCTURE };
+};
+
+/**
+ * An employee's salary revisions, oldest first
+ */
+const getSalaryRevisions = async (databases, dbId, employeeId) => {
+  const result = await databases.listDocuments(dbId, 'salary_revisions', [
+    Query.equal('employeeId', employeeId),
+    Query.orderAsc('effectiveFrom'),
+    Query.limit(100)
+  ]);
+  return result.documents
+    .filter(r => r.employeeId === employeeId && DATE_REGEX.test(r.effectiveFrom || ''))
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+};
+
+/**
+ * An employee's arrears not yet paid out
+ */
+const getPendingArrears = async (databases, dbId, employeeId) => {
+  const result = await databases.listDocuments(dbId, 'salary_arrears', [
+    Query.equal('employeeId', employeeId),
+    Query.equal('status', ARREAR_STATUS.PENDING),
+    Query.limit(100)
+  ]);
+  return result.documents.filter(a => a.employeeId === employeeId && a.status === ARREAR_STATUS.PENDING);
+};
+
+/**
+ * Load weekly-off rules: the organisation's (settings) and each office's, keyed by office ID
+ */
+const getWeeklyOffRules = async (databases, dbId) => {
+  const [settings, offices] = await Promise.all([
+    getSettings(databases, dbId, 'weeklyOff'),
+    databases.listDocuments(dbId, 'office_locations', [Query.limit(100)])
+  ]);
+
+  const byOffice = {};
+  offices.documents.forEach(office => {
+    const rule = parseWeeklyOffRule(office.weeklyOff);
+    if (rule) byOffice[office.$id] = rule;
+  });
+  return { organisation: parseWeeklyOffRule(settings.pattern) || DEFAULT_WEEKLY_OFF, byOffice };
+};
+
+/**
+ * Get the weekly-off rule that applies to an employee
+ */
+const getEmployeeWeeklyOff = async (databases, dbId, employee) => {
+  return resolveWeeklyOff(employee, await getWeeklyOffRules(databases, dbId));
+};
+
+/**
+ * Whether a date is an off day for an employee: 'sunday' (weekly off), 'holiday' or null
+ */
+const getOffDayType = async (databases, dbId, employee, date) => {
+  if (isWeeklyOff(date, await getEmployeeWeeklyOff(databases, dbId, employee))) return ATTENDANCE_STATUS.SUNDAY;
+  const holidayDates = await getHolidayDates(databases, dbId, employee, date, date);
+  return holidayDates.has(date) ? ATTENDANCE_STATUS.HOLIDAY : null;
+};
+
+/**
+ * Get all comp-off credits of an employee
+ */
+const getCompOffCredits = async (databases, dbId, employeeId) => {
+  const result = await databases.listDocuments(dbId, 'comp_off_credits', [
+    Query.equal('employeeId', employeeId),
+    Query.limit(500)
+  ]);
+  return result.documents;
+};
+
+/**
+ * Comp-off days a worked off day earns: 1 for a full present day, 0.5 for a half day
+ */
+const getCompOffDays = (status) => {
+  return status === ATTENDANCE_STATUS.PRESENT ? 1 : (status === ATTENDANCE_STATUS.HALF_DAY ? 0.5 : 0);
+};
+
+/**
+ * Grant a comp-off credit for a worked off day, if comp-offs are enabled
+ * Returns the credit or null.
+ */
+const grantCompOffCredit = async (databases, dbId, employee, attendance, status, actorId = employee.$id) => {
+  const rules = await getSettings(databases, dbId, 'compOff');
+  const days = getCompOffDays(status);
+  if (!rules.enabled || days === 0) return null;
+
+  const credit = await databases.createDocument(dbId, 'comp_off_credits', ID.unique(), {
+    employeeId: employee.$id,
+    attendanceId: attendance.$id,
+    date: attendance.date,
+    offDay: attendance.offDay,
+    days,
+    used: 0,
+    status: rules.requireApproval ? COMP_OFF_STATUS.PENDING : COMP_OFF_STATUS.APPROVED,
+    expiresOn: addDays(attendance.date, rules.expiryDays),
+    earnedAt: new Date().toISOString()
+  });
+
+  await createAuditLog(databases, dbId, {
+    actorId,
+    action: AUDIT_ACTIONS.COMP_OFF_EARNED,
+    targetId: credit.$id,
+    targetType: 'comp_off_credit',
+    payload: { date: attendance.date, offDay: attendance.offDay, days, status: credit.status }
+  });
+
+  return credit;
+};
+
+/**
+ * Dates of an employee's worked off days that earned a comp-off credit (not rejected)
+ * These are compensated with the day off, so they earn no overtime premium.
+ */
+const getCompOffCreditDates = async (databases, dbId, employeeId) => {
+  const credits = await getCompOffCredits(databases, dbId, employeeId);
+  return new Set(credits.filter(c => c.status !== COMP_OFF_STATUS.REJECTED && c.days > 0).map(c => c.date));
+};
+
+/**
+ * Keep a worked off day's comp-off credit in line with the day's status, whichever way
+ * the day was closed (check-out, auto check-out, correction, regularization): the first
+ * close earns it, a better status tops it up and a worse one cuts it back (rejected at
+ * nothing). Days already redeemed are never taken back. Returns the credit or null.
+ */
+const syncCompOffCredit = async (databases, dbId, employee, attendance, status, actorId = employee.$id) => {
+  if (!attendance.offDay) return null;
+
+  const result = await databases.listDocuments(dbId, 'comp_off_credits', [
+    Query.equal('attendanceId', attendance.$id),
+    Query.limit(10)
+  ]);
+  const credit = result.documents.find(c => c.attendanceId === attendance.$id && c.status !== COMP_OFF_STATUS.REJECTED);
+  if (!credit) return grantCompOffCredit(databases, dbId, employee, attendance, status, actorId);
+
+  const days = Math.max(getCompOffDays(status), credit.used || 0);
+  if (days === credit.days) return credit;
+
+  const update = days === 0 ? { days, status: COMP_OFF_STATUS.REJECTED } : { days };
+  await databases.updateDocument(dbId, 'comp_off_credits', credit.$id, update);
+  await createAuditLog(databases, dbId, {
+    actorId,
+    action: AUDIT_ACTIONS.COMP_OFF_ADJUSTED,
+    targetId: credit.$id,
+    targetType: 'comp_off_credit',
+    payload: { date: attendance.date, previousDays: credit.days, days, attendanceStatus: status }
+  });
+  return { ...credit, ...update };
+};
+
+/**
+ * Get an employee's `leave_balances` document for a leave type and year, if any
+ */
+const findLeaveBalance = async (databases, dbId, employeeId, code, year) => {
+  const result = await databases.listDocuments(dbId, 'leave_balances', [
+    Query.equal('employeeId', employeeId),
+    Query.equal('leaveType', code),
+    Query.equal('year', year),
+    Query.limit(1)
+  ]);
+  return result.documents[0] || null;
+};
+
+/**
+ * Leave carried into a year: the previous year's unused leave (its own carry-forward plus
+ * accrual, less leave taken; none taken without a balance document) up to the type's cap.
+ * Worked out on every read, so leave approved or cancelled late in the year carries through.
+ */
+const calculateLeaveOpening = async (databases, dbId, employee, leaveType, year) => {
+  if (!(leaveType.carryForwardCap > 0) || leaveType.yearlyQuota === null) return 0;
+
+  const previousYear = year - 1;
+  const firstYear = parseInt(String(employee.joinDate || employee.$createdAt || '').substring(0, 4));
+  if (isNaN(firstYear) || previousYear < firstYear) return 0;
+
+  const accrued = calculateLeaveAccrual(leaveType, employee.joinDate, `${previousYear}-12-31`);
+  const previous = await findLeaveBalance(databases, dbId, employee.$id, leaveType.code, previousYear);
+  const used = previous ? previous.used || 0 : 0;
+  // Earlier years only matter while last year's own leave stays under the cap
+  const carried = accrued - used >= leaveType.carryForwardCap
+    ? 0
+    : await calculateLeaveOpening(databases, dbId, employee, leaveType, previousYear);
+  return Math.min(leaveType.carryForwardCap, Math.max(0, parseFloat((carried + accrued - used).toFixed(2))));
+};
+
+/**
+ * Get an employee's balance document for a leave type and year, creating it on first use
+ */
+const getOrCreateLeaveBalance = async (databases, dbId, employee, leaveType, year) => {
+  const existing = await findLeaveBalance(databases, dbId, employee.$id, leaveType.code, year);
+  if (existing) return existing;
+
+  return databases.createDocument(dbId, 'leave_balances', ID.unique(), {
+    employeeId: employee.$id,
+    leaveType: leaveType.code,
+    year,
+    used: 0
+  });
+};
+
+/**
+ * Get the attendance record a check-out should close
+ * Today's record if checked in; otherwise yesterday's record when it is still open
+ * and within the shift's maximum span (night shifts crossing midnight).
+ */
+const findAttendanceForCheckOut = async (databases, dbId, employeeId, today, resolveShift) => {
+  const todayAttendance = await getAttendanceByDate(databases, dbId, employeeId, today);
+  if (todayAttendance && todayAttendance.checkInTime) return todayAttendance;
+
+  const yesterday = addDays(today, -1);
+  const previous = await getAttendanceByDate(databases, dbId, employeeId, yesterday);
+  if (previous && previous.checkInTime && !previous.checkOutTime) {
+    const hoursOpen = (Date.now() - new Date(previous.checkInTime).getTime()) / (1000 * 60 * 60);
+    if (hoursOpen <= resolveShift(yesterday).maxShiftHours) return previous;
+  }
+
+  return todayAttendance;
+};
+
+/**
+ * Get all active office locations
+ */
+const getActiveOfficeLocations = async (databases, dbId) => {
+  const result = await databases.listDocuments(dbId, 'office_locations', [
+    Query.equal('isActive', true)
+  ]);
+
+  return result.documents;
+};
+
+/**
+ * Load an employee's roster and return a resolver: date (YYYY-MM-DD) -> shift policy
+ * Order: roster assignment for the date -> employee's own policy -> active default
+ * policy -> built-in default
+ */
+const createShiftResolver = async (databases, dbId, employee) => {
+  const [assignmentsResult, policiesResult] = await Promise.all([
+    databases.listDocuments(dbId, 'shift_assignments', [
+      Query.equal('employeeId', employee ? employee.$id : ''),
+      Query.limit(100)
+    ]),
+    databases.listDocuments(dbId, 'shift_policies', [Query.limit(100)])
+  ]);
+
+  const policiesById = {};
+  let defaultPolicy = DEFAULT_SHIFT_POLICY;
+  policiesResult.documents.forEach(doc => {
+    if (doc.isActive === false) return;
+    policiesById[doc.$id] = normalizeShiftPolicy(doc);
+    if (doc.isDefault) defaultPolicy = policiesById[doc.$id];
+  });
+
+  const fallback = (employee && policiesById[employee.shiftPolicyId]) || defaultPolicy;
+  const assignments = employee
+    ? assignmentsResult.documents.map(normalizeShiftAssignment).filter(Boolean)
+    : [];
+
+  return (date) => {
+    const policyId = resolveAssignedPolicyId(assignments, date);
+    return (policyId && policiesById[policyId]) || fallback;
+  };
+};
+
+// ============================================
+// EMPLOYEE ACTION HANDLERS
+// ============================================
+
+/**
+ * Handle check-in
+ */
+const handleCheckIn = async (payload, databases, dbId) => {
+  const { email, signature, dataToVerify, location } = payload;
+
+  // Validate required fields
+  if (!email || !signature || !dataToVerify) {
+    return { success: false, message: 'Please provide email and credentials' };
+  }
+
+  // Get employee
+  const employee = await getEmployeeByEmail(databases, dbId, email);
+
+  // Validate time window against the employee's shift
+  const today = formatDate(getNowIST());
+  const resolveShift = await createShiftResolver(databases, dbId, employee);
+  const policy = resolveCheckInPolicy(resolveShift, today);
+  if (!isCheckInAllowed(policy)) {
+    return {
+      success: false,
+      message: getCheckInBlockedMessage(policy)
+    };
+  }
+
+  // Attendance is anchored to the date the shift started
+  const businessDate = getShiftBusinessDate(policy);
+
+  // Check if device is registered
+  if (!employee.devicePublicKey) {
+    return { success: false, message: 'Device not registered. Please register first.' };
+  }
+
+  // Bind signed payload to today + action so captured signatures can't be replayed
+  const expectedData = `${email}|${today}|check-in`;
+  if (dataToVerify !== expectedData) {
+    return { success: false, message: 'Stale or invalid request. Please retry.' };
+  }
+
+  // Verify signature
+  const isValidSignature = verifySignature(employee.devicePublicKey, dataToVerify, signature);
+  if (!isValidSignature) {
+    return { success: false, message: 'Device not authorized. Contact admin.' };
+  }
+
+  // Check if already checked in for this shift
+  const existingAttendance = await getAttendanceByDate(databases, dbId, employee.$id, businessDate);
+
+  if (existingAttendance && existingAttendance.checkInTime) {
+    return { success: false, message: 'Already checked in today' };
+  }
+
+  // Validate location - REQUIRED and must be within office premises
+  const officeLocations = await getActiveOfficeLocations(databases, dbId);
+  let locationResult = { valid: false, flagged: true, reason: 'Location not provided' };
+
+  if (location && location.latitude && location.longitude) {
+    locationResult = validateGeofence(
+      location.latitude,
+      location.longitude,
+      officeLocations,
+      location.accuracy
+    );
+
+    // Block if outside office premises
+    if (locationResult.flagged && locationResult.reason === 'Outside office premises') {
+      return {
+        success: false,
+        message: 'Check-in not allowed outside office premises'
+      };
+    }
+  } else {
+    // Location is required for check-in
+    return {
+      success: false,
+      message: 'Location is required for check-in. Please enable GPS.'
+    };
+  }
+
+  // Create or update attendance record; check-ins past close + grace are marked late
+  const checkInTime = new Date().toISOString();
+  const lateByMinutes = calculateLateMinutes(policy, businessDate, checkInTime);
+  const offDay = await getOffDayType(databases, dbId, employee, businessDate);
+  const attendanceData = {
+    employeeId: employee.$id,
+    date: businessDate,
+    status: ATTENDANCE_STATUS.ABSENT, // Will be updated on check-out
+    checkInTime,
+    checkInLat: location?.latitude || null,
+    checkInlng: location?.longitude || null,
+    checkInAccuracy: location?.accuracy || null,
+    isLocationFlagged: locationResult.flagged,
+    shiftPolicyId: policy.$id,
+    shiftName: policy.name,
+    lateByMinutes,
+    offDay, // Working a weekly off/holiday may earn a comp-off at check-out
+    punches: JSON.stringify([{ type: PUNCH_TYPES.CHECK_IN, time: checkInTime, signatureVerified: true }]),
+    isAutoCalculated: false,
+    isLocked: false,
+    notes: locationResult.flagged ? locationResult.reason : ''
+  };
+
+  let attendanceDoc;
+  if (existingAttendance) {
+    attendanceDoc = await databases.updateDocument(dbId, 'attendance', existingAttendance.$id, attendanceData);
+  } else {
+    attendanceDoc = await databases.createDocument(dbId, 'attendance', ID.unique(), attendanceData);
+  }
+
+  // Create audit log
+  await createAuditLog(databases, dbId, {
+    actorId: employee.$id,
+    action: AUDIT_ACTIONS.CHECK_IN,
+    targetId: attendanceDoc.$id,
+    targetType: 'attendance',
+    payload: {
+      employeeName: employee.name,
+      date: businessDate,
+      checkInTime,
+      lateByMinutes,
+      location: location || null,
+      locationVerified: !locationResult.flagged
+    },
+    deviceInfo: employee.deviceFingerprint,
+    signature,
+    signatureVerified: true
+  });
+
+  return {
+    success: true,
+    message: lateByMinutes > 0
+      ? `✅ Check-in recorded successfully (late by ${lateByMinutes} min)`
+      : '✅ Check-in recorded successfully',
+    data: {
+      attendanceId: attendanceDoc.$id,
+      timestamp: checkInTime,
+      lateByMinutes,
+      locationVerified: !locationResult.flagged
+    }
+  };
+};
+
+/**
+ * Handle check-out
+ */
+const handleCheckOut = async (payload, databases, dbId) => {
+  const { email, signature, dataToVerify, location } = payload;
+
+  // Validate required fields
+  if (!email || !signature || !dataToVerify) {
+    return { success: false, message: 'Please provide email and credentials' };
+  }
+
+  // Get employee
+  const employee = await getEmployeeByEmail(databases, dbId, email);
+
+  // Find the shift being closed; a check-out after midnight may close yesterday's night shift
+  const today = formatDate(getNowIST());
+  const resolveShift = await createShiftResolver(databases, dbId, employee);
+  const attendance = await findAttendanceForCheckOut(databases, dbId, employee.$id, today, resolveShift);
+  const businessDate = (attendance && attendance.checkInTime && attendance.date) || today;
+
+  // Validate time window against the shift's policy
+  const policy = resolveShift(businessDate);
+  const blockedWindow = getActiveCheckOutBlock(policy);
+  if (blockedWindow) {
+    return {
+      success: false,
+      message: getCheckOutBlockedMessage(blockedWindow)
+    };
+  }
+
+  // Check if device is registered
+  if (!employee.devicePublicKey) {
+    return { success: false, message: 'Device not registered. Please register first.' };
   }
 
   // Bind signed payload to today + action so captured signatures can't be replayed
+  const expectedData = `${email}|${today}|check-out`;
+  if (dataToVerify !== expectedData) {
+    return { success: false, message: 'Stale or invalid request. Please retry.' };
+  }
+
+  // Verify signature
+  const isValidSignature = verifySignature(employee.devicePublicKey, dataToVerify, signature);
+  if (!isValidSignature) {
+    return { success: false, message: 'Device not authorized. Contact admin.' };
+  }
+
+  if (!attendance || !attendance.checkInTime) {
+    return { success: false, message: 'Please check in first' };
+  }
+
+  if (attendance.checkOutTime) {
+    return { success: false, message: 'Already checked out today' };
+  }
+
+  // Record check-out; a break left open ends at check-out
+  const checkOutTime = new Date().toISOString();
+  const punches = parsePunches(attendance);
+  if (getOpenBreak(punches)) {
+    punches.push({ type: PUNCH_TYPES.BREAK_END, time: checkOutTime, auto: true });
+  }
+  punches.push({ type: PUNCH_TYPES.CHECK_OUT, time: checkOutTime, signatureVerified: true });
+
+  const breakHours = calculateUnpaidBreakHours(punches, checkOutTime, attendance.checkInTime);
+  const workHours = calculateNetWorkHours(attendance.checkInTime, checkOutTime, punches);
+  const status = calculateAttendanceStatus(workHours, policy);
+  const earlyLeaveByMinutes = calculateEarlyLeaveMinutes(policy, businessDate, checkOutTime);
+
+  await databases.updateDocument(dbId, 'attendance', attendance.$id, {
+    checkOutTime,
+    checkOutLat: location?.latitude || null,
+    checkOutLng: location?.longitude || null,
+    checkOutAccuracy: location?.accuracy || null,
+    punches: JSON.stringify(punches),
+    breakHours,
+    workHours,
+    earlyLeaveByMinutes,
+    status
+  });
+
+  // Working a weekly off or holiday earns a comp-off credit
+  const compOffCredit = await syncCompOffCredit(databases, dbId, employee, attendance, status);
+
+  // Create audit log
+  await createAuditLog(databases, dbId, {
+    actorId: employee.$id,
+    action: AUDIT_ACTIONS.CHECK_OUT,
+    targetId: attendance.$id,
+    targetType: 'attendance',
+    payload: {
+      employeeName: employee.name,
+      date: businessDate,
+      checkOutTime,
+      workHours,
+      breakHours,
+      earlyLeaveByMinutes,
+      status,
+      location: location || null
+    },
+    deviceInfo: employee.deviceFingerprint,
+    signature,
+    signatureVerified: true
+  });
+
+  return {
+    success: true,
+    message: '✅ Check-out recorded successfully',
+    data: {
+      attendanceId: attendance.$id,
+      timestamp: checkOutTime,
+      status,
+      workHours,
+      breakHours,
+      earlyLeaveByMinutes,
+      compOffDays: compOffCredit ? compOffCredit.days : 0,
+      compOffStatus: compOffCredit ? compOffCredit.status : null
+    }
+  };
+};
+
+/**
+ * Handle break-start / break-end punches
+ * Signed like check-in/out: `${email}|${today}|break-start`
+ */
+const handleBreakPunch = async (payload, databases, dbId, punchType) => {
+  const { email, signature, dataToVerify, breakType = BREAK_TYPES.LUNCH } = payload;
+
+  if (!email || !signature || !dataToVerify) {
+    return { success: false, message: 'Please provide email and credentials' };
+  }
+
+  if (punchType === PUNCH_TYPES.BREAK_START && !Object.values(BREAK_TYPES).includes(breakType)) {
+    return { success: false, message: `Break type must be one of: ${Object.values(BREAK_TYPES).join(', ')}` };
+  }
+
+  const employee = await getEmployeeByEmail(databases, dbId, email);
+
+  if (!employee.devicePublicKey) {
+    return { success: false, message: 'Device not registered. Please register first.' };
+  }
+
+  const today = formatDate(getNowIST());
+  const expectedData = `${email}|${today}|${punchType}`;
+  if (dataToVerify !== expectedData) {
+    return { success: false, message: 'Stale or invalid request. Please retry.' };
+  }
+
+  if (!verifySignature(employee.devicePublicKey, dataToVerify, signature)) {
+    return { success: false, message: 'Device not authorized. Contact admin.' };
+  }
+
+  const resolveShift = await createShiftResolver(databases, dbId, employee);
+  const attendance = await findAttendanceForCheckOut(databases, dbId, employee.$id, today, resolveShift);
+
+  if (!attendance || !attendance.checkInTime) {
+    return { success: false, message: 'Please check in first' };
+  }
+  if (attendance.checkOutTime) {
+    return { success: false, message: 'Already checked out today' };
+  }
+
+  const punches = parsePunches(attendance);
+  const openBreak = getOpenBreak(punches);
+  const time = new Date().toISOString();
+
+  if (punchType === PUNCH_TYPES.BREAK_START) {
+    if (openBreak) return { success: false, message: 'A break is already in progress' };
+    punches.push({ type: PUNCH_TYPES.BREAK_START, time, breakType, signatureVerified: true });
+  } else {
+    if (!openBreak) return { success: false, message: 'No break in progress' };
+    punches.push({ type: PUNCH_TYPES.BREAK_END, time, breakType: openBreak.breakType, signatureVerified: true });
+  }
+
+  await databases.updateDocument(dbId, 'attendance', attendance.$id, {
+    punches: JSON.stringify(punches)
+  });
+
+  await createAuditLog(databases, dbId, {
+    actorId: employee.$id,
+    action: punchType === PUNCH_TYPES.BREAK_START ? AUDIT_ACTIONS.BREAK_STARTED : AUDIT_ACTIONS.BREAK_ENDED,
+    targetId: attendance.$id,
+    targetType: 'attendance',
+    payload: {
+      employeeName: employee.name,
+      date: attendance.date,
+      time,
+      breakType: punchType === PUNCH_TYPES.BREAK_START ? breakType : openBreak.breakType
+    },
+    deviceInfo: employee.deviceFingerprint,
+    signature,
+    signatureVerified: true
+  });
+
+  return {
+    success: true,
+    message: punchType === PUNCH_TYPES.BREAK_START ? 'Break started' : 'Break ended',
+    data: { attendanceId: attendance.$id, timestamp: time }
+  };
+};
+
+/**
+ * Handle device registration
+ */
+const handleRegisterDevice = async (payload, databases, dbId, callerId) => {
+  const { email, publicKey, deviceFingerprint } = payload;
+
+  if (!email || !publicKey) {
+    return { success: false, message: 'Email and public key required' };
+  }
+
+  if (!callerId) {
+    return { success: false, message: 'Authentication required' };
+  }
+
+  // Get employee
+  const employee = await getEmployeeByEmail(databases, dbId, email);
+
+  // Caller must be registering their own account
+  if (employee.$id !== callerId) {
+    return { success: false, message: 'Cannot register device for another user' };
+  }
+
+  // Check if device already registered
+  if (employee.devicePublicKey) {
+    return { success: false, message: 'Device already registered. Contact admin.' };
+  }
+
+  // Validate public key format
+  try {
+    forge.pki.publicKeyFromPem(publicKey);
+  } catch (err) {
+    return { success: false, message: 'Invalid key format' };
+  }
+
+  // Update employee with device info
+  await databases.updateDocument(dbId, 'employees', employee.$id, {
+    devicePublicKey: publicKey,
+    deviceFingerprint: deviceFingerprint || null,
+    deviceRegisteredAt: new Date().toISOString()
+  });
+
+  // Create audit log
+  await createAuditLog(databases, dbId, {
+    actorId: employee.$id,
+    action: AUDIT_ACTIONS.DEVICE_REGISTERED,
+    targetId: employee.$id,
+    targetType: 'employee',
+    payload: {
+      employeeName: employee.name,
+      deviceFingerprint
+    },
+    deviceInfo: deviceFingerprint
+  });
+
+  return {
+    success: true,
+    message: 'Device registered successfully',
+    data: {
+      deviceRegisteredAt: new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Handle get my attendance
+ */
+const handleGetMyAttendance = async (payload, databases, dbId, callerId) => {
+  const { month } = payload;
+
+  // Get employee
+  const employee = await getEmployee(databases, dbId, callerId);
+
+  // Determine month to fetch
+  const targetDate = month ? new Date(month + '-01') : getNowIST();
+  const targetMonth = formatMonth(targetDate);
+
+  // Get all attendance for the month
+  const result = await databases.listDocuments(dbId, 'attendance', [
+    Query.equal('employeeId', employee.$id),
+    Query.greaterThanEqual('date', targetMonth + '-01'),
+    Query.lessThan('date', targetMonth + '-32'),
+    Query.orderAsc('date')
+  ]);
+
+  // Expected shift per day comes from the roster, not from what was recorded
+  const resolveShift = await createShiftResolver(databases, dbId, employee);
+
+  const records = result.documents.map(doc => {
+    const shift = resolveShift(doc.date);
+    return {
+      date: doc.date,
+      day: new Date(doc.date).toLocaleDateString('en-US', { weekday: 'short' }),
+      status: doc.status,
+      expectedShift: {
+        id: shift.$id,
+        name: shift.name,
+        checkInOpen: shift.checkInOpen,
+        checkInClose: shift.checkInClose,
+        shiftEnd: shift.shiftEnd
+      },
+      checkInTime: doc.checkInTime,
+      checkOutTime: doc.checkOutTime,
+      workHours: doc.workHours || 0,
+      breakHours: doc.breakHours || 0,
+      lateByMinutes: doc.lateByMinutes || 0,
+      earlyLeaveByMinutes: doc.earlyLeaveByMinutes || 0,
+      punches: parsePunches(doc),
+      isAdminModified: !doc.isAutoCalculated,
+      isLocationFlagged: doc.isLocationFlagged,
+      missedPunch: !!doc.missedPunch,
+      notes: doc.notes || ''
+    };
+  });
+
+  // Calculate summary
+  const summary = {
+    presentDays: records.filter(r => r.status === ATTENDANCE_STATUS.PRESENT).length,
+    halfDays: records.filter(r => r.status === ATTENDANCE_STATUS.HALF_DAY).length,
+    absentDays: records.filter(r => r.status === ATTENDANCE_STATUS.ABSENT).length,
+    sundayDays: records.filter(r => r.status === ATTENDANCE_STATUS.SUNDAY).length,
+    holidayDays: records.filter(r => r.status === ATTENDANCE_STATUS.HOLIDAY).length,
+    leaveDays: records.filter(r => r.status === ATTENDANCE_STATUS.LEAVE).length,
+    unpaidLeaveDays: records.filter(r => r.status === ATTENDANCE_STATUS.UNPAID_LEAVE).length,
+    lateMarks: records.filter(r => r.lateByMinutes > 0).length,
+    earlyLeaves: records.filter(r => r.earlyLeaveByMinutes > 0).length
+  };
+
+  return {
+    success: true,
+    data: {
+      month: targetMonth,
+      records,
+      summary
+    }
+  };
+};
+
+/**
+ * Handle reset my password (user resets their own password)
+ */
+const handleResetMyPassword = async (payload, users, callerId) => {
+  const { newPassword } = payload;
+
+  if (!newPassword) {
+    return { success: false, message: 'New password is required' };
+  }
+
+  if (newPassword.length < 8) {
+    return { success: false, message: 'Password must be at least 8 characters' };
+  }
+
+  try {
+    await users.updatePassword(callerId, newPassword);
+    return { success: true, message: 'Password updated successfully' };
+  } catch (error) {
+    console.error('Password reset error:', error);
+    return { success: false, message: error.message || 'Failed to reset password' };
+  }
+};
+
+// ============================================
+// ADMIN ACTION HANDLERS
+// ============================================
+
+/**
+ * Handle create employee
+ */
+const handleCreateEmployee = async (payload, databases, users, dbId, callerId) => {
+  const { email, password, name, salary, joinDate, officeLocationId, region, weeklyOff, salaryStructureId, uan, esiNumber, payableDaysBasis } = payload.data || {};
+
+  if (!email || !password || !name) {
+    return { success: false, message: 'Name, email and password required' };
+  }
+
+  const weeklyOffInput = parseWeeklyOffInput(weeklyOff === undefined ? null : weeklyOff);
+  if (weeklyOffInput.error) return { success: false, message: weeklyOffInput.error };
+  const basisInput = parsePayableDaysBasisInput(payableDaysBasis);
+  if (basisInput.error) return { success: false, message: basisInput.error };
+  const bankDetails = parseBankDetailsInput(payload.data);
+  if (bankDetails.error) return { success: false, message: bankDetails.error };
+
+  let salaryValue = 8000;
+  if (salary !== undefined && salary !== null && salary !== '') {
+    const parsed = parseInt(salary);
+    if (isNaN(parsed) || parsed < 0) {
+      return { success: false, message: 'Salary must be a non-negative number' };
+    }
+    salaryValue = parsed;
+  }
+
+  let newUser;
+
+  try {
+    newUser = await users.create(ID.unique(), email, null, password, name);
+
+    await databases.createDocument(dbId, 'employees', newUser.$id, {
+      name,
+      email,
+      role: 'employee',
+      salaryMonthly: salaryValue,
+      joinDate: joinDate || new Date().toISOString(),
+      officeLocationId: officeLocationId || null,
+      region: region || null, // Overrides the office's region for regional holidays
+      weeklyOff: weeklyOffInput.value,
+      salaryStructureId: salaryStructureId || null, // null = the default structure
+      payableDaysBasis: basisInput.value, // null = the organisation's basis
+      uan: uan || null, // PF Universal Account Number, for the ECR
+      esiNumber: esiNumber || null, // ESI insurance (IP) number
+      ...bankDetails.values,
+      isActive: true
+    });
+
+    await createAuditLog(databases, dbId, {
+      actorId: callerId,
+      action: AUDIT_ACTIONS.EMPLOYEE_CREATED,
+      targetId: newUser.$id,
+      targetType: 'employee',
+      payload: {
+        employeeName: name,
+        email,
+        salary: salaryValue,
+        createdBy: callerId
+      }
+    });
+
+    return {
+      success: true,
+      message: 'Employee created successfully',
+      data: {
+        userId: newUser.$id,
+        email
+      }
+    };
+
+  } catch (err) {
+    if (newUser) {
+      try {
+        await users.delete(newUser.$id);
+      } catch (deleteErr) {
+        console.error(`Failed to rollback user ${newUser.$id}: ${deleteErr.message}`);
+      }
+    }
+    throw err;
+  }
+};
+
+/**
+ * Re-work the overtime of the week a record falls in after its hours changed
+ * (`previous` and `current` are the record before and after). Each month of the week with
+ * payroll is worked out on its own daily rate, as generation does: the week's records are
+ * restamped and the payroll's overtime moves by the difference. Months without payroll
+ * are left to generation.
+ */
+const syncWeekOvertime = async (databases, dbId, employee, previous, current) => {
+  const rules = await getSettings(databases, dbId, 'overtime');
+  if (!rules.enabled) return;
+
+  const weekStart = getWeekStart(current.date);
+  const weekEnd = addDays(weekStart, 6);
+  const [attendanceResult, weeklyOff, holidayDates, compOffDates] = await Promise.all([
+    databases.listDocuments(dbId, 'attendance', [
+      Query.equal('employeeId', employee.$id),
+      Query.greaterThanEqual('date', weekStart),
+      Query.lessThanEqual('date', weekEnd),
+      Query.limit(20)
+    ]),
+    getEmployeeWeeklyOff(databases, dbId, employee),
+    getHolidayDates(databases, dbId, employee, weekStart, weekEnd),
+    getCompOffCreditDates(databases, dbId, employee.$id)
+  ]);
+  const others = attendanceResult.documents
+    .filter(a => a.employeeId === employee.$id && a.date >= weekStart && a.date <= weekEnd && a.$id !== current.$id);
+  const toWorkedDays = (records) => records.filter(a => a.workHours > 0).map(a => ({
+    date: a.date,
+    hours: a.workHours,
+    dayType: isWeeklyOff(a.date, weeklyOff) ? 'sunday' : (holidayDates.has(a.date) ? 'holiday' : 'regular'),
+    approved: a.overtimeApproved
+  }));
+  // As in generation, off days that earned a comp-off get no premium
+  const earnsOvertime = (day) => day.dayType === 'regular' || !compOffDates.has(day.date);
+  const before = toWorkedDays([...others, previous]).filter(earnsOvertime);
+  const after = toWorkedDays([...others, current]).filter(earnsOvertime);
+
+  for (const month of new Set([weekStart.substring(0, 7), weekEnd.substring(0, 7)])) {
+    const payrollList = await databases.listDocuments(dbId, 'payroll', [
+      Query.equal('employeeId', employee.$id),
+      Query.equal('month', month),
+      Query.limit(1)
+    ]);
+    const payrollDoc = payrollList.documents[0];
+    if (!payrollDoc) continue;
+
+    const hourlyRate = (payrollDoc.dailyRate || 0) / rules.standardDayHours;
+    const inMonth = (day) => day.date.startsWith(month);
+    const calculate = (days) => calculateOvertime(days.filter(inMonth), rules, hourlyRate, days.filter(d => !inMonth(d)));
+    const oldOvertime = calculate(before);
+    const newOvertime = calculate(after);
+
+    for (const record of [...others, current].filter(inMonth)) {
+      const day = newOvertime.days[record.date];
+      const stamp = { overtimeHours: day ? day.hours : 0, overtimePay: day ? day.pay : 0 };
+      if (stamp.overtimeHours !== (record.overtimeHours || 0) || stamp.overtimePay !== (record.overtimePay || 0)) {
+        await databases.updateDocument(dbId, 'attendance', record.$id, stamp);
+      }
+    }
+
+    const payrollUpdate = {
+      overtimeHours: Math.max(0, parseFloat(((payrollDoc.overtimeHours || 0) + newOvertime.totalHours - oldOvertime.totalHours).toFixed(2))),
+      overtimePay: Math.max(0, parseFloat(((payrollDoc.overtimePay || 0) + newOvertime.totalPay - oldOvertime.totalPay).toFixed(2))),
+      pendingOvertimeHours: Math.max(0, parseFloat(((payrollDoc.pendingOvertimeHours || 0) + newOvertime.pendingHours - oldOvertime.pendingHours).toFixed(2)))
+    };
+    if (payrollUpdate.overtimePay === (payrollDoc.overtimePay || 0) && payrollUpdate.overtimeHours === (payrollDoc.overtimeHours || 0) &&
+        payrollUpdate.pendingOvertimeHours === (payrollDoc.pendingOvertimeHours || 0)) continue;
+    Object.assign(payrollUpdate, calculatePayrollAmounts({ ...payrollDoc, ...payrollUpdate }));
+    await databases.updateDocument(dbId, 'payroll', payrollDoc.$id, payrollUpdate);
+  }
+};
+
+/**
+ * Apply admin-approved changes to an attendance record
+ * Recalculates hours, status, late/early marks and the week's overtime, records the
+ * change in `attendance_modifications` (linked to the regularization request, if any)
+ * and adjusts the month's payroll when it already exists.
+ */
+const applyAttendanceModification = async (databases, dbId, attendance, modifications, { actorId, reason, regularizationId = null }) => {
+  const oldStatus = attendance.status;
+  const updateData = {
+    ...modifications,
+    isAutoCalculated: false
+  };
+
+  let newStatus = oldStatus;
+  let employee = null;
+
+  if (modifications.checkInTime || modifications.checkOutTime) {
+    const inTimeStr = modifications.checkInTime || attendance.checkInTime;
+    const outTimeStr = modifications.checkOutTime || attendance.checkOutTime;
+
+    // Corrected times re-evaluate late/early marks against the day's shift
+    employee = await getEmployee(databases, dbId, attendance.employeeId);
+    const resolveShift = await createShiftResolver(databases, dbId, employee);
+    const policy = resolveShift(attendance.date);
+    if (inTimeStr) updateData.lateByMinutes = calculateLateMinutes(policy, attendance.date, inTimeStr);
+    if (outTimeStr) updateData.earlyLeaveByMinutes = calculateEarlyLeaveMinutes(policy, attendance.date, outTimeStr);
+    
+    // Keep the timeline in step with the corrected times
+    const punches = correctCheckPunches(parsePunches(attendance), inTimeStr, outTimeStr);
+    updateData.punches = JSON.stringify(punches);
+
+    if (inTimeStr && outTimeStr) {
+        updateData.breakHours = calculateUnpaidBreakHours(punches, outTimeStr, inTimeStr);
+        updateData.workHours = calculateNetWorkHours(inTimeStr, outTimeStr, punches);
+
+        if (!modifications.status) {
+             newStatus = calculateAttendanceStatus(updateData.workHours, policy);
+             
+             updateData.status = newStatus;
+        } else {
+            newStatus = modifications.status;
+        }
+    }
+  } else if (modifications.status) {
+      newStatus = modifications.status;
+  }
+
+  await databases.updateDocument(dbId, 'attendance', attendance.$id, updateData);
+  await syncCompOffCredit(databases, dbId, { $id: attendance.employeeId }, attendance, newStatus, actorId);
+  if (updateData.workHours !== undefined && updateData.workHours !== attendance.workHours) {
+    await syncWeekOvertime(databases, dbId, employee, attendance, { ...attendance, ...updateData });
+  }
+  await databases.createDocument(dbId, 'attendance_modifications', ID.unique(), {
+    attendanceId: attendance.$id,
+    employeeId: attendance.employeeId,
+    modifiedBy: actorId,
+    modifiedAt: new Date().toISOString(),
+    reason,
+    regularizationId,
+    originalValue: JSON.stringify({ status: oldStatus }),
+    newValue: JSON.stringify({ status: newStatus })
+  });
+
+  await createAuditLog(databases, dbId, {
+    actorId,
+    action: AUDIT_ACTIONS.ATTENDANCE_MODIFIED,
+    targetId: attendance.$id,
+    targetType: 'attendance',
+    payload: { employeeId: attendance.employeeId, reason, regularizationId }
+  });
+
+  const lateMarkDelta = updateData.lateByMinutes === undefined ? 0
+    : (updateData.lateByMinutes > 0 ? 1 : 0) - (attendance.lateByMinutes > 0 ? 1 : 0);
+  const earlyLeaveDelta = updateData.earlyLeaveByMinutes === undefined ? 0
+    : (updateData.earlyLeaveByMinutes > 0 ? 1 : 0) - (attendance.earlyLeaveByMinutes > 0 ? 1 : 0);
+
+  if (oldStatus !== newStatus || lateMarkDelta !== 0 || earlyLeaveDelta !== 0) {
+      const month = attendance.date.substring(0, 7);
+      
+      const payrollList = await databases.listDocuments(dbId, 'payroll', [
+        Query.equal('employeeId', attendance.employeeId),
+        Query.equal('month', month),
+        Query.limit(1)
+      ]);
+
+      if (payrollList.total > 0) {
+        const payrollDoc = payrollList.documents[0];
+        
+        const payrollUpdate = {
+            presentDays: payrollDoc.presentDays,
+            halfDays: payrollDoc.halfDays,
+            absentDays: payrollDoc.absentDays,
+            sundayDays: payrollDoc.sundayDays,
+            holidayDays: payrollDoc.holidayDays,
+            leaveDays: payrollDoc.leaveDays,
+            unpaidLeaveDays: payrollDoc.unpaidLeaveDays || 0,
+            halfDayLeaves: payrollDoc.halfDayLeaves || 0
+        };
+
+        if (PAYROLL_DAY_FIELDS[oldStatus]) payrollUpdate[PAYROLL_DAY_FIELDS[oldStatus]]--;
+        if (PAYROLL_DAY_FIELDS[newStatus]) payrollUpdate[PAYROLL_DAY_FIELDS[newStatus]]++;
+
+        // A half-day leave only tops up days that are not already fully paid
+        if (attendance.halfDayLeave) {
+            payrollUpdate.halfDayLeaves += (HALF_DAY_LEAVE_STATUSES.includes(newStatus) ? 1 : 0) -
+                                           (HALF_DAY_LEAVE_STATUSES.includes(oldStatus) ? 1 : 0);
+        }
+
+        payrollUpdate.lateMarks = (payrollDoc.lateMarks || 0) + lateMarkDelta;
+        payrollUpdate.earlyLeaves = (payrollDoc.earlyLeaves || 0) + earlyLeaveDelta;
+
+        Object.keys(payrollUpdate).forEach(key => {
+            if (payrollUpdate[key] < 0) payrollUpdate[key] = 0;
+        });
+
+        if (lateMarkDelta !== 0 || earlyLeaveDelta !== 0) {
+            const penaltyRules = await getSettings(databases, dbId, 'penalties');
+            payrollUpdate.penaltyDays = calculatePenaltyDays(payrollUpdate.lateMarks, payrollUpdate.earlyLeaves, penaltyRules);
+            payrollUpdate.penaltyDeduction = parseFloat((payrollUpdate.penaltyDays * payrollDoc.dailyRate).toFixed(2));
+        }
+
+        Object.assign(payrollUpdate, calculatePayrollAmounts({ ...payrollDoc, ...payrollUpdate }));
+        await databases.updateDocument(dbId, 'payroll', payrollDoc.$id, payrollUpdate);
+      }
+  }
+
+  return { oldStatus, newStatus };
+};
+
+/**
+ * Handle modify attendance
+ */
+const handleModifyAttendance = async (payload, databases, dbId, callerId) => {
+  const { attendanceId, reason, modifications } = payload;
+
+  if (!attendanceId || !reason || !modifications) {
+    return { success: false, message: 'Attendance ID, reason and changes required' };
+  }
+
+  const attendance = await databases.getDocument(dbId, 'attendance', attendanceId);
+
+  if (attendance.isLocked) {
+    return { success: false, message: 'Record locked. Unlock payroll first.' };
+  }
+
+  await applyAttendanceModification(databases, dbId, attendance, modifications, { actorId: callerId, reason });
+
+  return { success: true, message: 'Attendance updated' };
+};
+
+/**
+ * Handle approve/reject overtime for a day (used when overtime requires approval)
+ */
+const handleDecideOvertime = async (payload, databases, dbId, callerId, approved) => {
+  const { attendanceId, comment } = payload;
+  if (!attendanceId) return { success: false, message: 'attendanceId required' };
+
+  const attendance = await databases.getDocument(dbId, 'attendance', attendanceId);
+  if (attendance.isLocked) {
+    return { success: false, message: 'Record locked. Unlock payroll first.' };
+  }
+
+  await databases.updateDocument(dbId, 'attendance', attendanceId, {
+    overtimeApproved: approved,
+    overtimeReviewedBy: callerId
+  });
+
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: approved ? AUDIT_ACTIONS.OVERTIME_APPROVED : AUDIT_ACTIONS.OVERTIME_REJECTED,
+    targetId: attendanceId,
+    targetType: 'attendance',
+    payload: { employeeId: attendance.employeeId, date: attendance.date, workHours: attendance.workHours, comment }
+  });
+
+  return { success: true, message: approved ? 'Overtime approved' : 'Overtime rejected' };
+};
+
+/**
+ * Handle reset device
+ */
+const handleResetDevice = async (payload, databases, dbId, callerId) => {
+  const { employeeId, reason } = payload;
+
+  if (!employeeId || !reason) {
+    return { success: false, message: 'Employee ID and reason required' };
+  }
+
+  // Get employee
+  const employee = await getEmployee(databases, dbId, employeeId);
+
+  // Reset device
+  await databases.updateDocument(dbId, 'employees', employeeId, {
+    devicePublicKey: null,
+    deviceFingerprint: null,
+    deviceRegisteredAt: null
+  });
+
+  // Create audit log
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: AUDIT_ACTIONS.DEVICE_RESET,
+    targetId: employeeId,
+    targetType: 'employee',
+    payload: {
+      employeeName: employee.name,
+      reason,
+      resetBy: callerId
+    }
+  });
+
+  return {
+    success: true,
+    message: 'Device reset. Employee must re-register.'
+  };
+};
+
+/**
+ * Months with generated payroll in which a holiday falls (every year up to this one if
+ * recurring): [{ month, dates, payrolls }]
+ */
+const getHolidayPayrollMonths = async (databases, dbId, holiday) => {
+  const endOfYear = `${getNowIST().getFullYear()}-12-31`;
+  const datesByMonth = {};
+  expandRecurringHolidays([holiday], holiday.date, endOfYear).forEach(({ date }) => {
+    (datesByMonth[date.slice(0, 7)] = datesByMonth[date.slice(0, 7)] || []).push(date);
+  });
+
+  const months = [];
+  for (const month of Object.keys(datesByMonth).sort()) {
+    // Every employee's payroll, so the lock check and re-classification miss no one
+    const payrolls = [];
+    let cursor = null;
+    while (true) {
+      const queries = [Query.equal('month', month), Query.limit(100), Query.orderAsc('$id')];
+      if (cursor) queries.push(Query.cursorAfter(cursor));
+      const result = await databases.listDocuments(dbId, 'payroll', queries);
+      payrolls.push(...result.documents.filter(p => p.month === month));
+      if (result.documents.length < 100) break;
+      cursor = result.documents[result.documents.length - 1].$id;
+    }
+    if (payrolls.length > 0) months.push({ month, dates: datesByMonth[month], payrolls });
+  }
+  return months;
+};
+
+/**
+ * Error for holiday changes in months whose payroll is locked, or null
+ */
+const getLockedHolidayMonthsError = (payrollMonths) => {
+  const locked = payrollMonths.filter(m => m.payrolls.some(p => p.isLocked)).map(m => m.month);
+  return locked.length > 0
+    ? `Payroll for ${locked.join(', ')} is locked. Unlock it before changing holidays in that month.`
+    : null;
+};
+
+/**
+ * Employee days a holiday applies to in months with generated payroll:
+ * [{ employee, date, payroll }]
+ */
+const collectHolidayAttendanceDays = async (databases, dbId, holiday, payrollMonths) => {
+  const days = [];
+  for (const { dates, payrolls } of payrollMonths) {
+    for (const payroll of payrolls) {
+      let employee;
+      try {
+        employee = await getEmployee(databases, dbId, payroll.employeeId);
+      } catch (err) {
+        continue;
+      }
+      const scope = await getHolidayScope(databases, dbId, employee, dates[0], dates[dates.length - 1]);
+      dates.forEach(date => {
+        if (filterHolidaysForScope([{ ...holiday, date }], scope).length > 0) days.push({ employee, date, payroll });
+      });
+    }
+  }
+  return days;
+};
+
+/**
+ * Re-classify auto-marked attendance on days whose holidays changed and recount payroll
+ * An auto-marked absent day that is now a holiday becomes `holiday`; an auto-marked
+ * holiday that no longer is becomes a weekly off or absent. Returns the correction report.
+ */
+const reclassifyHolidayAttendance = async (databases, dbId, days) => {
+  const weeklyOffRules = await getWeeklyOffRules(databases, dbId);
+  const attendance = [];
+  const changesByPayroll = {};
+  const seen = new Set();
+
+  for (const { employee, date, payroll } of days) {
+    const key = `${employee.$id}|${date}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const [attendanceResult, holidays] = await Promise.all([
+      databases.listDocuments(dbId, 'attendance', [
+        Query.equal('employeeId', employee.$id),
+        Query.equal('date', date),
+        Query.limit(1)
+      ]),
+      getEmployeeHolidays(databases, dbId, employee, date, date)
+    ]);
+    const record = attendanceResult.documents.find(a => a.employeeId === employee.$id && a.date === date);
+    if (!record || !record.isAutoCalculated) continue;
+
+    let update = null;
+    if (holidays.length > 0 && record.status === ATTENDANCE_STATUS.ABSENT) {
+      update = { status: ATTENDANCE_STATUS.HOLIDAY, notes: holidays[0].name };
+    } else if (holidays.length === 0 && record.status === ATTENDANCE_STATUS.HOLIDAY) {
+      update = isWeeklyOff(date, resolveWeeklyOff(employee, weeklyOffRules))
+        ? { status: ATTENDANCE_STATUS.SUNDAY, notes: 'Weekly off' }
+        : { status: ATTENDANCE_STATUS.ABSENT, notes: 'Holiday removed' };
+    }
+    if (!update) continue;
+
+    await databases.updateDocument(dbId, 'attendance', record.$id, update);
+    const change = { oldStatus: record.status, newStatus: update.status, halfDayLeave: !!record.halfDayLeave };
+    attendance.push({ attendanceId: record.$id, employeeId: employee.$id, date, oldStatus: change.oldStatus, newStatus: change.newStatus });
+    if (!changesByPayroll[payroll.$id]) changesByPayroll[payroll.$id] = { payroll, changes: [] };
+    changesByPayroll[payroll.$id].changes.push(change);
+  }
+
+  const payrolls = [];
+  for (const { payroll, changes } of Object.values(changesByPayroll)) {
+    const update = recountPayrollDays(payroll, changes);
+    await databases.updateDocument(dbId, 'payroll', payroll.$id, update);
+    payrolls.push({
+      payrollId: payroll.$id,
+      employeeId: payroll.employeeId,
+      month: payroll.month,
+      netSalaryBefore: payroll.netSalary,
+      netSalaryAfter: update.netSalary
+    });
+  }
+
+  return { attendance, payrolls };
+};
+
+/**
+ * Handle create holiday
+ */
+const handleCreateHoliday = async (payload, databases, dbId, callerId) => {
+  const { date, name, officeLocationId, region, isOptional, isRecurring } = payload;
+
+  if (!date || !name) {
+    return { success: false, message: 'Date and name required' };
+  }
+
+  // Office/region limit who observes it (none = everyone).
+  // A recurring holiday repeats on the same day every year from `date` on.
+  const holidayData = {
+    date,
+    name,
+    officeLocationId: officeLocationId || null,
+    region: region || null,
+    isOptional: !!isOptional,
+    isRecurring: !!isRecurring
+  };
+
+  // Months already paid out can only change once their payroll is unlocked
+  const payrollMonths = await getHolidayPayrollMonths(databases, dbId, holidayData);
+  const lockedError = getLockedHolidayMonthsError(payrollMonths);
+  if (lockedError) return { success: false, message: lockedError };
+
+  try {
+    // Create holiday
+    const holiday = await databases.createDocument(dbId, 'holidays', ID.unique(), holidayData);
+    const corrections = await reclassifyHolidayAttendance(databases, dbId,
+      await collectHolidayAttendanceDays(databases, dbId, { $id: holiday.$id, ...holidayData }, payrollMonths));
+
+    // Create audit log
+    await createAuditLog(databases, dbId, {
+      actorId: callerId,
+      action: AUDIT_ACTIONS.HOLIDAY_CREATED,
+      targetId: holiday.$id,
+      targetType: 'holiday',
+      payload: {
+        date,
+        name,
+        officeLocationId: officeLocationId || null,
+        region: region || null,
+        isOptional: !!isOptional,
+        isRecurring: !!isRecurring,
+        reclassifiedDays: corrections.attendance.length,
+        createdBy: callerId
+      }
+    });
+
+    return {
+      success: true,
+      message: 'Holiday created successfully',
+      data: {
+        holidayId: holiday.$id,
+        corrections
+      }
+    };
+  } catch (err) {
+    if (err.code === 409 || err.type === 'document_already_exists') {
+      return { success: false, message: 'Holiday already exists for this date' };
+    }
+    throw err;
+  }
+};
+
+/**
+ * Handle update holiday (rename, move, rescope, or make recurring)
+ */
+const handleUpdateHoliday = async (payload, databases, dbId, callerId) => {
+  const { holidayId, data } = payload;
+  if (!holidayId || !data) return { success: false, message: 'holidayId and data required' };
+
+  const holiday = await databases.getDocument(dbId, 'holidays', holidayId);
+  const updates = {};
+  if (data.date !== undefined) {
+    if (!DATE_REGEX.test(data.date) || formatDate(new Date(`${data.date}T00:00:00Z`)) !== data.date) {
+      return { success: false, message: 'Date must be YYYY-MM-DD' };
+    }
+    updates.date = data.date;
+  }
+  if (data.name !== undefined) {
+    if (!data.name) return { success: false, message: 'Name cannot be empty' };
+    updates.name = data.name;
+  }
+  if (data.officeLocationId !== undefined) updates.officeLocationId = data.officeLocationId || null;
+  if (data.region !== undefined) updates.region = data.region || null;
+  if (data.isOptional !== undefined) updates.isOptional = !!data.isOptional;
+  if (data.isRecurring !== undefined) updates.isRecurring = !!data.isRecurring;
+  if (Object.keys(updates).length === 0) return { success: false, message: 'Nothing to update' };
+
+  // A rename changes no attendance; anything else moves the holiday off some days and onto others
+  const updatedHoliday = { ...holiday, ...updates };
+  const affectsDays = Object.keys(updates).some(field => field !== 'name');
+  const oldMonths = affectsDays ? await getHolidayPayrollMonths(databases, dbId, holiday) : [];
+  const newMonths = affectsDays ? await getHolidayPayrollMonths(databases, dbId, updatedHoliday) : [];
+  const lockedError = getLockedHolidayMonthsError([...oldMonths, ...newMonths]);
+  if (lockedError) return { success: false, message: lockedError };
+
+  const oldDays = await collectHolidayAttendanceDays(databases, dbId, holiday, oldMonths);
+  await databases.updateDocument(dbId, 'holidays', holidayId, updates);
+
+  // Picks of a moved one-off optional holiday move with it
+  if (updates.date && updates.date !== holiday.date && holiday.isOptional && !holiday.isRecurring) {
+    const selections = await databases.listDocuments(dbId, 'holiday_selections', [
+      Query.equal('holidayId', holidayId),
+      Query.limit(500)
+    ]);
+    await Promise.all(selections.documents.map(sel =>
+      databases.updateDocument(dbId, 'holiday_selections', sel.$id, { date: updates.date })
+    ));
+  }
+
+  const newDays = await collectHolidayAttendanceDays(databases, dbId, updatedHoliday, newMonths);
+  const corrections = await reclassifyHolidayAttendance(databases, dbId, [...oldDays, ...newDays]);
+
+  const before = {};
+  Object.keys(updates).forEach(field => { before[field] = holiday[field] === undefined ? null : holiday[field]; });
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: AUDIT_ACTIONS.HOLIDAY_UPDATED,
+    targetId: holidayId,
+    targetType: 'holiday',
+    payload: { before, after: updates, reclassifiedDays: corrections.attendance.length }
+  });
+
+  return { success: true, message: 'Holiday updated successfully', data: { corrections } };
+};
+
+/**
+ * Handle delete holiday
+ */
+const handleDeleteHoliday = async (payload, databases, dbId, callerId) => {
+  const { holidayId } = payload;
+
+  if (!holidayId) {
+    return { success: false, message: 'Holiday ID required' };
+  }
+
+  // Get holiday
+  const holiday = await databases.getDocument(dbId, 'holidays', holidayId);
+
+  const payrollMonths = await getHolidayPayrollMonths(databases, dbId, holiday);
+  const lockedError = getLockedHolidayMonthsError(payrollMonths);
+  if (lockedError) return { success: false, message: lockedError };
+  const days = await collectHolidayAttendanceDays(databases, dbId, holiday, payrollMonths);
+
+  // Delete holiday, and any picks of it as an optional holiday
+  await databases.deleteDocument(dbId, 'holidays', holidayId);
+  if (holiday.isOptional) {
+    const selections = await databases.listDocuments(dbId, 'holiday_selections', [
+      Query.equal('holidayId', holidayId),
+      Query.limit(500)
+    ]);
+    await Promise.all(selections.documents.map(sel => databases.deleteDocument(dbId, 'holiday_selections', sel.$id)));
+  }
+  const corrections = await reclassifyHolidayAttendance(databases, dbId, days);
+
+  // Create audit log
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: AUDIT_ACTIONS.HOLIDAY_DELETED,
+    targetId: holidayId,
+    targetType: 'holiday',
+    payload: {
+      date: holiday.date,
+      name: holiday.name,
+      reclassifiedDays: corrections.attendance.length,
+      deletedBy: callerId
+    }
+  });
+
+  return {
+    success: true,
+    message: 'Holiday deleted successfully',
+    data: { corrections }
+  };
+};
+
+/**
+ * Handle get holidays (public - all authenticated users)
+ */
+const handleGetHolidays = async (payload, databases, dbId, callerId) => {
+  // Get current year's holidays and next year's (for planning)
+  const currentYear = new Date().getFullYear();
+  const startDate = `${currentYear}-01-01`;
+  const endDate = `${currentYear + 1}-12-31`;
+
+  let employee = null;
+  if (callerId) {
+    try {
+      employee = await getEmployee(databases, dbId, callerId);
+    } catch (err) {
+      employee = null; // Admins without an employee record see the holidays everyone observes
+    }
+  }
+
+  const [allHolidays, scope, rules] = await Promise.all([
+    listHolidays(databases, dbId, startDate, endDate),
+    getHolidayScope(databases, dbId, employee, startDate, endDate),
+    getSettings(databases, dbId, 'holidays')
+  ]);
+
+  // `all` lists every office's calendar (admin screens); otherwise the caller's own,
+  // including optional holidays they may still pick
+  const holidays = payload.all
+    ? allHolidays
+    : filterHolidaysForScope(allHolidays, scope, { includeUnpicked: true });
+
+  return {
+    success: true,
+    data: {
+      holidays: holidays.map(h => ({
+        $id: h.$id,
+        date: h.date,
+        name: h.name,
+        officeLocationId: h.officeLocationId || null,
+        region: h.region || null,
+        isOptional: !!h.isOptional,
+        isRecurring: !!h.isRecurring,
+        isSelected: !!h.isOptional && scope.selectedHolidays.has(holidaySelectionKey(h.$id, h.date))
+      })),
+      optionalPerYear: rules.optionalPerYear
+    }
+  };
+};
+
+/**
+ * Handle pick/unpick an optional holiday (employee)
+ * Picks are limited per calendar year and can only be changed for upcoming holidays.
+ * For a recurring holiday, `date` picks the year's occurrence (default: the next one).
+ */
+const handleSelectOptionalHoliday = async (payload, databases, dbId, callerId, selected) => {
+  const { holidayId } = payload;
+  if (!holidayId) return { success: false, message: 'holidayId required' };
+
+  const employee = await getEmployee(databases, dbId, callerId);
+  const holiday = await databases.getDocument(dbId, 'holidays', holidayId);
   const today = formatDate(getNowIST());
-  const expectedData = `${email}|${today}|check-in`;
-  if (dataToVerify !== expectedData) {
-    return { success: false, message: 'Stale or invalid request. Please retry.' };
+
+  let date = holiday.date;
+  if (holiday.isRecurring) {
+    const occurrences = expandRecurringHolidays([holiday], addDays(today, 1), addDays(today, 366));
+    date = payload.date || (occurrences[0] && occurrences[0].date);
+    if (!DATE_REGEX.test(date || '') || expandRecurringHolidays([holiday], date, date).length === 0) {
+      return { success: false, message: `${holiday.name} does not fall on ${date}` };
+    }
   }
+  const year = date.slice(0, 4);
+  const scope = await getHolidayScope(databases, dbId, employee, `${year}-01-01`, `${year}-12-31`);
 
-  // Verify signature
-  const isValidSignature = verifySignature(employee.devicePublicKey, dataToVerify, signature);
-  if (!isValidSignature) {
-    return { success: false, message: 'Device not authorized. Contact admin.' };
+  if (!holiday.isOptional || filterHolidaysForScope([holiday], scope, { includeUnpicked: true }).length === 0) {
+    return { success: false, message: 'This is not an optional holiday in your calendar' };
+  }
+  if (date <= today) {
+    return { success: false, message: 'Only upcoming optional holidays can be changed' };
+  }
+
+  const alreadySelected = scope.selectedHolidays.has(holidaySelectionKey(holidayId, date));
+  if (selected === alreadySelected) {
+    return { success: false, message: `Holiday already ${selected ? 'selected' : 'not selected'}` };
+  }
+
+  if (selected) {
+    const rules = await getSettings(databases, dbId, 'holidays');
+    if (scope.selectedHolidays.size >= rules.optionalPerYear) {
+      return { success: false, message: `You can pick only ${rules.optionalPerYear} optional holiday(s) a year` };
+    }
+    await databases.createDocument(dbId, 'holiday_selections', ID.unique(), {
+      employeeId: employee.$id,
+      holidayId,
+      date,
+      selectedAt: new Date().toISOString()
+    });
+  } else {
+    const existing = await databases.listDocuments(dbId, 'holiday_selections', [
+      Query.equal('employeeId', employee.$id),
+      Query.equal('holidayId', holidayId),
+      Query.equal('date', date),
+      Query.limit(10)
+    ]);
+    await Promise.all(existing.documents.map(sel => databases.deleteDocument(dbId, 'holiday_selections', sel.$id)));
+  }
+
+  await createAuditLog(databases, dbId, {
+    actorId: employee.$id,
+    action: selected ? AUDIT_ACTIONS.HOLIDAY_SELECTED : AUDIT_ACTIONS.HOLIDAY_UNSELECTED,
+    targetId: holidayId,
+    targetType: 'holiday',
+    payload: { date, name: holiday.name }
+  });
+
+  return { success: true, message: selected ? 'Optional holiday selected' : 'Optional holiday removed' };
+};
+
+/**
+ * Handle import holidays from an .ics or CSV (date, name, scope) file
+ * Previews by default: rows are validated and matched against existing holidays with the
+ * same date and office/region. With `commit`, the new ones are created under one audit entry.
+ */
+const handleImportHolidays = async (payload, databases, dbId, callerId) => {
+  const { format, content, scope, commit } = payload;
+  if (!['ics', 'csv'].includes(format) || !content) {
+    return { success: false, message: 'format (ics or csv) and content required' };
+  }
+
+  // .ics events take the import's scope; CSV rows may carry their own
+  const defaultScope = parseHolidayScope(scope);
+  if (defaultScope.error) return { success: false, message: defaultScope.error };
+  const rows = format === 'ics' ? parseICS(content) : parseHolidayCSV(content);
+
+  const invalid = [];
+  const candidates = [];
+  rows.forEach(row => {
+    const rowScope = row.scope ? parseHolidayScope(row.scope) : defaultScope;
+    if (row.error) {
+      invalid.push({ line: row.line, reason: row.error });
+    } else if (!DATE_REGEX.test(row.date || '') || isNaN(new Date(row.date).getTime())) {
+      invalid.push({ line: row.line, reason: 'Date must be YYYY-MM-DD' });
+    } else if (!row.name) {
+      invalid.push({ line: row.line, reason: 'Name required' });
+    } else if (rowScope.error) {
+      invalid.push({ line: row.line, reason: rowScope.error });
+    } else {
+      candidates.push({
+        line: row.line,
+        date: row.date,
+        name: row.name,
+        ...rowScope,
+        isRecurring: rowScope.isRecurring || !!row.isRecurring
+      });
+    }
+  });
+
+  const dates = candidates.map(c => c.date).sort();
+  const existing = dates.length > 0
+    ? await listHolidays(databases, dbId, dates[0], dates[dates.length - 1])
+    : [];
+
+  const scopeKey = (h) => `${h.date}|${h.officeLocationId || ''}|${h.region || ''}`;
+  const existingByKey = {};
+  existing.forEach(h => { existingByKey[scopeKey(h)] = h; });
+
+  const toCreate = [];
+  const duplicates = [];
+  const seen = new Set();
+  const payrollMonthsByCandidate = new Map();
+  for (const candidate of candidates) {
+    const key = scopeKey(candidate);
+    const match = existingByKey[key];
+    if (match) {
+      duplicates.push({ ...candidate, existingHolidayId: match.$id, existingName: match.name });
+      continue;
+    }
+    if (seen.has(key)) {
+      duplicates.push({ ...candidate, existingHolidayId: null, existingName: 'Repeated in file' });
+      continue;
+    }
+
+    // Holidays in months already paid out need the month's payroll unlocked first
+    const payrollMonths = await getHolidayPayrollMonths(databases, dbId, candidate);
+    const lockedError = getLockedHolidayMonthsError(payrollMonths);
+    if (lockedError) {
+      invalid.push({ line: candidate.line, reason: lockedError });
+      continue;
+    }
+    seen.add(key);
+    payrollMonthsByCandidate.set(candidate, payrollMonths);
+    toCreate.push(candidate);
+  }
+
+  if (!commit) {
+    return {
+      success: true,
+      message: `${toCreate.length} holiday(s) to import, ${duplicates.length} duplicate(s), ${invalid.length} invalid`,
+      data: { preview: true, toCreate, duplicates, invalid }
+    };
+  }
+
+  const created = [];
+  const correctionDays = [];
+  for (const holiday of toCreate) {
+    const holidayData = {
+      date: holiday.date,
+      name: holiday.name,
+      officeLocationId: holiday.officeLocationId,
+      region: holiday.region,
+      isOptional: holiday.isOptional,
+      isRecurring: holiday.isRecurring
+    };
+    try {
+      const doc = await databases.createDocument(dbId, 'holidays', ID.unique(), holidayData);
+      created.push({ ...holiday, $id: doc.$id });
+      correctionDays.push(...await collectHolidayAttendanceDays(databases, dbId,
+        { $id: doc.$id, ...holidayData }, payrollMonthsByCandidate.get(holiday)));
+    } catch (err) {
+      if (err.code === 409 || err.type === 'document_already_exists') {
+        duplicates.push({ ...holiday, existingHolidayId: null, existingName: 'Already exists' });
+        continue;
+      }
+      // All or nothing: remove what this import created (attendance is only
+      // re-classified once every holiday is in)
+      for (const doc of created) {
+        try {
+          await databases.deleteDocument(dbId, 'holidays', doc.$id);
+        } catch (deleteErr) {
+          console.error(`Failed to rollback holiday ${doc.$id}: ${deleteErr.message}`);
+        }
+      }
+      throw err;
+    }
+  }
+  const corrections = await reclassifyHolidayAttendance(databases, dbId, correctionDays);
+
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: AUDIT_ACTIONS.HOLIDAYS_IMPORTED,
+    targetId: 'holidays',
+    targetType: 'holiday',
+    payload: {
+      format,
+      created: created.map(h => ({ id: h.$id, date: h.date, name: h.name })),
+      duplicates: duplicates.length,
+      invalid: invalid.length,
+      reclassifiedDays: corrections.attendance.length
+    }
+  });
+
+  return {
+    success: true,
+    message: `Imported ${created.length} holiday(s)`,
+    data: { preview: false, created, duplicates, invalid, corrections }
+  };
+};
+
+/**
+ * Handle export holidays as an iCalendar (.ics) feed of the caller's own calendar
+ * (current and next year, with the optional holidays they picked)
+ */
+const handleExportHolidays = async (payload, databases, dbId, callerId) => {
+  const currentYear = new Date().getFullYear();
+  const startDate = `${currentYear}-01-01`;
+  const endDate = `${currentYear + 1}-12-31`;
+
+  let employee = null;
+  if (callerId) {
+    try {
+      employee = await getEmployee(databases, dbId, callerId);
+    } catch (err) {
+      employee = null; // Admins without an employee record get the holidays everyone observes
+    }
+  }
+
+  const holidays = await getEmployeeHolidays(databases, dbId, employee, startDate, endDate);
+  return {
+    success: true,
+    data: {
+      filename: 'holidays.ics',
+      contentType: 'text/calendar',
+      content: buildHolidayICS(holidays, 'Holidays')
+    }
+  };
+};
+
+/**
+ * Handle add office location
+ */
+const handleAddOfficeLocation = async (payload, databases, dbId, callerId) => {
+  const { name, latitude, longitude, radiusMeters, region, weeklyOff } = payload;
+
+  if (!name || latitude === undefined || longitude === undefined) {
+    return { success: false, message: 'Name and coordinates required' };
+  }
+
+  const weeklyOffInput = parseWeeklyOffInput(weeklyOff === undefined ? null : weeklyOff);
+  if (weeklyOffInput.error) return { success: false, message: weeklyOffInput.error };
+
+  const location = await databases.createDocument(dbId, 'office_locations', ID.unique(), {
+    name,
+    latitude,
+    longitude,
+    radiusMeters: radiusMeters || 100,
+    region: region || null, // State/region whose regional holidays the office observes
+    weeklyOff: weeklyOffInput.value, // null = the organisation's weekly off
+    isActive: true,
+    createdBy: callerId
+  });
+
+  return {
+    success: true,
+    message: 'Office location added successfully',
+    data: {
+      locationId: location.$id
+    }
+  };
+};
+
+// ============================================
+// LEAVE MANAGEMENT
+// ============================================
+
+/**
+ * Create a pending leave request for an employee over a date range
+ * The first and/or last day may be a half day. Returns { error } when the range is
+ * invalid, charges no days, or overlaps an open request.
+ */
+const createLeaveRequest = async (databases, dbId, employeeId, { startDate, endDate, halfDayStart, halfDayEnd, type, reason }) => {
+  if (!DATE_REGEX.test(startDate) || !DATE_REGEX.test(endDate)) {
+    return { error: 'Dates must be YYYY-MM-DD' };
+  }
+  if (endDate < startDate) return { error: 'endDate cannot be before startDate' };
+  if (daysBetween(startDate, endDate) >= MAX_LEAVE_SPAN_DAYS) {
+    return { error: `A leave request cannot span more than ${MAX_LEAVE_SPAN_DAYS} days` };
+  }
+
+  const catalogue = await getLeaveCatalogue(databases, dbId);
+  if (!catalogue[type] || !catalogue[type].isActive) {
+    const codes = Object.values(catalogue).filter(t => t.isActive).map(t => t.code);
+    return { error: `Unknown leave type. Use one of: ${codes.join(', ')}` };
   }
 
-  // Check if already checked in today
-  const existingAttendance = await getAttendanceByDate(databases, dbId, employee.$id, today);
+  const range = {
+    startDate,
+    endDate,
+    halfDayStart: !!halfDayStart,
+    halfDayEnd: startDate !== endDate && !!halfDayEnd
+  };
+  const employee = await databases.getDocument(dbId, 'employees', employeeId);
+  const [rules, holidayDates, weeklyOff] = await Promise.all([
+    getSettings(databases, dbId, 'leave'),
+    getHolidayDates(databases, dbId, employee, startDate, endDate),
+    getEmployeeWeeklyOff(databases, dbId, employee)
+  ]);
+  const days = countLeaveDays(expandLeaveDates(range, holidayDates, rules, weeklyOff));
+  if (days === 0) return { error: 'The selected dates have no working days' };
 
-  if (existingAttendance && existingAttendance.checkInTime) {
-    return { success: false, message: 'Already checked in today' };
+  // Open requests starting up to a maximum span earlier may still overlap this range
+  const existing = await databases.listDocuments(dbId, 'leaves', [
+    Query.equal('employeeId', employeeId),
+    Query.equal('status', [LEAVE_STATUS.PENDING, LEAVE_STATUS.APPROVED]),
+    Query.greaterThanEqual('date', addDays(startDate, -MAX_LEAVE_SPAN_DAYS)),
+    Query.lessThanEqual('date', endDate),
+    Query.limit(100)
+  ]);
+  const overlapping = existing.documents.find(l => (l.endDate || l.date) >= startDate);
+  if (overlapping) {
+    return { error: `Leave already ${overlapping.status} from ${overlapping.startDate || overlapping.date} to ${overlapping.endDate || overlapping.date}` };
   }
 
-  // Validate location - REQUIRED and must be within office premises
-  const officeLocations = await getActiveOfficeLocations(databases, dbId);
-  let locationResult = { valid: false, flagged: true, reason: 'Location not provided' };
+  const leave = await databases.createDocument(dbId, 'leaves', ID.unique(), {
+    employeeId,
+    date: startDate,
+    ...range,
+    days,
+    type,
+    reason: reason || '',
+    status: LEAVE_STATUS.PENDING,
+    requestedAt: new Date().toISOString()
+  });
+  return { leave };
+};
 
-  if (location && location.latitude && location.longitude) {
-    locationResult = validateGeofence(
-      location.latitude,
-      location.longitude,
-      officeLocations,
-      location.accuracy
-    );
+/**
+ * Read the leave range from a payload: `startDate`/`endDate`, or a single `date`
+ */
+const getLeaveRangeInput = (payload) => {
+  const startDate = payload.startDate || payload.date;
+  return {
+    startDate,
+    endDate: payload.endDate || startDate,
+    halfDayStart: payload.halfDayStart,
+    halfDayEnd: payload.halfDayEnd
+  };
+};
 
-    // Block if outside office premises
-    if (locationResult.flagged && locationResult.reason === 'Outside office premises') {
-      return {
-        success: false,
-        message: 'Check-in not allowed outside office premises'
-      };
-    }
-  } else {
-    // Location is required for check-in
-    return {
-      success: false,
-      message: 'Location is required for check-in. Please enable GPS.'
-    };
+const handleCreateLeave = async (payload, databases, dbId) => {
+  const { employeeId, type, reason } = payload;
+  const range = getLeaveRangeInput(payload);
+  if (!employeeId || !range.startDate || !type) {
+    return { success: false, message: 'employeeId, startDate (or date) and type required' };
   }
 
-  // Create or update attendance record
-  const checkInTime = new Date().toISOString();
-  const attendanceData = {
-    employeeId: employee.$id,
-    date: today,
-    status: ATTENDANCE_STATUS.ABSENT, // Will be updated on check-out
-    checkInTime,
-    checkInLat: location?.latitude || null,
-    checkInlng: location?.longitude || null,
-    checkInAccuracy: location?.accuracy || null,
-    isLocationFlagged: locationResult.flagged,
-    isAutoCalculated: false,
-    isLocked: false,
-    notes: locationResult.flagged ? locationResult.reason : ''
-  };
+  await getEmployee(databases, dbId, employeeId);
 
-  let attendanceDoc;
-  if (existingAttendance) {
-    attendanceDoc = await databases.updateDocument(dbId, 'attendance', existingAttendance.$id, attendanceData);
-  } else {
-    attendanceDoc = await databases.createDocument(dbId, 'attendance', ID.unique(), attendanceData);
+  const { leave, error } = await createLeaveRequest(databases, dbId, employeeId, { ...range, type, reason });
+  if (error) return { success: false, message: error };
+
+  return { success: true, message: 'Leave request created', data: { leaveId: leave.$id } };
+};
+
+/**
+ * Handle request leave (employee files leave for themselves)
+ */
+const handleRequestLeave = async (payload, databases, dbId, callerId) => {
+  const { type, reason } = payload;
+  const range = getLeaveRangeInput(payload);
+  if (!callerId) return { success: false, message: 'Authentication required' };
+  if (!range.startDate || !type) return { success: false, message: 'startDate (or date) and type required' };
+
+  const employee = await getEmployee(databases, dbId, callerId);
+
+  const locked = await databases.listDocuments(dbId, 'attendance', [
+    Query.equal('employeeId', employee.$id),
+    Query.equal('isLocked', true),
+    Query.greaterThanEqual('date', range.startDate),
+    Query.lessThanEqual('date', range.endDate),
+    Query.limit(1)
+  ]);
+  if (locked.total > 0) {
+    return { success: false, message: 'Attendance for these dates is locked by payroll' };
   }
 
-  // Create audit log
+  const { leave, error } = await createLeaveRequest(databases, dbId, employee.$id, { ...range, type, reason });
+  if (error) return { success: false, message: error };
+
   await createAuditLog(databases, dbId, {
     actorId: employee.$id,
-    action: AUDIT_ACTIONS.CHECK_IN,
-    targetId: attendanceDoc.$id,
-    targetType: 'attendance',
-    payload: {
-      employeeName: employee.name,
-      date: today,
-      checkInTime,
-      location: location || null,
-      locationVerified: !locationResult.flagged
-    },
-    deviceInfo: employee.deviceFingerprint,
-    signature,
-    signatureVerified: true
+    action: AUDIT_ACTIONS.LEAVE_REQUESTED,
+    targetId: leave.$id,
+    targetType: 'leave',
+    payload: { startDate: leave.startDate, endDate: leave.endDate, days: leave.days, type, reason: reason || '' }
   });
 
-  return {
-    success: true,
-    message: '✅ Check-in recorded successfully',
-    data: {
-      attendanceId: attendanceDoc.$id,
-      timestamp: checkInTime,
-      locationVerified: !locationResult.flagged
-    }
-  };
+  return { success: true, message: 'Leave request submitted', data: { leaveId: leave.$id } };
 };
 
 /**
- * Handle check-out
+ * Handle cancel my leave (only the owner, only while pending)
  */
-const handleCheckOut = async (payload, databases, dbId) => {
-  // Validate time window
-  if (!isCheckOutAllowed()) {
-    return {
-      success: false,
-      message: 'Check-out unavailable between 2:00-3:25 PM'
-    };
+const handleCancelMyLeave = async (payload, databases, dbId, callerId) => {
+  const { leaveId } = payload;
+  if (!callerId) return { success: false, message: 'Authentication required' };
+  if (!leaveId) return { success: false, message: 'leaveId required' };
+
+  const leave = await databases.getDocument(dbId, 'leaves', leaveId);
+  if (leave.employeeId !== callerId) {
+    return { success: false, message: 'Cannot cancel another employee\'s leave' };
+  }
+  if (leave.status !== LEAVE_STATUS.PENDING) {
+    return { success: false, message: `Leave already ${leave.status}` };
   }
 
-  const { email, signature, dataToVerify, location } = payload;
+  await databases.updateDocument(dbId, 'leaves', leaveId, {
+    status: LEAVE_STATUS.CANCELLED,
+    cancelledAt: new Date().toISOString()
+  });
 
-  // Validate required fields
-  if (!email || !signature || !dataToVerify) {
-    return { success: false, message: 'Please provide email and credentials' };
-  }
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: AUDIT_ACTIONS.LEAVE_CANCELLED,
+    targetId: leaveId,
+    targetType: 'leave',
+    payload: { startDate: leave.startDate || leave.date, endDate: leave.endDate || leave.date, type: leave.type }
+  });
 
-  // Get employee
-  const employee = await getEmployeeByEmail(databases, dbId, email);
+  return { success: true, message: 'Leave cancelled' };
+};
 
-  // Check if device is registered
-  if (!employee.devicePublicKey) {
-    return { success: false, message: 'Device not registered. Please register first.' };
-  }
+const handleListMyLeaves = async (payload, databases, dbId, callerId) => {
+  if (!callerId) return { success: false, message: 'Authentication required' };
+  return handleListLeaves({ ...payload, employeeId: callerId }, databases, dbId);
+};
 
-  // Bind signed payload to today + action so captured signatures can't be replayed
-  const today = formatDate(getNowIST());
-  const expectedData = `${email}|${today}|check-out`;
-  if (dataToVerify !== expectedData) {
-    return { success: false, message: 'Stale or invalid request. Please retry.' };
+const handleListLeaves = async (payload, databases, dbId) => {
+  const { employeeId, status, month } = payload;
+  const queries = [Query.limit(200), Query.orderDesc('date')];
+  if (employeeId) queries.push(Query.equal('employeeId', employeeId));
+  if (status) queries.push(Query.equal('status', status));
+  if (month) {
+    // Ranges starting in an earlier month may run into this one
+    queries.push(Query.greaterThanEqual('date', addDays(month + '-01', -MAX_LEAVE_SPAN_DAYS)));
+    queries.push(Query.lessThan('date', month + '-32'));
   }
 
-  // Verify signature
-  const isValidSignature = verifySignature(employee.devicePublicKey, dataToVerify, signature);
-  if (!isValidSignature) {
-    return { success: false, message: 'Device not authorized. Contact admin.' };
-  }
+  const result = await databases.listDocuments(dbId, 'leaves', queries);
+  const leaves = month
+    ? result.documents.filter(l => (l.endDate || l.date) >= month + '-01')
+    : result.documents;
+  return { success: true, data: { leaves } };
+};
 
-  // Check if checked in today
-  const attendance = await getAttendanceByDate(databases, dbId, employee.$id, today);
+/**
+ * Leave days to debit per calendar year: [{ year, days, firstDate }]. A range crossing
+ * 31 Dec is re-expanded so each year's balance is charged only for its own days.
+ * `extraDates` (sandwiched off days outside the range) are charged a full day each.
+ */
+const getLeaveDaysByYear = async (databases, dbId, employee, leave, extraDates = []) => {
+  const startDate = leave.startDate || leave.date;
+  const endDate = leave.endDate || startDate;
+  const byYear = {};
+  const charge = (date, days) => {
+    const year = parseInt(date.substring(0, 4));
+    byYear[year] = byYear[year] || { year, days: 0, firstDate: date };
+    byYear[year].days += days;
+    if (date < byYear[year].firstDate) byYear[year].firstDate = date;
+  };
 
-  if (!attendance || !attendance.checkInTime) {
-    return { success: false, message: 'Please check in first' };
+  if (startDate.substring(0, 4) === endDate.substring(0, 4)) {
+    charge(startDate, leave.days || 1);
+  } else {
+    const [rules, holidayDates, weeklyOff] = await Promise.all([
+      getSettings(databases, dbId, 'leave'),
+      getHolidayDates(databases, dbId, employee, startDate, endDate),
+      getEmployeeWeeklyOff(databases, dbId, employee)
+    ]);
+    expandLeaveDates({ ...leave, startDate, endDate }, holidayDates, rules, weeklyOff)
+      .forEach(({ date, fraction }) => charge(date, fraction));
   }
+  extraDates.forEach(date => charge(date, 1));
+  return Object.values(byYear).sort((a, b) => a.year - b.year);
+};
 
-  if (attendance.checkOutTime) {
-    return { success: false, message: 'Already checked out today' };
+/**
+ * Sandwich rule across requests: off days between this leave and another approved
+ * full-day leave of the employee, which approving this one turns into leave. They
+ * are charged to this leave (stored as `sandwichedDates`); days sandwiched inside
+ * one request are already part of its `days`.
+ */
+const findSandwichedDates = async (databases, dbId, employee, leave, rules) => {
+  const startDate = leave.startDate || leave.date;
+  const endDate = leave.endDate || startDate;
+  const from = addDays(startDate, -(MAX_LEAVE_SPAN_DAYS + 14));
+  const to = addDays(endDate, 14);
+  const [holidayDates, weeklyOff, othersResult] = await Promise.all([
+    getHolidayDates(databases, dbId, employee, from, to),
+    getEmployeeWeeklyOff(databases, dbId, employee),
+    databases.listDocuments(dbId, 'leaves', [
+      Query.equal('employeeId', leave.employeeId),
+      Query.equal('status', LEAVE_STATUS.APPROVED),
+      Query.greaterThanEqual('date', from),
+      Query.lessThanEqual('date', to),
+      Query.limit(100)
+    ])
+  ]);
+
+  const leaveByDate = {};
+  othersResult.documents
+    .filter(l => l.$id !== leave.$id && l.employeeId === leave.employeeId && l.status === LEAVE_STATUS.APPROVED)
+    .forEach(other => {
+      expandLeaveDates(other, holidayDates, rules, weeklyOff).forEach(d => { leaveByDate[d.date] = d; });
+    });
+  const isOffDay = (d) => isWeeklyOff(d, weeklyOff) || holidayDates.has(d);
+
+  const dates = [];
+  const collectGap = (edge, step) => {
+    const gap = [];
+    let d = addDays(edge, step);
+    for (let i = 0; i < 14 && isOffDay(d); i++) {
+      gap.push(d);
+      d = addDays(d, step);
+    }
+    if (gap.length > 0 && leaveByDate[d] && leaveByDate[d].fraction === 1) dates.push(...gap);
+  };
+  if (!leave.halfDayStart) collectGap(startDate, -1);
+  if (!leave.halfDayEnd) collectGap(endDate, 1);
+  return dates.sort();
+};
+
+/**
+ * Handle approve/reject leave
+ * Approval debits the employee's balance for the leave type and is refused when the
+ * balance is insufficient; the type's paid flag is stamped on the leave for payroll.
+ */
+const handleDecideLeave = async (payload, databases, dbId, callerId, decision) => {
+  const { leaveId, comment } = payload;
+  if (!leaveId) return { success: false, message: 'leaveId required' };
+
+  const leave = await databases.getDocument(dbId, 'leaves', leaveId);
+  if (leave.status !== LEAVE_STATUS.PENDING) {
+    return { success: false, message: `Leave already ${leave.status}` };
   }
 
-  // Record check-out
-  const checkOutTime = new Date().toISOString();
-  const workHours = calculateWorkHours(attendance.checkInTime, checkOutTime);
-  const status = calculateAttendanceStatus(workHours);
+  const reviewData = {
+    status: decision,
+    reviewedBy: callerId,
+    reviewedAt: new Date().toISOString(),
+    reviewNotes: comment || ''
+  };
 
-  await databases.updateDocument(dbId, 'attendance', attendance.$id, {
-    checkOutTime,
-    checkOutLat: location?.latitude || null,
-    checkOutLng: location?.longitude || null,
-    checkOutAccuracy: location?.accuracy || null,
-    workHours,
-    status
-  });
+  if (decision === LEAVE_STATUS.APPROVED) {
+    const catalogue = await getLeaveCatalogue(databases, dbId);
+    const leaveType = catalogue[leave.type];
+    if (!leaveType) {
+      return { success: false, message: `Unknown leave type: ${leave.type}` };
+    }
+
+    const leaveRules = await getSettings(databases, dbId, 'leave');
+    const needsBalance = !leaveType.isCompOff && leaveType.yearlyQuota !== null;
+    const employee = leaveRules.sandwichRule || needsBalance ? await getEmployee(databases, dbId, leave.employeeId) : null;
+    const sandwichedDates = leaveRules.sandwichRule ? await findSandwichedDates(databases, dbId, employee, leave, leaveRules) : [];
+    if (sandwichedDates.length > 0) reviewData.sandwichedDates = JSON.stringify(sandwichedDates);
+
+    const days = (leave.days || 1) + sandwichedDates.length;
+    if (leaveType.isCompOff) {
+      // Redeem comp-off credits valid on the leave's first day, soonest expiry first
+      const startDate = leave.startDate || leave.date;
+      const credits = getRedeemableCompOffCredits(await getCompOffCredits(databases, dbId, leave.employeeId), startDate);
+      const available = credits.reduce((sum, c) => sum + (c.days || 0) - (c.used || 0), 0);
+      if (available < days) {
+        return { success: false, message: `Insufficient comp-off balance: ${available} day(s) available` };
+      }
+
+      let remaining = days;
+      const redeemed = [];
+      for (const credit of credits) {
+        if (remaining <= 0) break;
+        const take = Math.min(remaining, (credit.days || 0) - (credit.used || 0));
+        await databases.updateDocument(dbId, 'comp_off_credits', credit.$id, { used: (credit.used || 0) + take });
+        redeemed.push({ creditId: credit.$id, days: take });
+        remaining -= take;
+      }
+      reviewData.compOffCredits = JSON.stringify(redeemed);
+    } else if (needsBalance) {
+      const debits = await getLeaveDaysByYear(databases, dbId, employee, leave, sandwichedDates);
+
+      // Check every year's balance before debiting any of them
+      const balances = [];
+      for (const debit of debits) {
+        const balanceDoc = await getOrCreateLeaveBalance(databases, dbId, employee, leaveType, debit.year);
+        const opening = await calculateLeaveOpening(databases, dbId, employee, leaveType, debit.year);
+        const balance = summarizeLeaveBalance(leaveType, balanceDoc, employee.joinDate, debit.firstDate, opening);
+        if (balance.available < debit.days) {
+          const yearNote = debits.length > 1 ? ` in ${debit.year}` : '';
+          return {
+            success: false,
+            message: `Insufficient ${leaveType.name} balance${yearNote}: ${balance.available} day(s) available`
+          };
+        }
+        balances.push({ balanceDoc, days: debit.days });
+      }
+      for (const { balanceDoc, days: yearDays } of balances) {
+        await databases.updateDocument(dbId, 'leave_balances', balanceDoc.$id, {
+          used: (balanceDoc.used || 0) + yearDays
+        });
+      }
+    }
+    reviewData.isPaid = leaveType.isPaid;
+  }
+
+  await databases.updateDocument(dbId, 'leaves', leaveId, reviewData);
 
-  // Create audit log
   await createAuditLog(databases, dbId, {
-    actorId: employee.$id,
-    action: AUDIT_ACTIONS.CHECK_OUT,
-    targetId: attendance.$id,
-    targetType: 'attendance',
+    actorId: callerId,
+    action: `leave-${decision}`,
+    targetId: leaveId,
+    targetType: 'leave',
     payload: {
-      employeeName: employee.name,
-      date: today,
-      checkOutTime,
-      workHours,
-      status,
-      location: location || null
-    },
-    deviceInfo: employee.deviceFingerprint,
-    signature,
-    signatureVerified: true
+      employeeId: leave.employeeId,
+      startDate: leave.startDate || leave.date,
+      endDate: leave.endDate || leave.date,
+      days: leave.days || 1,
+      comment
+    }
   });
 
-  return {
-    success: true,
-    message: '✅ Check-out recorded successfully',
-    data: {
-      attendanceId: attendance.$id,
-      timestamp: checkOutTime,
-      status,
-      workHours
-    }
-  };
+  return { success: true, message: `Leave ${decision}` };
 };
 
+// ============================================
+// LEAVE TYPES & BALANCES
+// ============================================
+
 /**
- * Handle device registration
+ * Validate leave type fields from an admin payload
+ * Returns { error } or { values } ready to store; `partial` allows missing fields (updates)
  */
-const handleRegisterDevice = async (payload, databases, dbId, callerId) => {
-  const { email, publicKey, deviceFingerprint } = payload;
+const validateLeaveTypeInput = (data, partial = false) => {
+  const values = {};
 
-  if (!email || !publicKey) {
-    return { success: false, message: 'Email and public key required' };
+  if (!partial) {
+    if (!LEAVE_TYPE_CODE_REGEX.test(data.code || '')) {
+      return { error: 'code must be lowercase letters, digits, - or _' };
+    }
+    values.code = data.code;
   }
 
-  if (!callerId) {
-    return { success: false, message: 'Authentication required' };
-  }
+  if (data.name !== undefined) values.name = String(data.name).trim();
+  if (!partial && !values.name) return { error: 'Leave type name required' };
 
-  // Get employee
-  const employee = await getEmployeeByEmail(databases, dbId, email);
+  if (data.yearlyQuota !== undefined) {
+    const parsed = data.yearlyQuota === null ? null : Number(data.yearlyQuota);
+    if (parsed !== null && (isNaN(parsed) || parsed < 0)) {
+      return { error: 'yearlyQuota must be a non-negative number or null (unlimited)' };
+    }
+    values.yearlyQuota = parsed;
+  }
 
-  // Caller must be registering their own account
-  if (employee.$id !== callerId) {
-    return { success: false, message: 'Cannot register device for another user' };
+  if (data.accrual !== undefined) {
+    if (!Object.values(LEAVE_ACCRUAL).includes(data.accrual)) {
+      return { error: `accrual must be one of: ${Object.values(LEAVE_ACCRUAL).join(', ')}` };
+    }
+    values.accrual = data.accrual;
   }
 
-  // Check if device already registered
-  if (employee.devicePublicKey) {
-    return { success: false, message: 'Device already registered. Contact admin.' };
+  if (data.carryForwardCap !== undefined) {
+    const parsed = Number(data.carryForwardCap);
+    if (isNaN(parsed) || parsed < 0) return { error: 'carryForwardCap must be a non-negative number' };
+    values.carryForwardCap = parsed;
   }
 
-  // Validate public key format
-  try {
-    forge.pki.publicKeyFromPem(publicKey);
-  } catch (err) {
-    return { success: false, message: 'Invalid key format' };
+  if (data.isPaid !== undefined) values.isPaid = !!data.isPaid;
+  if (data.isCompOff !== undefined) values.isCompOff = !!data.isCompOff;
+  if (data.isActive !== undefined) values.isActive = !!data.isActive;
+
+  return { values };
+};
+
+const handleCreateLeaveType = async (payload, databases, dbId, callerId) => {
+  const { error, values } = validateLeaveTypeInput(payload);
+  if (error) return { success: false, message: error };
+
+  const existing = await databases.listDocuments(dbId, 'leave_types', [
+    Query.equal('code', values.code),
+    Query.limit(1)
+  ]);
+  if (existing.total > 0) {
+    return { success: false, message: `Leave type ${values.code} already exists` };
   }
 
-  // Update employee with device info
-  await databases.updateDocument(dbId, 'employees', employee.$id, {
-    devicePublicKey: publicKey,
-    deviceFingerprint: deviceFingerprint || null,
-    deviceRegisteredAt: new Date().toISOString()
+  const leaveType = await databases.createDocument(dbId, 'leave_types', ID.unique(), {
+    yearlyQuota: null,
+    accrual: LEAVE_ACCRUAL.YEARLY,
+    carryForwardCap: 0,
+    isPaid: true,
+    isCompOff: false,
+    isActive: true,
+    ...values
   });
 
-  // Create audit log
   await createAuditLog(databases, dbId, {
-    actorId: employee.$id,
-    action: AUDIT_ACTIONS.DEVICE_REGISTERED,
-    targetId: employee.$id,
-    targetType: 'employee',
-    payload: {
-      employeeName: employee.name,
-      deviceFingerprint
-    },
-    deviceInfo: deviceFingerprint
+    actorId: callerId,
+    action: AUDIT_ACTIONS.LEAVE_TYPE_CREATED,
+    targetId: leaveType.$id,
+    targetType: 'leave_type',
+    payload: values
   });
 
-  return {
-    success: true,
-    message: 'Device registered successfully',
-    data: {
-      deviceRegisteredAt: new Date().toISOString()
-    }
-  };
+  return { success: true, message: 'Leave type created', data: { leaveTypeId: leaveType.$id } };
 };
 
-/**
- * Handle get my attendance
- */
-const handleGetMyAttendance = async (payload, databases, dbId, callerId) => {
-  const { month } = payload;
-
-  // Get employee
-  const employee = await getEmployee(databases, dbId, callerId);
+const handleUpdateLeaveType = async (payload, databases, dbId, callerId) => {
+  const { leaveTypeId, data } = payload;
+  if (!leaveTypeId || !data) return { success: false, message: 'leaveTypeId and data required' };
 
-  // Determine month to fetch
-  const targetDate = month ? new Date(month + '-01') : getNowIST();
-  const targetMonth = formatMonth(targetDate);
+  const { error, values } = validateLeaveTypeInput(data, true);
+  if (error) return { success: false, message: error };
 
-  // Get all attendance for the month
-  const result = await databases.listDocuments(dbId, 'attendance', [
-    Query.equal('employeeId', employee.$id),
-    Query.greaterThanEqual('date', targetMonth + '-01'),
-    Query.lessThan('date', targetMonth + '-32'),
-    Query.orderAsc('date')
-  ]);
+  await databases.updateDocument(dbId, 'leave_types', leaveTypeId, values);
 
-  const records = result.documents.map(doc => ({
-    date: doc.date,
-    day: new Date(doc.date).toLocaleDateString('en-US', { weekday: 'short' }),
-    status: doc.status,
-    checkInTime: doc.checkInTime,
-    checkOutTime: doc.checkOutTime,
-    workHours: doc.workHours || 0,
-    isAdminModified: !doc.isAutoCalculated,
-    isLocationFlagged: doc.isLocationFlagged,
-    notes: doc.notes || ''
-  }));
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: AUDIT_ACTIONS.LEAVE_TYPE_UPDATED,
+    targetId: leaveTypeId,
+    targetType: 'leave_type',
+    payload: values
+  });
 
-  // Calculate summary
-  const summary = {
-    presentDays: records.filter(r => r.status === ATTENDANCE_STATUS.PRESENT).length,
-    halfDays: records.filter(r => r.status === ATTENDANCE_STATUS.HALF_DAY).length,
-    absentDays: records.filter(r => r.status === ATTENDANCE_STATUS.ABSENT).length,
-    sundayDays: records.filter(r => r.status === ATTENDANCE_STATUS.SUNDAY).length,
-    holidayDays: records.filter(r => r.status === ATTENDANCE_STATUS.HOLIDAY).length,
-    leaveDays: records.filter(r => r.status === ATTENDANCE_STATUS.LEAVE).length
-  };
+  return { success: true, message: 'Leave type updated' };
+};
 
-  return {
-    success: true,
-    data: {
-      month: targetMonth,
-      records,
-      summary
-    }
-  };
+const handleListLeaveTypes = async (databases, dbId) => {
+  const catalogue = await getLeaveCatalogue(databases, dbId);
+  return { success: true, data: { leaveTypes: Object.values(catalogue) } };
 };
 
 /**
- * Handle reset my password (user resets their own password)
+ * Balances of every quota-limited leave type for an employee and year
+ * Accrual is counted up to today for the current year, to year end for past years.
  */
-const handleResetMyPassword = async (payload, users, callerId) => {
-  const { newPassword } = payload;
-
-  if (!newPassword) {
-    return { success: false, message: 'New password is required' };
+const getEmployeeLeaveBalances = async (databases, dbId, employee, year) => {
+  const today = formatDate(getNowIST());
+  const asOf = String(year) === today.substring(0, 4) ? today : `${year}-12-31`;
+  const catalogue = await getLeaveCatalogue(databases, dbId);
+
+  const balances = [];
+  for (const leaveType of Object.values(catalogue)) {
+    if (!leaveType.isActive) continue;
+    if (leaveType.isCompOff) {
+      const credits = await getCompOffCredits(databases, dbId, employee.$id);
+      balances.push(summarizeCompOffBalance(leaveType, credits, year, asOf));
+      continue;
+    }
+    if (leaveType.yearlyQuota === null) {
+      balances.push(summarizeLeaveBalance(leaveType, null, employee.joinDate, asOf));
+      continue;
+    }
+    const balance = await findLeaveBalance(databases, dbId, employee.$id, leaveType.code, year);
+    const opening = await calculateLeaveOpening(databases, dbId, employee, leaveType, year);
+    balances.push(summarizeLeaveBalance(leaveType, balance, employee.joinDate, asOf, opening));
   }
+  return balances;
+};
 
-  if (newPassword.length < 8) {
-    return { success: false, message: 'Password must be at least 8 characters' };
-  }
+const handleGetLeaveBalances = async (payload, databases, dbId) => {
+  const { employeeId } = payload;
+  if (!employeeId) return { success: false, message: 'employeeId required' };
 
-  try {
-    await users.updatePassword(callerId, newPassword);
-    return { success: true, message: 'Password updated successfully' };
-  } catch (error) {
-    console.error('Password reset error:', error);
-    return { success: false, message: error.message || 'Failed to reset password' };
-  }
+  const year = parseInt(payload.year) || getNowIST().getFullYear();
+  const employee = await getEmployee(databases, dbId, employeeId);
+  const balances = await getEmployeeLeaveBalances(databases, dbId, employee, year);
+  return { success: true, data: { employeeId, year, balances } };
+};
+
+const handleGetMyLeaveBalances = async (payload, databases, dbId, callerId) => {
+  if (!callerId) return { success: false, message: 'Authentication required' };
+  return handleGetLeaveBalances({ ...payload, employeeId: callerId }, databases, dbId);
 };
 
 // ============================================
-// ADMIN ACTION HANDLERS
+// COMP-OFF CREDITS
 // ============================================
 
+const handleListCompOffs = async (payload, databases, dbId) => {
+  const { employeeId, status } = payload;
+  const queries = [Query.limit(200), Query.orderDesc('date')];
+  if (employeeId) queries.push(Query.equal('employeeId', employeeId));
+  if (status) queries.push(Query.equal('status', status));
+
+  const result = await databases.listDocuments(dbId, 'comp_off_credits', queries);
+  return { success: true, data: { credits: result.documents } };
+};
+
 /**
- * Handle create employee
+ * Handle approve/reject comp-off credit (when comp-offs require approval)
  */
-const handleCreateEmployee = async (payload, databases, users, dbId, callerId) => {
-  const { email, password, name, salary, joinDate } = payload.data || {};
-
-  if (!email || !password || !name) {
-    return { success: false, message: 'Name, email and password required' };
-  }
+const handleDecideCompOff = async (payload, databases, dbId, callerId, decision) => {
+  const { creditId, comment } = payload;
+  if (!creditId) return { success: false, message: 'creditId required' };
 
-  let salaryValue = 8000;
-  if (salary !== undefined && salary !== null && salary !== '') {
-    const parsed = parseInt(salary);
-    if (isNaN(parsed) || parsed < 0) {
-      return { success: false, message: 'Salary must be a non-negative number' };
-    }
-    salaryValue = parsed;
+  const credit = await databases.getDocument(dbId, 'comp_off_credits', creditId);
+  if (credit.status !== COMP_OFF_STATUS.PENDING) {
+    return { success: false, message: `Comp-off already ${credit.status}` };
   }
 
-  let newUser;
-
-  try {
-    newUser = await users.create(ID.unique(), email, null, password, name);
+  await databases.updateDocument(dbId, 'comp_off_credits', creditId, {
+    status: decision,
+    reviewedBy: callerId,
+    reviewedAt: new Date().toISOString(),
+    reviewNotes: comment || ''
+  });
 
-    await databases.createDocument(dbId, 'employees', newUser.$id, {
-      name,
-      email,
-      role: 'employee',
-      salaryMonthly: salaryValue,
-      joinDate: joinDate || new Date().toISOString(),
-      isActive: true
-    });
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: decision === COMP_OFF_STATUS.APPROVED ? AUDIT_ACTIONS.COMP_OFF_APPROVED : AUDIT_ACTIONS.COMP_OFF_REJECTED,
+    targetId: creditId,
+    targetType: 'comp_off_credit',
+    payload: { employeeId: credit.employeeId, date: credit.date, days: credit.days, comment }
+  });
 
-    await createAuditLog(databases, dbId, {
-      actorId: callerId,
-      action: AUDIT_ACTIONS.EMPLOYEE_CREATED,
-      targetId: newUser.$id,
-      targetType: 'employee',
-      payload: {
-        employeeName: name,
-        email,
-        salary: salaryValue,
-        createdBy: callerId
-      }
-    });
+  return { success: true, message: `Comp-off ${decision}` };
+};
 
-    return {
-      success: true,
-      message: 'Employee created successfully',
-      data: {
-        userId: newUser.$id,
-        email
-      }
-    };
+// ============================================
+// ATTENDANCE REGULARIZATION
+// ============================================
 
-  } catch (err) {
-    if (newUser) {
-      try {
-        await users.delete(newUser.$id);
-      } catch (deleteErr) {
-        console.error(`Failed to rollback user ${newUser.$id}: ${deleteErr.message}`);
-      }
-    }
-    throw err;
-  }
+/**
+ * Turn a proposed time into an ISO timestamp for the shift of a business date
+ * Accepts "HH:MM" (IST) or a full ISO timestamp; returns null if neither
+ */
+const resolveProposedTime = (policy, date, value) => {
+  if (TIME_OF_DAY_REGEX.test(value)) return getShiftInstant(policy, date, value).toISOString();
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed.toISOString();
 };
 
 /**
- * Handle modify attendance
+ * Handle request regularization (employee disputes a day's attendance)
+ * A pending request opened by the missed check-out job is completed instead of duplicated.
  */
-const handleModifyAttendance = async (payload, databases, dbId, callerId) => {
-  const { attendanceId, reason, modifications } = payload;
+const handleRequestRegularization = async (payload, databases, dbId, callerId) => {
+  const { date, checkInTime, checkOutTime, reason } = payload;
 
-  if (!attendanceId || !reason || !modifications) {
-    return { success: false, message: 'Attendance ID, reason and changes required' };
+  if (!callerId) {
+    return { success: false, message: 'Authentication required' };
+  }
+  if (!date || !DATE_REGEX.test(date) || !reason || !String(reason).trim()) {
+    return { success: false, message: 'Date (YYYY-MM-DD) and reason required' };
+  }
+  if (!checkInTime && !checkOutTime) {
+    return { success: false, message: 'Proposed check-in or check-out time required' };
+  }
+  if (date > formatDate(getNowIST())) {
+    return { success: false, message: 'Cannot regularize a future date' };
   }
 
-  const attendance = await databases.getDocument(dbId, 'attendance', attendanceId);
+  const employee = await getEmployee(databases, dbId, callerId);
+  const resolveShift = await createShiftResolver(databases, dbId, employee);
+  const policy = resolveShift(date);
 
-  if (attendance.isLocked) {
-    return { success: false, message: 'Record locked. Unlock payroll first.' };
+  const proposedCheckInTime = checkInTime ? resolveProposedTime(policy, date, checkInTime) : null;
+  const proposedCheckOutTime = checkOutTime ? resolveProposedTime(policy, date, checkOutTime) : null;
+  if ((checkInTime && !proposedCheckInTime) || (checkOutTime && !proposedCheckOutTime)) {
+    return { success: false, message: 'Proposed times must be HH:MM or ISO timestamps' };
+  }
+  if (proposedCheckInTime && proposedCheckOutTime && proposedCheckOutTime <= proposedCheckInTime) {
+    return { success: false, message: 'Check-out must be after check-in' };
   }
 
-  const oldStatus = attendance.status;
-  const updateData = {
-    ...modifications,
-    isAutoCalculated: false
-  };
+  const attendance = await getAttendanceByDate(databases, dbId, employee.$id, date);
+  if (attendance && attendance.isLocked) {
+    return { success: false, message: 'Attendance for this date is locked by payroll' };
+  }
 
-  let newStatus = oldStatus;
+  const pendingResult = await databases.listDocuments(dbId, 'regularizations', [
+    Query.equal('employeeId', employee.$id),
+    Query.equal('date', date),
+    Query.equal('status', REGULARIZATION_STATUS.PENDING),
+    Query.limit(1)
+  ]);
 
-  if (modifications.checkInTime || modifications.checkOutTime) {
-    const inTimeStr = modifications.checkInTime || attendance.checkInTime;
-    const outTimeStr = modifications.checkOutTime || attendance.checkOutTime;
-    
-    if (inTimeStr && outTimeStr) {
-        const inDate = new Date(inTimeStr);
-        const outDate = new Date(outTimeStr);
-        const workHours = Math.max(0, (outDate - inDate) / (1000 * 60 * 60));
-        
-        updateData.workHours = parseFloat(workHours.toFixed(2));
+  const requestData = {
+    employeeId: employee.$id,
+    attendanceId: attendance ? attendance.$id : null,
+    date,
+    proposedCheckInTime,
+    proposedCheckOutTime,
+    reason: String(reason).trim(),
+    status: REGULARIZATION_STATUS.PENDING,
+    requestedAt: new Date().toISOString()
+  };
 
-        if (!modifications.status) {
-             if (updateData.workHours >= 6) newStatus = 'present';
-             else if (updateData.workHours >= 4) newStatus = 'half_day';
-             else newStatus = 'absent';
-             
-             updateData.status = newStatus;
-        } else {
-            newStatus = modifications.status;
-        }
+  let regularization;
+  if (pendingResult.total > 0) {
+    const pending = pendingResult.documents[0];
+    if (!pending.isSystemGenerated) {
+      return { success: false, message: 'A regularization request is already pending for this date' };
     }
-  } else if (modifications.status) {
-      newStatus = modifications.status;
+    regularization = await databases.updateDocument(dbId, 'regularizations', pending.$id, requestData);
+  } else {
+    regularization = await databases.createDocument(dbId, 'regularizations', ID.unique(), {
+      ...requestData,
+      isSystemGenerated: false
+    });
   }
 
-  await databases.updateDocument(dbId, 'attendance', attendanceId, updateData);
-  await databases.createDocument(dbId, 'attendance_modifications', ID.unique(), {
-    attendanceId,
-    employeeId: attendance.employeeId,
-    modifiedBy: callerId,
-    modifiedAt: new Date().toISOString(),
-    reason,
-    originalValue: JSON.stringify({ status: oldStatus }),
-    newValue: JSON.stringify({ status: newStatus })
-  });
-
   await createAuditLog(databases, dbId, {
-    actorId: callerId,
-    action: AUDIT_ACTIONS.ATTENDANCE_MODIFIED,
-    targetId: attendanceId,
-    targetType: 'attendance',
-    payload: { employeeId: attendance.employeeId, reason }
+    actorId: employee.$id,
+    action: AUDIT_ACTIONS.REGULARIZATION_REQUESTED,
+    targetId: regularization.$id,
+    targetType: 'regularization',
+    payload: { date, proposedCheckInTime, proposedCheckOutTime, reason: requestData.reason }
   });
 
-  if (oldStatus !== newStatus) {
-      const month = attendance.date.substring(0, 7);
-      
-      const payrollList = await databases.listDocuments(dbId, 'payroll', [
-        Query.equal('employeeId', attendance.employeeId),
-        Query.equal('month', month),
-        Query.limit(1)
-      ]);
-
-      if (payrollList.total > 0) {
-        const payrollDoc = payrollList.documents[0];
-        
-        const payrollUpdate = {
-            presentDays: payrollDoc.presentDays,
-            halfDays: payrollDoc.halfDays,
-            absentDays: payrollDoc.absentDays,
-            sundayDays: payrollDoc.sundayDays,
-            holidayDays: payrollDoc.holidayDays,
-            leaveDays: payrollDoc.leaveDays
-        };
-
-        if (oldStatus === 'present') payrollUpdate.presentDays--;
-        else if (oldStatus === 'half_day') payrollUpdate.halfDays--;
-        else if (oldStatus === 'absent') payrollUpdate.absentDays--;
-        else if (oldStatus === 'sunday') payrollUpdate.sundayDays--;
-        else if (oldStatus === 'holiday') payrollUpdate.holidayDays--;
-        else if (oldStatus === 'leave') payrollUpdate.leaveDays--;
-
-        if (newStatus === 'present') payrollUpdate.presentDays++;
-        else if (newStatus === 'half_day') payrollUpdate.halfDays++;
-        else if (newStatus === 'absent') payrollUpdate.absentDays++;
-        else if (newStatus === 'sunday') payrollUpdate.sundayDays++;
-        else if (newStatus === 'holiday') payrollUpdate.holidayDays++;
-        else if (newStatus === 'leave') payrollUpdate.leaveDays++;
-
-        Object.keys(payrollUpdate).forEach(key => {
-            if (payrollUpdate[key] < 0) payrollUpdate[key] = 0;
-        });
+  return {
+    success: true,
+    message: 'Regularization request submitted',
+    data: { regularizationId: regularization.$id }
+  };
+};
 
-        const paidDays = payrollUpdate.presentDays + 
-                         payrollUpdate.sundayDays + 
-                         payrollUpdate.holidayDays + 
-                         payrollUpdate.leaveDays + 
-                         (payrollUpdate.halfDays * 0.5);
-                         
-        payrollUpdate.netSalary = payrollDoc.dailyRate * paidDays;
-        await databases.updateDocument(dbId, 'payroll', payrollDoc.$id, payrollUpdate);
-      }
+const handleListRegularizations = async (payload, databases, dbId) => {
+  const { employeeId, status, month } = payload;
+  const queries = [Query.limit(200), Query.orderDesc('date')];
+  if (employeeId) queries.push(Query.equal('employeeId', employeeId));
+  if (status) queries.push(Query.equal('status', status));
+  if (month) {
+    queries.push(Query.greaterThanEqual('date', month + '-01'));
+    queries.push(Query.lessThan('date', month + '-32'));
   }
 
-  return { success: true, message: 'Attendance updated' };
+  const result = await databases.listDocuments(dbId, 'regularizations', queries);
+  return { success: true, data: { regularizations: result.documents } };
 };
 
 /**
- * Handle reset device
+ * Handle approve/reject regularization
+ * Approval applies the proposed times through the same path as modify-attendance.
  */
-const handleResetDevice = async (payload, databases, dbId, callerId) => {
-  const { employeeId, reason } = payload;
+const handleDecideRegularization = async (payload, databases, dbId, callerId, decision) => {
+  const { regularizationId, comment } = payload;
+  if (!regularizationId) return { success: false, message: 'regularizationId required' };
 
-  if (!employeeId || !reason) {
-    return { success: false, message: 'Employee ID and reason required' };
+  const regularization = await databases.getDocument(dbId, 'regularizations', regularizationId);
+  if (regularization.status !== REGULARIZATION_STATUS.PENDING) {
+    return { success: false, message: `Regularization already ${regularization.status}` };
   }
 
-  // Get employee
-  const employee = await getEmployee(databases, dbId, employeeId);
+  let attendanceId = regularization.attendanceId || null;
 
-  // Reset device
-  await databases.updateDocument(dbId, 'employees', employeeId, {
-    devicePublicKey: null,
-    deviceFingerprint: null,
-    deviceRegisteredAt: null
+  if (decision === REGULARIZATION_STATUS.APPROVED) {
+    const { proposedCheckInTime, proposedCheckOutTime } = regularization;
+    if (!proposedCheckInTime && !proposedCheckOutTime) {
+      return { success: false, message: 'No proposed times yet. The employee must complete the request.' };
+    }
+
+    let attendance = attendanceId
+      ? await databases.getDocument(dbId, 'attendance', attendanceId)
+      : await getAttendanceByDate(databases, dbId, regularization.employeeId, regularization.date);
+
+    if (attendance && attendance.isLocked) {
+      return { success: false, message: 'Record locked. Unlock payroll first.' };
+    }
+
+    if (!attendance) {
+      const employee = await getEmployee(databases, dbId, regularization.employeeId);
+      const shift = (await createShiftResolver(databases, dbId, employee))(regularization.date);
+      attendance = await databases.createDocument(dbId, 'attendance', ID.unique(), {
+        employeeId: regularization.employeeId,
+        date: regularization.date,
+        status: ATTENDANCE_STATUS.ABSENT,
+        isAutoCalculated: false,
+        isLocked: false,
+        isLocationFlagged: false,
+        shiftPolicyId: shift.$id,
+        shiftName: shift.name,
+        offDay: await getOffDayType(databases, dbId, employee, regularization.date),
+        notes: ''
+      });
+    }
+    attendanceId = attendance.$id;
+
+    const modifications = { missedPunch: false, notes: `Regularized: ${regularization.reason}` };
+    if (proposedCheckInTime) modifications.checkInTime = proposedCheckInTime;
+    if (proposedCheckOutTime) modifications.checkOutTime = proposedCheckOutTime;
+
+    await applyAttendanceModification(databases, dbId, attendance, modifications, {
+      actorId: callerId,
+      reason: regularization.reason,
+      regularizationId
+    });
+  }
+
+  await databases.updateDocument(dbId, 'regularizations', regularizationId, {
+    status: decision,
+    attendanceId,
+    reviewedBy: callerId,
+    reviewedAt: new Date().toISOString(),
+    reviewNotes: comment || ''
   });
 
-  // Create audit log
   await createAuditLog(databases, dbId, {
     actorId: callerId,
-    action: AUDIT_ACTIONS.DEVICE_RESET,
-    targetId: employeeId,
-    targetType: 'employee',
-    payload: {
-      employeeName: employee.name,
-      reason,
-      resetBy: callerId
-    }
+    action: decision === REGULARIZATION_STATUS.APPROVED
+      ? AUDIT_ACTIONS.REGULARIZATION_APPROVED
+      : AUDIT_ACTIONS.REGULARIZATION_REJECTED,
+    targetId: regularizationId,
+    targetType: 'regularization',
+    payload: { employeeId: regularization.employeeId, date: regularization.date, attendanceId, comment }
   });
 
-  return {
-    success: true,
-    message: 'Device reset. Employee must re-register.'
-  };
+  return { success: true, message: `Regularization ${decision}` };
+};
+
+// ============================================
+// OFFICE LOCATIONS CRUD
+// ============================================
+
+const handleListOfficeLocations = async (databases, dbId) => {
+  const result = await databases.listDocuments(dbId, 'office_locations', [Query.limit(100)]);
+  return { success: true, data: { locations: result.documents } };
+};
+
+const handleUpdateOfficeLocation = async (payload, databases, dbId) => {
+  const { locationId, data } = payload;
+  if (!locationId || !data) return { success: false, message: 'locationId and data required' };
+
+  const updates = {};
+  if (data.name) updates.name = data.name;
+  if (data.latitude !== undefined) updates.latitude = data.latitude;
+  if (data.longitude !== undefined) updates.longitude = data.longitude;
+  if (data.radiusMeters !== undefined) updates.radiusMeters = data.radiusMeters;
+  if (data.region !== undefined) updates.region = data.region || null;
+  if (data.isActive !== undefined) updates.isActive = data.isActive;
+  if (data.weeklyOff !== undefined) {
+    const weeklyOffInput = parseWeeklyOffInput(data.weeklyOff);
+    if (weeklyOffInput.error) return { success: false, message: weeklyOffInput.error };
+    updates.weeklyOff = weeklyOffInput.value;
+  }
+
+  await databases.updateDocument(dbId, 'office_locations', locationId, updates);
+  return { success: true, message: 'Office location updated' };
+};
+
+const handleDeleteOfficeLocation = async (payload, databases, dbId) => {
+  const { locationId } = payload;
+  if (!locationId) return { success: false, message: 'locationId required' };
+
+  await databases.deleteDocument(dbId, 'office_locations', locationId);
+  return { success: true, message: 'Office location deleted' };
 };
 
+// ============================================
+// SHIFT POLICIES
+// ============================================
+
 /**
- * Handle create holiday
+ * Validate shift policy fields from an admin payload
+ * Returns { error } or { values } ready to store; `partial` allows missing fields (updates)
  */
-const handleCreateHoliday = async (payload, databases, dbId, callerId) => {
-  const { date, name } = payload;
+const validateShiftPolicyInput = (data, partial = false) => {
+  const values = {};
 
-  if (!date || !name) {
-    return { success: false, message: 'Date and name required' };
+  if (data.name !== undefined) values.name = String(data.name).trim();
+  if (!partial && !values.name) return { error: 'Policy name required' };
+
+  for (const key of ['checkInOpen', 'checkInClose', 'shiftEnd']) {
+    if (data[key] === undefined) {
+      if (!partial && key === 'checkInClose') return { error: 'checkInClose required (HH:MM)' };
+      continue;
+    }
+    if (!TIME_OF_DAY_REGEX.test(data[key])) return { error: `${key} must be HH:MM` };
+    values[key] = data[key];
   }
 
-  try {
-    // Create holiday
-    const holiday = await databases.createDocument(dbId, 'holidays', ID.unique(), {
-      date,
-      name
-    });
+  for (const key of ['graceMinutes', 'halfDayHours', 'presentHours']) {
+    if (data[key] === undefined) continue;
+    const parsed = Number(data[key]);
+    if (isNaN(parsed) || parsed < 0) return { error: `${key} must be a non-negative number` };
+    values[key] = parsed;
+  }
 
-    // Create audit log
-    await createAuditLog(databases, dbId, {
-      actorId: callerId,
-      action: AUDIT_ACTIONS.HOLIDAY_CREATED,
-      targetId: holiday.$id,
-      targetType: 'holiday',
-      payload: {
-        date,
-        name,
-        createdBy: callerId
-      }
-    });
+  // null clears the hard cutoff: late check-ins are then accepted until shiftEnd
+  if (data.maxLateMinutes !== undefined) {
+    const parsed = data.maxLateMinutes === null ? null : Number(data.maxLateMinutes);
+    if (parsed !== null && (isNaN(parsed) || parsed < 0)) {
+      return { error: 'maxLateMinutes must be a non-negative number or null' };
+    }
+    values.maxLateMinutes = parsed;
+  }
 
-    return {
-      success: true,
-      message: 'Holiday created successfully',
-      data: {
-        holidayId: holiday.$id
+  if (data.maxShiftHours !== undefined) {
+    const parsed = Number(data.maxShiftHours);
+    if (isNaN(parsed) || parsed <= 0 || parsed > 24) {
+      return { error: 'maxShiftHours must be between 0 and 24' };
+    }
+    values.maxShiftHours = parsed;
+  }
+
+  const halfDay = values.halfDayHours ?? (!partial ? DEFAULT_SHIFT_POLICY.halfDayHours : null);
+  const present = values.presentHours ?? (!partial ? DEFAULT_SHIFT_POLICY.presentHours : null);
+  if (halfDay !== null && present !== null && halfDay > present) {
+    return { error: 'halfDayHours cannot exceed presentHours' };
+  }
+
+  if (data.checkoutBlockedWindows !== undefined) {
+    if (!Array.isArray(data.checkoutBlockedWindows)) {
+      return { error: 'checkoutBlockedWindows must be a list of { start, end }' };
+    }
+    for (const w of data.checkoutBlockedWindows) {
+      if (!w || !TIME_OF_DAY_REGEX.test(w.start) || !TIME_OF_DAY_REGEX.test(w.end)) {
+        return { error: 'Each blocked window needs start and end as HH:MM' };
       }
-    };
-  } catch (err) {
-    if (err.code === 409 || err.type === 'document_already_exists') {
-      return { success: false, message: 'Holiday already exists for this date' };
     }
-    throw err;
+    values.checkoutBlockedWindows = JSON.stringify(
+      data.checkoutBlockedWindows.map(w => ({ start: w.start, end: w.end }))
+    );
   }
+
+  if (data.isDefault !== undefined) values.isDefault = !!data.isDefault;
+  if (data.isActive !== undefined) values.isActive = !!data.isActive;
+
+  return { values };
 };
 
 /**
- * Handle delete holiday
+ * Clear the default flag on every other policy
  */
-const handleDeleteHoliday = async (payload, databases, dbId, callerId) => {
-  const { holidayId } = payload;
+const clearDefaultShiftPolicy = async (databases, dbId, keepId) => {
+  const result = await databases.listDocuments(dbId, 'shift_policies', [
+    Query.equal('isDefault', true),
+    Query.limit(100)
+  ]);
 
-  if (!holidayId) {
-    return { success: false, message: 'Holiday ID required' };
+  for (const doc of result.documents) {
+    if (doc.$id === keepId) continue;
+    await databases.updateDocument(dbId, 'shift_policies', doc.$id, { isDefault: false });
   }
+};
 
-  // Get holiday
-  const holiday = await databases.getDocument(dbId, 'holidays', holidayId);
+const handleCreateShiftPolicy = async (payload, databases, dbId, callerId) => {
+  const { error, values } = validateShiftPolicyInput(payload);
+  if (error) return { success: false, message: error };
+
+  const policy = await databases.createDocument(dbId, 'shift_policies', ID.unique(), {
+    checkInOpen: DEFAULT_SHIFT_POLICY.checkInOpen,
+    graceMinutes: DEFAULT_SHIFT_POLICY.graceMinutes,
+    checkoutBlockedWindows: JSON.stringify([]),
+    halfDayHours: DEFAULT_SHIFT_POLICY.halfDayHours,
+    presentHours: DEFAULT_SHIFT_POLICY.presentHours,
+    maxShiftHours: DEFAULT_SHIFT_POLICY.maxShiftHours,
+    isDefault: false,
+    isActive: true,
+    ...values,
+    createdBy: callerId
+  });
 
-  // Delete holiday
-  await databases.deleteDocument(dbId, 'holidays', holidayId);
+  if (values.isDefault) {
+    await clearDefaultShiftPolicy(databases, dbId, policy.$id);
+  }
 
-  // Create audit log
   await createAuditLog(databases, dbId, {
     actorId: callerId,
-    action: AUDIT_ACTIONS.HOLIDAY_DELETED,
-    targetId: holidayId,
-    targetType: 'holiday',
-    payload: {
-      date: holiday.date,
-      name: holiday.name,
-      deletedBy: callerId
-    }
+    action: AUDIT_ACTIONS.SHIFT_POLICY_CREATED,
+    targetId: policy.$id,
+    targetType: 'shift_policy',
+    payload: values
   });
 
-  return {
-    success: true,
-    message: 'Holiday deleted successfully'
-  };
+  return { success: true, message: 'Shift policy created', data: { policyId: policy.$id } };
 };
 
-/**
- * Handle get holidays (public - all authenticated users)
- */
-const handleGetHolidays = async (databases, dbId) => {
-  // Get current year's holidays and next year's (for planning)
-  const currentYear = new Date().getFullYear();
-  const startDate = `${currentYear}-01-01`;
-  const endDate = `${currentYear + 1}-12-31`;
+const handleUpdateShiftPolicy = async (payload, databases, dbId, callerId) => {
+  const { policyId, data } = payload;
+  if (!policyId || !data) return { success: false, message: 'policyId and data required' };
 
-  const result = await databases.listDocuments(dbId, 'holidays', [
-    Query.greaterThanEqual('date', startDate),
-    Query.lessThanEqual('date', endDate),
-    Query.orderAsc('date'),
-    Query.limit(100)
-  ]);
+  const current = await databases.getDocument(dbId, 'shift_policies', policyId);
+  const { error, values } = validateShiftPolicyInput(data, true);
+  if (error) return { success: false, message: error };
 
-  return {
-    success: true,
-    data: {
-      holidays: result.documents.map(h => ({
-        $id: h.$id,
-        date: h.date,
-        name: h.name
-      }))
-    }
-  };
-};
+  // Re-check cross-field rules against the stored values
+  const merged = normalizeShiftPolicy({ ...current, ...values });
+  if (merged.halfDayHours > merged.presentHours) {
+    return { success: false, message: 'halfDayHours cannot exceed presentHours' };
+  }
 
-/**
- * Handle add office location
- */
-const handleAddOfficeLocation = async (payload, databases, dbId, callerId) => {
-  const { name, latitude, longitude, radiusMeters } = payload;
+  await databases.updateDocument(dbId, 'shift_policies', policyId, values);
 
-  if (!name || latitude === undefined || longitude === undefined) {
-    return { success: false, message: 'Name and coordinates required' };
+  if (values.isDefault) {
+    await clearDefaultShiftPolicy(databases, dbId, policyId);
   }
 
-  const location = await databases.createDocument(dbId, 'office_locations', ID.unique(), {
-    name,
-    latitude,
-    longitude,
-    radiusMeters: radiusMeters || 100,
-    isActive: true,
-    createdBy: callerId
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: AUDIT_ACTIONS.SHIFT_POLICY_UPDATED,
+    targetId: policyId,
+    targetType: 'shift_policy',
+    payload: { name: current.name, changes: values }
   });
 
+  return { success: true, message: 'Shift policy updated' };
+};
+
+const handleListShiftPolicies = async (databases, dbId) => {
+  const result = await databases.listDocuments(dbId, 'shift_policies', [Query.limit(100)]);
   return {
     success: true,
-    message: 'Office location added successfully',
     data: {
-      locationId: location.$id
+      policies: result.documents.map(doc => ({
+        ...normalizeShiftPolicy(doc),
+        isDefault: !!doc.isDefault,
+        isActive: doc.isActive !== false
+      }))
     }
   };
 };
 
-// ============================================
-// LEAVE MANAGEMENT
-// ============================================
+/**
+ * Handle assign shift
+ * Fixed: { employeeId, shiftPolicyId, effectiveFrom }
+ * Rotating weekly: { employeeId, rotation: [policyId, ...], effectiveFrom }
+ */
+const handleAssignShift = async (payload, databases, dbId, callerId) => {
+  const { employeeId, shiftPolicyId, rotation, effectiveFrom } = payload;
 
-const handleCreateLeave = async (payload, databases, dbId) => {
-  const { employeeId, date, type, reason } = payload;
-  if (!employeeId || !date || !type) {
-    return { success: false, message: 'employeeId, date and type required' };
+  if (!employeeId || !effectiveFrom) {
+    return { success: false, message: 'employeeId and effectiveFrom required' };
+  }
+  if (!DATE_REGEX.test(effectiveFrom)) {
+    return { success: false, message: 'effectiveFrom must be YYYY-MM-DD' };
   }
 
-  await getEmployee(databases, dbId, employeeId);
+  const isRotating = Array.isArray(rotation) && rotation.length > 0;
+  if (!isRotating && !shiftPolicyId) {
+    return { success: false, message: 'Provide shiftPolicyId or a weekly rotation' };
+  }
 
-  const leave = await databases.createDocument(dbId, 'leaves', ID.unique(), {
+  const employee = await getEmployee(databases, dbId, employeeId);
+
+  const policyIds = isRotating ? rotation : [shiftPolicyId];
+  const policyNames = [];
+  for (const policyId of policyIds) {
+    let policy;
+    try {
+      policy = await databases.getDocument(dbId, 'shift_policies', policyId);
+    } catch (err) {
+      return { success: false, message: `Shift policy ${policyId} not found` };
+    }
+    if (policy.isActive === false) {
+      return { success: false, message: `Shift policy ${policy.name} is inactive` };
+    }
+    policyNames.push(policy.name);
+  }
+
+  const assignment = await databases.createDocument(dbId, 'shift_assignments', ID.unique(), {
     employeeId,
-    date,
-    type,
-    reason: reason || '',
-    status: 'pending',
-    requestedAt: new Date().toISOString()
+    shiftType: isRotating ? SHIFT_TYPES.ROTATING : SHIFT_TYPES.FIXED,
+    shiftPolicyId: isRotating ? null : shiftPolicyId,
+    rotation: isRotating ? JSON.stringify(rotation) : null,
+    effectiveFrom,
+    assignedBy: callerId,
+    assignedAt: new Date().toISOString()
   });
 
-  return { success: true, message: 'Leave request created', data: { leaveId: leave.$id } };
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: AUDIT_ACTIONS.SHIFT_ASSIGNED,
+    targetId: employeeId,
+    targetType: 'employee',
+    payload: {
+      employeeName: employee.name,
+      shiftType: isRotating ? SHIFT_TYPES.ROTATING : SHIFT_TYPES.FIXED,
+      shifts: policyNames,
+      effectiveFrom
+    }
+  });
+
+  return {
+    success: true,
+    message: `Shift assigned to ${employee.name} from ${effectiveFrom}`,
+    data: { assignmentId: assignment.$id }
+  };
 };
 
-const handleListLeaves = async (payload, databases, dbId) => {
-  const { employeeId, status, month } = payload;
-  const queries = [Query.limit(200), Query.orderDesc('date')];
-  if (employeeId) queries.push(Query.equal('employeeId', employeeId));
-  if (status) queries.push(Query.equal('status', status));
-  if (month) {
-    queries.push(Query.greaterThanEqual('date', month + '-01'));
-    queries.push(Query.lessThan('date', month + '-32'));
-  }
+const handleListShiftAssignments = async (payload, databases, dbId) => {
+  const { employeeId } = payload;
+  if (!employeeId) return { success: false, message: 'employeeId required' };
 
-  const result = await databases.listDocuments(dbId, 'leaves', queries);
-  return { success: true, data: { leaves: result.documents } };
+  const result = await databases.listDocuments(dbId, 'shift_assignments', [
+    Query.equal('employeeId', employeeId),
+    Query.limit(100)
+  ]);
+
+  const assignments = result.documents
+    .map(normalizeShiftAssignment)
+    .filter(Boolean)
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+  return { success: true, data: { assignments } };
 };
 
-const handleDecideLeave = async (payload, databases, dbId, callerId, decision) => {
-  const { leaveId, comment } = payload;
-  if (!leaveId) return { success: false, message: 'leaveId required' };
+// ============================================
+// SETTINGS
+// ============================================
 
-  const leave = await databases.getDocument(dbId, 'leaves', leaveId);
-  if (leave.status !== 'pending') {
-    return { success: false, message: `Leave already ${leave.status}` };
+/**
+ * Validate a partial settings value against the defaults for its key
+ * Only known fields are accepted, and each must keep the default's type.
+ */
+const validateSettingsValue = (key, value) => {
+  const defaults = SETTINGS_DEFAULTS[key];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'Settings value must be an object';
   }
 
-  await databases.updateDocument(dbId, 'leaves', leaveId, {
-    status: decision,
-    reviewedBy: callerId,
-    reviewedAt: new Date().toISOString(),
-    reviewNotes: comment || ''
-  });
+  for (const [field, fieldValue] of Object.entries(value)) {
+    if (!(field in defaults)) return `Unknown ${key} setting: ${field}`;
 
-  await createAuditLog(databases, dbId, {
-    actorId: callerId,
-    action: `leave-${decision}`,
-    targetId: leaveId,
-    targetType: 'leave',
-    payload: { employeeId: leave.employeeId, date: leave.date, comment }
-  });
+    const expected = defaults[field];
+    if (expected === null) continue;
+    if (Array.isArray(expected) !== Array.isArray(fieldValue) || typeof expected !== typeof fieldValue) {
+      return `${field} must be ${Array.isArray(expected) ? 'a list' : `a ${typeof expected}`}`;
+    }
+    if (typeof fieldValue === 'number' && (isNaN(fieldValue) || fieldValue < 0)) {
+      return `${field} must be a non-negative number`;
+    }
 
-  return { success: true, message: `Leave ${decision}` };
+    const constraint = (SETTINGS_CONSTRAINTS[key] || {})[field];
+    if (Array.isArray(constraint) && !constraint.includes(fieldValue)) {
+      return `${field} must be one of: ${constraint.join(', ')}`;
+    }
+    if (constraint instanceof RegExp && fieldValue !== '' && !constraint.test(fieldValue)) {
+      return `${field} has an invalid format`;
+    }
+    if (typeof constraint === 'function') {
+      const error = constraint(fieldValue);
+      if (error) return error;
+    }
+  }
+  return null;
 };
 
-// ============================================
-// OFFICE LOCATIONS CRUD
-// ============================================
+const handleGetSettings = async (payload, databases, dbId) => {
+  const { key } = payload;
+  if (key && !SETTINGS_DEFAULTS[key]) return { success: false, message: `Unknown settings key: ${key}` };
 
-const handleListOfficeLocations = async (databases, dbId) => {
-  const result = await databases.listDocuments(dbId, 'office_locations', [Query.limit(100)]);
-  return { success: true, data: { locations: result.documents } };
+  const keys = key ? [key] : Object.keys(SETTINGS_DEFAULTS);
+  const settings = {};
+  for (const k of keys) {
+    settings[k] = await getSettings(databases, dbId, k);
+  }
+  return { success: true, data: { settings } };
 };
 
-const handleUpdateOfficeLocation = async (payload, databases, dbId) => {
-  const { locationId, data } = payload;
-  if (!locationId || !data) return { success: false, message: 'locationId and data required' };
+const handleUpdateSettings = async (payload, databases, dbId, callerId) => {
+  const { key, value } = payload;
+  if (!key || !value) return { success: false, message: 'key and value required' };
+  if (!SETTINGS_DEFAULTS[key]) return { success: false, message: `Unknown settings key: ${key}` };
 
-  const updates = {};
-  if (data.name) updates.name = data.name;
-  if (data.latitude !== undefined) updates.latitude = data.latitude;
-  if (data.longitude !== undefined) updates.longitude = data.longitude;
-  if (data.radiusMeters !== undefined) updates.radiusMeters = data.radiusMeters;
-  if (data.isActive !== undefined) updates.isActive = data.isActive;
+  const error = validateSettingsValue(key, value);
+  if (error) return { success: false, message: error };
 
-  await databases.updateDocument(dbId, 'office_locations', locationId, updates);
-  return { success: true, message: 'Office location updated' };
-};
+  const merged = { ...(await getSettings(databases, dbId, key)), ...value };
+  const data = {
+    value: JSON.stringify(merged),
+    updatedBy: callerId,
+    updatedAt: new Date().toISOString()
+  };
 
-const handleDeleteOfficeLocation = async (payload, databases, dbId) => {
-  const { locationId } = payload;
-  if (!locationId) return { success: false, message: 'locationId required' };
+  try {
+    await databases.updateDocument(dbId, 'settings', key, data);
+  } catch (err) {
+    if (err.code !== 404) throw err;
+    await databases.createDocument(dbId, 'settings', key, data);
+  }
 
-  await databases.deleteDocument(dbId, 'office_locations', locationId);
-  return { success: true, message: 'Office location deleted' };
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: AUDIT_ACTIONS.SETTINGS_UPDATED,
+    targetId: key,
+    targetType: 'settings',
+    payload: { key, changes: value }
+  });
+
+  return { success: true, message: 'Settings updated', data: { settings: merged } };
 };
 
 // ============================================
@@ -1211,142 +4547,784 @@ const handleTerminateEmployee = async (payload, databases, dbId, callerId) => {
     deviceFingerprint: null
   });
 
-  const month = effectiveDate.substring(0, 7);
-  const payrollList = await databases.listDocuments(dbId, 'payroll', [
-    Query.equal('employeeId', employeeId),
-    Query.equal('month', month),
-    Query.limit(1)
-  ]);
+  const month = effectiveDate.substring(0, 7);
+  const payrollList = await databases.listDocuments(dbId, 'payroll', [
+    Query.equal('employeeId', employeeId),
+    Query.equal('month', month),
+    Query.limit(1)
+  ]);
+
+  if (payrollList.total > 0 && !payrollList.documents[0].isLocked) {
+    const payrollDoc = payrollList.documents[0];
+    const termDay = parseInt(effectiveDate.split('-')[2]);
+    // The payroll period runs from the join day when the employee joined this month
+    const joinDate = (employee.joinDate || '').substring(0, 10);
+    const firstDay = joinDate.startsWith(month) ? parseInt(joinDate.split('-')[2]) : 1;
+    const attendanceList = await databases.listDocuments(dbId, 'attendance', [
+      Query.equal('employeeId', employeeId),
+      Query.greaterThan('date', effectiveDate),
+      Query.lessThan('date', month + '-32'),
+      Query.limit(100)
+    ]);
+
+    const counts = {};
+    Object.values(PAYROLL_DAY_FIELDS).forEach(field => { counts[field] = payrollDoc[field] || 0; });
+    let overtimePay = payrollDoc.overtimePay || 0;
+    let overtimeHours = payrollDoc.overtimeHours || 0;
+    let lateMarks = payrollDoc.lateMarks || 0;
+    let earlyLeaves = payrollDoc.earlyLeaves || 0;
+
+    for (const att of attendanceList.documents) {
+      if (PAYROLL_DAY_FIELDS[att.status]) counts[PAYROLL_DAY_FIELDS[att.status]]--;
+      overtimePay -= att.overtimePay || 0;
+      overtimeHours -= att.overtimeHours || 0;
+      if (att.lateByMinutes > 0) lateMarks--;
+      if (att.earlyLeaveByMinutes > 0) earlyLeaves--;
+      await databases.deleteDocument(dbId, 'attendance', att.$id);
+    }
+
+    Object.keys(counts).forEach(field => { counts[field] = Math.max(0, counts[field]); });
+    const payrollUpdate = {
+      ...counts,
+      overtimeHours: Math.max(0, parseFloat(overtimeHours.toFixed(2))),
+      overtimePay: Math.max(0, parseFloat(overtimePay.toFixed(2))),
+      lateMarks: Math.max(0, lateMarks),
+      earlyLeaves: Math.max(0, earlyLeaves),
+      totalWorkingDays: Math.max(0, termDay - firstDay + 1)
+    };
+    if (payrollUpdate.lateMarks !== (payrollDoc.lateMarks || 0) || payrollUpdate.earlyLeaves !== (payrollDoc.earlyLeaves || 0)) {
+      const penaltyRules = await getSettings(databases, dbId, 'penalties');
+      payrollUpdate.penaltyDays = calculatePenaltyDays(payrollUpdate.lateMarks, payrollUpdate.earlyLeaves, penaltyRules);
+      payrollUpdate.penaltyDeduction = parseFloat((payrollUpdate.penaltyDays * payrollDoc.dailyRate).toFixed(2));
+    }
+    Object.assign(payrollUpdate, calculatePayrollAmounts({ ...payrollDoc, ...payrollUpdate }));
+
+    await databases.updateDocument(dbId, 'payroll', payrollDoc.$id, payrollUpdate);
+  }
+
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: AUDIT_ACTIONS.EMPLOYEE_DEACTIVATED,
+    targetId: employeeId,
+    targetType: 'employee',
+    payload: { employeeName: employee.name, terminationDate: effectiveDate, reason }
+  });
+
+  return { success: true, message: 'Employee terminated', data: { terminationDate: effectiveDate } };
+};
+
+/**
+ * Handle delete all non-admin users
+ * Deletes auth users + their employee docs for everyone NOT in the admin team.
+ */
+const handleDeleteNonAdminUsers = async (databases, users, teams, dbId, adminTeamId, callerId) => {
+  if (!adminTeamId) {
+    return { success: false, message: 'Admin team not configured' };
+  }
+
+  const adminIds = new Set();
+  let offset = 0;
+  while (true) {
+    const memberships = await teams.listMemberships(adminTeamId, [
+      Query.limit(100),
+      Query.offset(offset)
+    ]);
+    memberships.memberships.forEach(m => adminIds.add(m.userId));
+    if (memberships.memberships.length < 100) break;
+    offset += 100;
+  }
+
+  let deletedAuth = 0;
+  let deletedEmployees = 0;
+  const failures = [];
+
+  let cursor = null;
+  while (true) {
+    const queries = [Query.limit(100), Query.orderAsc('$id')];
+    if (cursor) queries.push(Query.cursorAfter(cursor));
+    const userList = await users.list(queries);
+    if (userList.users.length === 0) break;
+
+    for (const u of userList.users) {
+      if (adminIds.has(u.$id)) continue;
+      if (u.$id === callerId) continue;
+
+      try {
+        await databases.deleteDocument(dbId, 'employees', u.$id);
+        deletedEmployees++;
+      } catch (err) {
+        if (!String(err.message).toLowerCase().includes('not found')) {
+          failures.push({ id: u.$id, stage: 'employee-doc', error: err.message });
+        }
+      }
+
+      try {
+        await users.delete(u.$id);
+        deletedAuth++;
+      } catch (err) {
+        failures.push({ id: u.$id, stage: 'auth-user', error: err.message });
+      }
+    }
+
+    if (userList.users.length < 100) break;
+    cursor = userList.users[userList.users.length - 1].$id;
+  }
+
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: 'non-admin-users-deleted',
+    targetId: null,
+    targetType: 'user',
+    payload: { deletedAuth, deletedEmployees, failures: failures.length }
+  });
+
+  return {
+    success: true,
+    message: `Deleted ${deletedAuth} users and ${deletedEmployees} employee records`,
+    data: { deletedAuth, deletedEmployees, failures }
+  };
+};
+
+// ============================================
+// SCHEDULED JOBS
+// ============================================
+
+/**
+ * Handle close open attendance (scheduled, also runnable by admins)
+ * Finds records from previous days that were checked into but never checked out
+ * and closes them according to the `missedCheckout` settings. Records still within
+ * their shift's maximum span (night shifts) and locked records are left alone.
+ */
+const handleCloseOpenAttendance = async (payload, databases, dbId, actorId) => {
+  const rules = await getSettings(databases, dbId, 'missedCheckout');
+  const today = formatDate(getNowIST());
+  const fromDate = addDays(today, -Math.max(1, rules.lookbackDays));
+
+  const openResult = await databases.listDocuments(dbId, 'attendance', [
+    Query.greaterThanEqual('date', fromDate),
+    Query.lessThan('date', today),
+    Query.isNull('checkOutTime'),
+    Query.limit(500)
+  ]);
+
+  const resolvers = {};
+  const employees = {};
+  const closed = [];
+  let skipped = 0;
+
+  for (const attendance of openResult.documents) {
+    if (!attendance.checkInTime || attendance.checkOutTime || attendance.missedPunch || attendance.isLocked) {
+      skipped++;
+      continue;
+    }
+
+    if (!resolvers[attendance.employeeId]) {
+      employees[attendance.employeeId] = await databases.getDocument(dbId, 'employees', attendance.employeeId).catch(() => null);
+      resolvers[attendance.employeeId] = await createShiftResolver(databases, dbId, employees[attendance.employeeId]);
+    }
+    const policy = resolvers[attendance.employeeId](attendance.date);
+
+    const hoursOpen = (Date.now() - new Date(attendance.checkInTime).getTime()) / (1000 * 60 * 60);
+    if (hoursOpen <= policy.maxShiftHours) {
+      skipped++;
+      continue;
+    }
+
+    let mode = rules.mode;
+    const updateData = { missedPunch: true };
+    const auditPayload = { employeeId: attendance.employeeId, date: attendance.date };
+
+    if (mode === MISSED_CHECKOUT_MODES.DEFAULT_CHECKOUT) {
+      const checkOutTime = getShiftInstant(policy, attendance.date, rules.defaultCheckoutTime || policy.shiftEnd).toISOString();
+      if (checkOutTime > attendance.checkInTime) {
+        const punches = parsePunches(attendance);
+        if (getOpenBreak(punches)) {
+          punches.push({ type: PUNCH_TYPES.BREAK_END, time: checkOutTime, auto: true });
+        }
+        punches.push({ type: PUNCH_TYPES.CHECK_OUT, time: checkOutTime, auto: true });
+
+        updateData.checkOutTime = checkOutTime;
+        updateData.punches = JSON.stringify(punches);
+        updateData.breakHours = calculateUnpaidBreakHours(punches, checkOutTime, attendance.checkInTime);
+        updateData.workHours = calculateNetWorkHours(attendance.checkInTime, checkOutTime, punches);
+        updateData.earlyLeaveByMinutes = calculateEarlyLeaveMinutes(policy, attendance.date, checkOutTime);
+        updateData.status = calculateAttendanceStatus(updateData.workHours, policy);
+        updateData.notes = 'Auto check-out (missed punch)';
+        Object.assign(auditPayload, { checkOutTime, workHours: updateData.workHours, status: updateData.status });
+      } else {
+        // Checked in after the default check-out time: nothing sensible to apply
+        mode = MISSED_CHECKOUT_MODES.MISSED_PUNCH;
+      }
+    }
+
+    if (mode === MISSED_CHECKOUT_MODES.REGULARIZATION) {
+      const regularization = await databases.createDocument(dbId, 'regularizations', ID.unique(), {
+        employeeId: attendance.employeeId,
+        attendanceId: attendance.$id,
+        date: attendance.date,
+        reason: 'Missed check-out',
+        status: REGULARIZATION_STATUS.PENDING,
+        isSystemGenerated: true,
+        requestedAt: new Date().toISOString()
+      });
+      updateData.regularizationId = regularization.$id;
+      updateData.notes = 'Missed check-out - regularization pending';
+      auditPayload.regularizationId = regularization.$id;
+    } else if (mode === MISSED_CHECKOUT_MODES.MISSED_PUNCH) {
+      updateData.notes = 'Missed check-out';
+    }
+
+    await databases.updateDocument(dbId, 'attendance', attendance.$id, updateData);
+    if (updateData.status) {
+      await syncCompOffCredit(databases, dbId, { $id: attendance.employeeId }, attendance, updateData.status, actorId);
+    }
+    if (updateData.workHours !== undefined && employees[attendance.employeeId]) {
+      await syncWeekOvertime(databases, dbId, employees[attendance.employeeId], attendance, { ...attendance, ...updateData });
+    }
+    await createAuditLog(databases, dbId, {
+      actorId,
+      action: AUDIT_ACTIONS.MISSED_CHECKOUT_CLOSED,
+      targetId: attendance.$id,
+      targetType: 'attendance',
+      payload: { ...auditPayload, mode }
+    });
+
+    closed.push({ attendanceId: attendance.$id, employeeId: attendance.employeeId, date: attendance.date, mode });
+  }
+
+  return {
+    success: true,
+    message: `Closed ${closed.length} open attendance record(s)`,
+    data: { closed, skipped }
+  };
+};
+
+// ============================================
+// SALARY STRUCTURES
+// ============================================
+
+/**
+ * Validate a list of earning or deduction components
+ * Returns { error } or { components } ready to store
+ */
+const validateSalaryComponents = (list, kind) => {
+  if (!Array.isArray(list)) return { error: `${kind} must be a list of components` };
+
+  const isEarning = kind === 'earnings';
+  const bases = isEarning ? SALARY_EARNING_BASES : SALARY_DEDUCTION_BASES;
+  const types = Object.values(SALARY_COMPONENT_TYPES).filter(t => isEarning || t !== SALARY_COMPONENT_TYPES.REMAINDER);
+  const components = [];
+
+  for (const item of list) {
+    const code = item && item.code;
+    if (!SALARY_COMPONENT_CODE_REGEX.test(code || '')) {
+      return { error: `${kind}: code must be lowercase letters, digits, - or _` };
+    }
+    if (components.some(c => c.code === code)) return { error: `${kind}: duplicate component ${code}` };
+    if (isEarning && code === 'overtime') return { error: 'earnings: overtime is added automatically' };
+    if (!types.includes(item.type)) return { error: `${kind}: ${code} type must be one of: ${types.join(', ')}` };
+
+    const component = { code, name: String(item.name || code).trim(), type: item.type };
+    if (item.type !== SALARY_COMPONENT_TYPES.REMAINDER) {
+      const value = Number(item.value);
+      if (item.value === undefined || item.value === null || isNaN(value) || value < 0) {
+        return { error: `${kind}: ${code} value must be a non-negative number` };
+      }
+      if (item.type === SALARY_COMPONENT_TYPES.PERCENT && value > 100) {
+        return { error: `${kind}: ${code} percentage cannot exceed 100` };
+      }
+      component.value = value;
+    }
+    if (item.type === SALARY_COMPONENT_TYPES.PERCENT) {
+      component.base = item.base === undefined ? (isEarning ? 'ctc' : 'gross') : item.base;
+      if (!bases.includes(component.base)) return { error: `${kind}: ${code} base must be one of: ${bases.join(', ')}` };
+    }
+
+    // Caps: maxBase limits what a percentage is taken of, maxAmount the result,
+    // grossLimit skips the deduction above a monthly gross (e.g. ESI)
+    const caps = isEarning ? [] : ['maxBase', 'maxAmount', 'grossLimit'];
+    for (const cap of caps) {
+      if (item[cap] === undefined || item[cap] === null) continue;
+      const value = Number(item[cap]);
+      if (isNaN(value) || value <= 0) return { error: `${kind}: ${code} ${cap} must be a positive number` };
+      component[cap] = value;
+    }
+
+    components.push(component);
+  }
+
+  return { components };
+};
+
+/**
+ * Cross-component rules for a whole structure; returns an error message or null
+ */
+const getSalaryStructureError = ({ earnings, deductions }) => {
+  const remainders = earnings.filter(c => c.type === SALARY_COMPONENT_TYPES.REMAINDER);
+  if (remainders.length !== 1) {
+    return 'earnings need exactly one remainder component (the balance of the monthly salary)';
+  }
+
+  const basic = earnings.find(c => c.code === 'basic');
+  const onBasic = [...earnings, ...deductions].filter(c => c.type === SALARY_COMPONENT_TYPES.PERCENT && c.base === 'basic');
+  if (onBasic.length > 0 && !basic) return `${onBasic[0].code} is a percentage of basic, but there is no basic earning`;
+  if (earnings.some(c => c.type === SALARY_COMPONENT_TYPES.PERCENT && c.base === 'basic') &&
+      (basic.type === SALARY_COMPONENT_TYPES.REMAINDER || basic.base === 'basic')) {
+    return 'basic must be fixed or a percentage of ctc when other earnings are based on it';
+  }
+  return null;
+};
+
+/**
+ * Validate salary structure fields from an admin payload
+ * Returns { error } or { values } (component lists parsed); `partial` allows missing fields (updates)
+ */
+const validateSalaryStructureInput = (data, partial = false) => {
+  const values = {};
+
+  if (data.name !== undefined) values.name = String(data.name).trim();
+  if (!partial && !values.name) return { error: 'Salary structure name required' };
+
+  for (const kind of ['earnings', 'deductions']) {
+    if (data[kind] === undefined) continue;
+    const { error, components } = validateSalaryComponents(data[kind], kind);
+    if (error) return { error };
+    values[kind] = components;
+  }
+  if (!partial && !values.earnings) return { error: 'earnings required' };
+
+  if (data.isDefault !== undefined) values.isDefault = !!data.isDefault;
+  if (data.isActive !== undefined) values.isActive = !!data.isActive;
+
+  return { values };
+};
+
+/**
+ * Clear the default flag on every other structure
+ */
+const clearDefaultSalaryStructure = async (databases, dbId, keepId) => {
+  const result = await databases.listDocuments(dbId, 'salary_structures', [
+    Query.equal('isDefault', true),
+    Query.limit(100)
+  ]);
+
+  for (const doc of result.documents) {
+    if (doc.$id === keepId) continue;
+    await databases.updateDocument(dbId, 'salary_structures', doc.$id, { isDefault: false });
+  }
+};
+
+/**
+ * Handle create salary structure
+ * { name, earnings: [{ code, name, type, value, base }], deductions: [...], isDefault }
+ */
+const handleCreateSalaryStructure = async (payload, databases, dbId, callerId) => {
+  const { error, values } = validateSalaryStructureInput(payload);
+  if (error) return { success: false, message: error };
+
+  const deductions = values.deductions || [];
+  const structureError = getSalaryStructureError({ earnings: values.earnings, deductions });
+  if (structureError) return { success: false, message: structureError };
+
+  const structure = await databases.createDocument(dbId, 'salary_structures', ID.unique(), {
+    name: values.name,
+    earnings: JSON.stringify(values.earnings),
+    deductions: JSON.stringify(deductions),
+    isDefault: !!values.isDefault,
+    isActive: values.isActive !== false,
+    createdBy: callerId
+  });
+
+  if (values.isDefault) {
+    await clearDefaultSalaryStructure(databases, dbId, structure.$id);
+  }
+
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: AUDIT_ACTIONS.SALARY_STRUCTURE_CREATED,
+    targetId: structure.$id,
+    targetType: 'salary_structure',
+    payload: values
+  });
+
+  return { success: true, message: 'Salary structure created', data: { structureId: structure.$id } };
+};
+
+/**
+ * Handle update salary structure
+ * Payrolls already generated keep the rules they were calculated with.
+ */
+const handleUpdateSalaryStructure = async (payload, databases, dbId, callerId) => {
+  const { structureId, data } = payload;
+  if (!structureId || !data) return { success: false, message: 'structureId and data required' };
 
-  if (payrollList.total > 0 && !payrollList.documents[0].isLocked) {
-    const payrollDoc = payrollList.documents[0];
-    const termDay = parseInt(effectiveDate.split('-')[2]);
-    const attendanceList = await databases.listDocuments(dbId, 'attendance', [
-      Query.equal('employeeId', employeeId),
-      Query.greaterThan('date', effectiveDate),
-      Query.lessThan('date', month + '-32'),
-      Query.limit(100)
-    ]);
+  const current = normalizeSalaryStructure(await databases.getDocument(dbId, 'salary_structures', structureId));
+  const { error, values } = validateSalaryStructureInput(data, true);
+  if (error) return { success: false, message: error };
 
-    let presentDays = payrollDoc.presentDays;
-    let halfDays = payrollDoc.halfDays;
-    let absentDays = payrollDoc.absentDays;
-    let sundayDays = payrollDoc.sundayDays;
-    let holidayDays = payrollDoc.holidayDays;
-    let leaveDays = payrollDoc.leaveDays;
+  // Re-check cross-component rules against the stored lists
+  const structureError = getSalaryStructureError({ ...current, ...values });
+  if (structureError) return { success: false, message: structureError };
 
-    for (const att of attendanceList.documents) {
-      switch (att.status) {
-        case 'present': presentDays--; break;
-        case 'half_day': halfDays--; break;
-        case 'absent': absentDays--; break;
-        case 'sunday': sundayDays--; break;
-        case 'holiday': holidayDays--; break;
-        case 'leave': leaveDays--; break;
-      }
-      await databases.deleteDocument(dbId, 'attendance', att.$id);
-    }
+  const updates = { ...values };
+  if (values.earnings) updates.earnings = JSON.stringify(values.earnings);
+  if (values.deductions) updates.deductions = JSON.stringify(values.deductions);
+  await databases.updateDocument(dbId, 'salary_structures', structureId, updates);
 
-    const paidDays = presentDays + sundayDays + holidayDays + leaveDays + (halfDays * 0.5);
-    await databases.updateDocument(dbId, 'payroll', payrollDoc.$id, {
-      presentDays: Math.max(0, presentDays),
-      halfDays: Math.max(0, halfDays),
-      absentDays: Math.max(0, absentDays),
-      sundayDays: Math.max(0, sundayDays),
-      holidayDays: Math.max(0, holidayDays),
-      leaveDays: Math.max(0, leaveDays),
-      totalWorkingDays: termDay,
-      netSalary: payrollDoc.dailyRate * paidDays
-    });
+  if (values.isDefault) {
+    await clearDefaultSalaryStructure(databases, dbId, structureId);
   }
 
   await createAuditLog(databases, dbId, {
     actorId: callerId,
-    action: AUDIT_ACTIONS.EMPLOYEE_DEACTIVATED,
-    targetId: employeeId,
-    targetType: 'employee',
-    payload: { employeeName: employee.name, terminationDate: effectiveDate, reason }
+    action: AUDIT_ACTIONS.SALARY_STRUCTURE_UPDATED,
+    targetId: structureId,
+    targetType: 'salary_structure',
+    payload: { name: current.name, changes: values }
   });
 
-  return { success: true, message: 'Employee terminated', data: { terminationDate: effectiveDate } };
+  return { success: true, message: 'Salary structure updated' };
+};
+
+const handleListSalaryStructures = async (databases, dbId) => {
+  const structures = await getSalaryStructures(databases, dbId);
+  return {
+    success: true,
+    data: {
+      structures,
+      // Applies to employees without a structure while no default is configured
+      builtIn: DEFAULT_SALARY_STRUCTURE
+    }
+  };
 };
 
+// ============================================
+// PAYROLL HANDLERS
+// ============================================
+
 /**
- * Handle delete all non-admin users
- * Deletes auth users + their employee docs for everyone NOT in the admin team.
+ * Load everything a month's payroll run needs besides each employee's own records
  */
-const handleDeleteNonAdminUsers = async (databases, users, teams, dbId, adminTeamId, callerId) => {
-  if (!adminTeamId) {
-    return { success: false, message: 'Admin team not configured' };
+const loadPayrollContext = async (databases, dbId, month) => {
+  // Overtime's weekly threshold needs the whole of the month's first and last weeks
+  const [year, monthNum] = month.split('-');
+  const daysInMonth = new Date(parseInt(year), parseInt(monthNum), 0).getDate();
+  const weeksFrom = getWeekStart(month + '-01');
+  const weeksTo = addDays(getWeekStart(`${month}-${String(daysInMonth).padStart(2, '0')}`), 6);
+
+  const [employeesResult, allHolidays, leavesResult, overtimeRules, penaltyRules, leaveCatalogue, leaveRules, weeklyOffRules, salaryStructures, statutoryRules, payrollRules] = await Promise.all([
+    databases.listDocuments(dbId, 'employees', [Query.limit(100)]),
+    listHolidays(databases, dbId, weeksFrom, weeksTo),
+    // Leave ranges starting in an earlier month may run into this one
+    databases.listDocuments(dbId, 'leaves', [
+      Query.equal('status', LEAVE_STATUS.APPROVED),
+      Query.greaterThanEqual('date', addDays(month + '-01', -MAX_LEAVE_SPAN_DAYS)),
+      Query.lessThan('date', month + '-32'),
+      Query.limit(500)
+    ]),
+    getSettings(databases, dbId, 'overtime'),
+    getSettings(databases, dbId, 'penalties'),
+    getLeaveCatalogue(databases, dbId),
+    getSettings(databases, dbId, 'leave'),
+    getWeeklyOffRules(databases, dbId),
+    getSalaryStructures(databases, dbId),
+    getSettings(databases, dbId, 'statutory'),
+    getSettings(databases, dbId, 'payroll')
+  ]);
+
+  const employees = employeesResult.documents;
+  const leaves = leavesResult.documents;
+  const now = getNowIST();
+  const isCurrentMonth = (now.getMonth() + 1) === parseInt(monthNum) && now.getFullYear() === parseInt(year);
+  const lastBillableDay = isCurrentMonth ? now.getDate() : daysInMonth;
+
+  return {
+    employees, allHolidays, leaves, overtimeRules, penaltyRules, leaveCatalogue, leaveRules,
+    weeklyOffRules, salaryStructures, statutoryRules, payrollRules, year, monthNum, daysInMonth, lastBillableDay,
+    weeksFrom, weeksTo
+  };
+};
+
+/**
+ * Work out one employee's payroll for a month without writing anything
+ * Returns null when the employee is not payable this month, else { payroll (document
+ * fields), attendance (existing records), attendanceToCreate (auto-marked days),
+ * attendanceUpdates ([{ $id, data }] locking and stamping existing records),
+ * arrearIds (pending arrears the payroll pays out) }.
+ */
+const calculateEmployeePayroll = async (databases, dbId, employee, month, context) => {
+  const {
+    allHolidays, leaves, overtimeRules, penaltyRules, leaveCatalogue, leaveRules,
+    weeklyOffRules, salaryStructures, statutoryRules, payrollRules, year, monthNum, daysInMonth, lastBillableDay,
+    weeksFrom, weeksTo
+  } = context;
+
+  if (!employee.isActive) {
+       const hasAttendance = await databases.listDocuments(dbId, 'attendance', [
+           Query.equal('employeeId', employee.$id),
+           Query.startsWith('date', month), 
+           Query.limit(1)
+       ]);
+       if (hasAttendance.total === 0) return null;
   }
 
-  const adminIds = new Set();
-  let offset = 0;
-  while (true) {
-    const memberships = await teams.listMemberships(adminTeamId, [
-      Query.limit(100),
-      Query.offset(offset)
-    ]);
-    memberships.memberships.forEach(m => adminIds.add(m.userId));
-    if (memberships.memberships.length < 100) break;
-    offset += 100;
+  let employeeJoinDate;
+  if (employee.joinDate) {
+    employeeJoinDate = new Date(employee.joinDate);
+    if (isNaN(employeeJoinDate.getTime())) {
+        console.error(`Invalid join date for ${employee.name}`);
+        employeeJoinDate = new Date(month + '-01');
+    }
+  } else {
+    employeeJoinDate = new Date(month + '-01');
   }
 
-  let deletedAuth = 0;
-  let deletedEmployees = 0;
-  const failures = [];
+  const monthStartDate = new Date(month + '-01');
+  const monthEndDate = new Date(parseInt(year), parseInt(monthNum), 0);
+  
+  if (employeeJoinDate > monthEndDate) return null;
+
+  let employeeLastDay = lastBillableDay;
+  if (employee.terminationDate) {
+    const termDate = new Date(employee.terminationDate);
+    if (!isNaN(termDate.getTime())) {
+      if (termDate < monthStartDate) return null;
+      if (termDate <= monthEndDate) {
+        employeeLastDay = Math.min(employeeLastDay, termDate.getDate());
+      }
+    }
+  }
 
-  let cursor = null;
-  while (true) {
-    const queries = [Query.limit(100), Query.orderAsc('$id')];
-    if (cursor) queries.push(Query.cursorAfter(cursor));
-    const userList = await users.list(queries);
-    if (userList.users.length === 0) break;
+  const firstWorkingDay = employeeJoinDate > monthStartDate ? employeeJoinDate.getDate() : 1;
+  // Includes the neighbouring months' days of the first and last weeks, for overtime
+  const attendanceResult = await databases.listDocuments(dbId, 'attendance', [
+    Query.equal('employeeId', employee.$id),
+    Query.greaterThanEqual('date', weeksFrom),
+    Query.lessThanEqual('date', weeksTo),
+    Query.limit(100)
+  ]);
 
-    for (const u of userList.users) {
-      if (adminIds.has(u.$id)) continue;
-      if (u.$id === callerId) continue;
+  const attendanceMap = {};
+  attendanceResult.documents.forEach(att => {
+    attendanceMap[att.date] = att;
+  });
+  const resolveShift = await createShiftResolver(databases, dbId, employee);
+  let presentDays = 0, halfDays = 0, absentDays = 0, sundayDays = 0, holidayDays = 0, leaveDays = 0, unpaidLeaveDays = 0;
+  let actualWorkingDays = 0;
+  let lateMarks = 0, earlyLeaves = 0, halfDayLeaves = 0, sandwichDays = 0;
+  
+  const attendanceToCreate = [];
+  const attendanceUpdates = [];
+  const existingRecords = [];
+  const workedDays = [];
+  const halfDayLeaveDates = new Set();
+
+  // Only the holidays of the employee's office/region, and optional ones they picked
+  const holidayScope = await getHolidayScope(databases, dbId, employee, weeksFrom, weeksTo);
+  const holidays = filterHolidaysForScope(allHolidays, holidayScope);
+  const holidayDates = new Set(holidays.map(h => h.date));
+  const weeklyOff = resolveWeeklyOff(employee, weeklyOffRules);
+  const leaveByDate = {};
+  leaves.filter(l => l.employeeId === employee.$id).forEach(leave => {
+    expandLeaveDates(leave, holidayDates, leaveRules, weeklyOff).forEach(({ date, fraction }) => {
+      leaveByDate[date] = { leave, fraction };
+    });
+  });
+  const isOffDay = (d) => isWeeklyOff(d, weeklyOff) || holidayDates.has(d);
+
+  for (let day = 1; day <= daysInMonth; day++) {
+     if (day > employeeLastDay) break;
+
+     if (day < firstWorkingDay) continue;
+
+     actualWorkingDays++;
+     const date = `${month}-${String(day).padStart(2, '0')}`;
+     const isWeeklyOffDate = isWeeklyOff(date, weeklyOff);
+     
+     const holidayRecord = holidays.find(h => h.date === date);
+     const leaveDay = leaveByDate[date];
+     const leaveRecord = leaveDay && leaveDay.fraction === 1 ? leaveDay.leave : null;
+     // A paid half-day leave makes up the other half of an absent or half day
+     const paidHalfDayLeave = leaveDay && leaveDay.fraction < 1 && isLeavePaid(leaveDay.leave, leaveCatalogue);
+     
+     let attendance = attendanceMap[date];
+     const shift = resolveShift(date);
+
+     if (!attendance) {
+       let status, notes;
+       const sandwichLeave = leaveRules.sandwichRule && (isWeeklyOffDate || holidayRecord)
+         ? findSandwichingLeave(date, isOffDay, leaveByDate)
+         : null;
+       
+       if (sandwichLeave) {
+           const paid = isLeavePaid(sandwichLeave, leaveCatalogue);
+           status = paid ? ATTENDANCE_STATUS.LEAVE : ATTENDANCE_STATUS.UNPAID_LEAVE;
+           const offDayName = isWeeklyOffDate
+               ? new Date(date).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })
+               : holidayRecord.name;
+           notes = `Sandwich rule: ${offDayName} between ${sandwichLeave.type} leave`;
+           if (paid) leaveDays++; else unpaidLeaveDays++;
+           sandwichDays++;
+       } else if (isWeeklyOffDate) {
+           status = ATTENDANCE_STATUS.SUNDAY;
+           notes = 'Weekly off';
+           sundayDays++;
+       } else if (holidayRecord) {
+           status = ATTENDANCE_STATUS.HOLIDAY;
+           notes = holidayRecord.name;
+           holidayDays++;
+       } else if (leaveRecord && !isLeavePaid(leaveRecord, leaveCatalogue)) {
+           status = ATTENDANCE_STATUS.UNPAID_LEAVE;
+           notes = leaveRecord.type;
+           unpaidLeaveDays++;
+       } else if (leaveRecord) {
+           status = ATTENDANCE_STATUS.LEAVE;
+           notes = leaveRecord.type;
+           leaveDays++;
+       } else {
+           status = ATTENDANCE_STATUS.ABSENT;
+           notes = leaveDay ? `${leaveDay.leave.type} (half day)` : 'Auto-marked';
+           absentDays++;
+           if (paidHalfDayLeave) halfDayLeaves++;
+       }
 
-      try {
-        await databases.deleteDocument(dbId, 'employees', u.$id);
-        deletedEmployees++;
-      } catch (err) {
-        if (!String(err.message).toLowerCase().includes('not found')) {
-          failures.push({ id: u.$id, stage: 'employee-doc', error: err.message });
-        }
-      }
+       attendanceToCreate.push({
+           employeeId: employee.$id,
+           date,
+           status,
+           isAutoCalculated: true,
+           isLocked: true,
+           isLocationFlagged: false,
+           halfDayLeave: status === ATTENDANCE_STATUS.ABSENT && !!paidHalfDayLeave,
+           sandwiched: !!sandwichLeave,
+           shiftPolicyId: shift.$id,
+           shiftName: shift.name,
+           notes
+       });
+     } else {
+       switch (attendance.status) {
+           case ATTENDANCE_STATUS.PRESENT: presentDays++; break;
+           case ATTENDANCE_STATUS.HALF_DAY: halfDays++; break;
+           case ATTENDANCE_STATUS.ABSENT: absentDays++; break;
+           case ATTENDANCE_STATUS.SUNDAY: sundayDays++; break;
+           case ATTENDANCE_STATUS.HOLIDAY: holidayDays++; break;
+           case ATTENDANCE_STATUS.LEAVE: leaveDays++; break;
+           case ATTENDANCE_STATUS.UNPAID_LEAVE: unpaidLeaveDays++; break;
+       }
 
-      try {
-        await users.delete(u.$id);
-        deletedAuth++;
-      } catch (err) {
-        failures.push({ id: u.$id, stage: 'auth-user', error: err.message });
+       existingRecords.push(attendance);
+       if (paidHalfDayLeave && HALF_DAY_LEAVE_STATUSES.includes(attendance.status)) {
+           halfDayLeaves++;
+           halfDayLeaveDates.add(date);
+       }
+       if (attendance.lateByMinutes > 0) lateMarks++;
+       if (attendance.earlyLeaveByMinutes > 0) earlyLeaves++;
+       if (attendance.workHours > 0) {
+           workedDays.push({
+               date,
+               hours: attendance.workHours,
+               dayType: isWeeklyOffDate ? 'sunday' : (holidayRecord ? 'holiday' : 'regular'),
+               approved: attendance.overtimeApproved
+           });
+       }
+     }
+  }
+  // Revisions taking effect part-way through the month are prorated by day
+  const [revisions, pendingArrears, compOffDates] = await Promise.all([
+    getSalaryRevisions(databases, dbId, employee.$id),
+    getPendingArrears(databases, dbId, employee.$id),
+    getCompOffCreditDates(databases, dbId, employee.$id)
+  ]);
+  const { baseSalary, periods } = calculateMonthSalary(employee, revisions, month);
+  const { basis, basisDays } = getPayableDays(employee, payrollRules, month, weeklyOff);
+  const dailyRate = baseSalary / basisDays;
+  // Only arrears for earlier months; a month's own arrears are settled by a later payroll
+  const arrearsDue = pendingArrears.filter(a => a.month < month);
+  const arrearsPay = parseFloat(arrearsDue.reduce((sum, a) => sum + (a.amount || 0), 0).toFixed(2));
+
+  const adjacentWorkedDays = attendanceResult.documents
+    .filter(att => !att.date.startsWith(month) && att.workHours > 0)
+    .map(att => ({
+      date: att.date,
+      hours: att.workHours,
+      dayType: isWeeklyOff(att.date, weeklyOff) ? 'sunday' : (holidayDates.has(att.date) ? 'holiday' : 'regular'),
+      approved: att.overtimeApproved
+    }));
+  // Off days compensated with a comp-off are not also paid the premium
+  const earnsOvertime = (day) => day.dayType === 'regular' || !compOffDates.has(day.date);
+  const overtime = overtimeRules.enabled
+    ? calculateOvertime(workedDays.filter(earnsOvertime), overtimeRules, dailyRate / overtimeRules.standardDayHours,
+      adjacentWorkedDays.filter(earnsOvertime))
+    : { days: {}, totalHours: 0, totalPay: 0, pendingHours: 0 };
+
+  // Lock existing records, stamping each day's overtime and half-day leave for the report
+  for (const attendance of existingRecords) {
+      const stamp = {};
+      const dayOvertime = overtime.days[attendance.date];
+      if (dayOvertime) {
+          stamp.overtimeHours = dayOvertime.hours;
+          stamp.overtimePay = dayOvertime.pay;
       }
-    }
+      if (halfDayLeaveDates.has(attendance.date) && !attendance.halfDayLeave) stamp.halfDayLeave = true;
 
-    if (userList.users.length < 100) break;
-    cursor = userList.users[userList.users.length - 1].$id;
+      if (!attendance.isLocked || Object.keys(stamp).length > 0) {
+          attendanceUpdates.push({ $id: attendance.$id, data: { isLocked: true, ...stamp } });
+      }
   }
 
-  await createAuditLog(databases, dbId, {
-    actorId: callerId,
-    action: 'non-admin-users-deleted',
-    targetId: null,
-    targetType: 'user',
-    payload: { deletedAuth, deletedEmployees, failures: failures.length }
+  const counts = { presentDays, halfDays, absentDays, sundayDays, holidayDays, leaveDays, unpaidLeaveDays, halfDayLeaves };
+  const penaltyDays = Math.min(calculatePenaltyDays(lateMarks, earlyLeaves, penaltyRules), calculatePaidDays(counts));
+  const salaryStructure = resolveSalaryStructure(employee, salaryStructures);
+  const structureSnapshot = JSON.stringify({
+    earnings: salaryStructure.earnings,
+    deductions: salaryStructure.deductions,
+    statutory: getStatutoryConfig(statutoryRules, holidayScope.region)
+  });
+  const amounts = calculatePayrollAmounts({
+    ...counts, month, baseSalary, totalWorkingDays: actualWorkingDays, payableDaysBasis: basis, dailyRate, penaltyDays,
+    overtimePay: overtime.totalPay, arrearsPay, salaryStructure: structureSnapshot
   });
 
+  const payroll = {
+    employeeId: employee.$id,
+    month,
+    baseSalary,
+    salaryPeriods: JSON.stringify(periods),
+    totalWorkingDays: actualWorkingDays,
+    presentDays,
+    halfDays,
+    absentDays,
+    sundayDays,
+    holidayDays,
+    leaveDays,
+    unpaidLeaveDays,
+    halfDayLeaves,
+    sandwichDays,
+    payableDaysBasis: basis,
+    basisDays, // Kept so recalculations after a salary revision use the same divisor
+    dailyRate,
+    overtimeHours: overtime.totalHours,
+    overtimePay: overtime.totalPay,
+    pendingOvertimeHours: overtime.pendingHours,
+    lateMarks,
+    earlyLeaves,
+    penaltyDays,
+    penaltyDeduction: parseFloat((penaltyDays * dailyRate).toFixed(2)),
+    arrearsPay,
+    salaryStructureId: salaryStructure.$id,
+    salaryStructure: structureSnapshot, // Rules used, so later recalculations match
+    ...amounts
+  };
+
   return {
-    success: true,
-    message: `Deleted ${deletedAuth} users and ${deletedEmployees} employee records`,
-    data: { deletedAuth, deletedEmployees, failures }
+    payroll,
+    attendance: existingRecords,
+    attendanceToCreate,
+    attendanceUpdates,
+    arrearIds: arrearsDue.map(a => a.$id)
   };
 };
 
-// ============================================
-// PAYROLL HANDLERS
-// ============================================
-
 /**
  * Handle generate payroll
  * Uses Promise.all to save attendance records in parallel
@@ -1371,176 +5349,43 @@ const handleGeneratePayroll = async (payload, databases, dbId, callerId) => {
     };
   }
 
-  const [employeesResult, holidaysResult, leavesResult] = await Promise.all([
-    databases.listDocuments(dbId, 'employees', [Query.limit(100)]),
-    databases.listDocuments(dbId, 'holidays', [
-      Query.greaterThanEqual('date', month + '-01'),
-      Query.lessThan('date', month + '-32')
-    ]),
-    databases.listDocuments(dbId, 'leaves', [
-      Query.equal('status', 'approved'),
-      Query.greaterThanEqual('date', month + '-01'),
-      Query.lessThan('date', month + '-32')
-    ])
-  ]);
-
-  const employees = employeesResult.documents;
-  const holidays = holidaysResult.documents;
-  const leaves = leavesResult.documents;
-  const [year, monthNum] = month.split('-');
-  const daysInMonth = new Date(parseInt(year), parseInt(monthNum), 0).getDate();
-  const now = getNowIST();
-  const isCurrentMonth = (now.getMonth() + 1) === parseInt(monthNum) && now.getFullYear() === parseInt(year);
-  let lastBillableDay = isCurrentMonth ? now.getDate() : daysInMonth;
+  const context = await loadPayrollContext(databases, dbId, month);
+  const { employees } = context;
 
   let totalPayout = 0;
   const payrollRecords = [];
 
   for (const employee of employees) {
-    if (!employee.isActive) {
-         const hasAttendance = await databases.listDocuments(dbId, 'attendance', [
-             Query.equal('employeeId', employee.$id),
-             Query.startsWith('date', month), 
-             Query.limit(1)
-         ]);
-         if (hasAttendance.total === 0) continue;
-    }
-
-    let employeeJoinDate;
-    if (employee.joinDate) {
-      employeeJoinDate = new Date(employee.joinDate);
-      if (isNaN(employeeJoinDate.getTime())) {
-          console.error(`Invalid join date for ${employee.name}`);
-          employeeJoinDate = new Date(month + '-01');
-      }
-    } else {
-      employeeJoinDate = new Date(month + '-01');
-    }
-
-    const monthStartDate = new Date(month + '-01');
-    const monthEndDate = new Date(parseInt(year), parseInt(monthNum), 0);
-    
-    if (employeeJoinDate > monthEndDate) continue;
-
-    let employeeLastDay = lastBillableDay;
-    if (employee.terminationDate) {
-      const termDate = new Date(employee.terminationDate);
-      if (!isNaN(termDate.getTime())) {
-        if (termDate < monthStartDate) continue;
-        if (termDate <= monthEndDate) {
-          employeeLastDay = Math.min(employeeLastDay, termDate.getDate());
-        }
-      }
-    }
-
-    const firstWorkingDay = employeeJoinDate > monthStartDate ? employeeJoinDate.getDate() : 1;
-    const attendanceResult = await databases.listDocuments(dbId, 'attendance', [
-      Query.equal('employeeId', employee.$id),
-      Query.greaterThanEqual('date', month + '-01'),
-      Query.lessThan('date', month + '-32')
-    ]);
-
-    const attendanceMap = {};
-    attendanceResult.documents.forEach(att => {
-      attendanceMap[att.date] = att;
-    });
-    let presentDays = 0, halfDays = 0, absentDays = 0, sundayDays = 0, holidayDays = 0, leaveDays = 0;
-    let actualWorkingDays = 0;
-    
-    const missingRecordsToCreate = [];
-
-    for (let day = 1; day <= daysInMonth; day++) {
-       if (day > employeeLastDay) break;
-
-       if (day < firstWorkingDay) continue;
-
-       actualWorkingDays++;
-       const date = `${month}-${String(day).padStart(2, '0')}`;
-       const dateObj = new Date(date);
-       const isSundayDate = dateObj.getDay() === 0;
-       
-       const holidayRecord = holidays.find(h => h.date === date);
-       const leaveRecord = leaves.find(l => l.employeeId === employee.$id && l.date === date);
-       
-       let attendance = attendanceMap[date];
-
-       if (!attendance) {
-         let status, notes;
-         
-         if (isSundayDate) {
-             status = ATTENDANCE_STATUS.SUNDAY;
-             notes = 'Auto-marked';
-             sundayDays++;
-         } else if (holidayRecord) {
-             status = ATTENDANCE_STATUS.HOLIDAY;
-             notes = holidayRecord.name;
-             holidayDays++;
-         } else if (leaveRecord) {
-             status = ATTENDANCE_STATUS.LEAVE;
-             notes = leaveRecord.type;
-             leaveDays++;
-         } else {
-             status = ATTENDANCE_STATUS.ABSENT;
-             notes = 'Auto-marked';
-             absentDays++;
-         }
-
-         missingRecordsToCreate.push(
-             databases.createDocument(dbId, 'attendance', ID.unique(), {
-                 employeeId: employee.$id,
-                 date,
-                 status,
-                 isAutoCalculated: true,
-                 isLocked: true,
-                 isLocationFlagged: false,
-                 notes
-             }).catch(e => console.error(`Failed to create attendance for ${date}:`, e.message))
-         );
-       } else {
-         switch (attendance.status) {
-             case ATTENDANCE_STATUS.PRESENT: presentDays++; break;
-             case ATTENDANCE_STATUS.HALF_DAY: halfDays++; break;
-             case ATTENDANCE_STATUS.ABSENT: absentDays++; break;
-             case ATTENDANCE_STATUS.SUNDAY: sundayDays++; break;
-             case ATTENDANCE_STATUS.HOLIDAY: holidayDays++; break;
-             case ATTENDANCE_STATUS.LEAVE: leaveDays++; break;
-         }
-         
-         // If existing record is not locked, lock it now
-         if (!attendance.isLocked) {
-             missingRecordsToCreate.push(
-                 databases.updateDocument(dbId, 'attendance', attendance.$id, { isLocked: true })
-             );
-         }
-       }
+    const result = await calculateEmployeePayroll(databases, dbId, employee, month, context);
+    if (!result) continue;
+
+    const writes = [
+      ...result.attendanceToCreate.map(record =>
+        databases.createDocument(dbId, 'attendance', ID.unique(), record)
+          .catch(e => console.error(`Failed to create attendance for ${record.date}:`, e.message))
+      ),
+      ...result.attendanceUpdates.map(({ $id, data }) => databases.updateDocument(dbId, 'attendance', $id, data))
+    ];
+    if (writes.length > 0) {
+      await Promise.all(writes);
     }
-    if (missingRecordsToCreate.length > 0) {
-        await Promise.all(missingRecordsToCreate);
-    }
-    const baseSalary = employee.salaryMonthly;
-    const dailyRate = baseSalary / daysInMonth;
-    const paidDays = presentDays + sundayDays + holidayDays + leaveDays + (halfDays * 0.5);
-    const netSalary = dailyRate * paidDays;
 
     const payroll = await databases.createDocument(dbId, 'payroll', ID.unique(), {
-      employeeId: employee.$id,
-      month,
-      baseSalary,
-      totalWorkingDays: actualWorkingDays,
-      presentDays,
-      halfDays,
-      absentDays,
-      sundayDays,
-      holidayDays,
-      leaveDays,
-      dailyRate,
-      netSalary,
+      ...result.payroll,
       isLocked: true,
       generatedBy: callerId,
       generatedAt: new Date().toISOString()
     });
 
-    totalPayout += netSalary;
+    for (const arrearId of result.arrearIds) {
+      await databases.updateDocument(dbId, 'salary_arrears', arrearId, {
+        status: ARREAR_STATUS.PAID,
+        paidInMonth: month,
+        payrollId: payroll.$id
+      });
+    }
+
+    totalPayout += result.payroll.netSalary;
     payrollRecords.push(payroll);
   }
 
@@ -1559,6 +5404,108 @@ const handleGeneratePayroll = async (payload, databases, dbId, callerId) => {
   };
 };
 
+/**
+ * Handle preview payroll
+ * Runs the payroll calculation for a month without writing anything: per-employee totals,
+ * the days generation would auto-mark, and warnings worth fixing first (missing
+ * check-outs, flagged locations, pending leaves, overtime awaiting approval).
+ */
+const handlePreviewPayroll = async (payload, databases, dbId) => {
+  const { month } = payload;
+
+  if (!month || !/^\d{4}-\d{2}$/.test(month)) {
+    return { success: false, message: 'Month required (YYYY-MM)' };
+  }
+
+  const [existingPayrollResult, pendingLeavesResult, context] = await Promise.all([
+    databases.listDocuments(dbId, 'payroll', [
+      Query.equal('month', month),
+      Query.limit(1)
+    ]),
+    databases.listDocuments(dbId, 'leaves', [
+      Query.equal('status', LEAVE_STATUS.PENDING),
+      Query.greaterThanEqual('date', addDays(month + '-01', -MAX_LEAVE_SPAN_DAYS)),
+      Query.lessThan('date', month + '-32'),
+      Query.limit(500)
+    ]),
+    loadPayrollContext(databases, dbId, month)
+  ]);
+  // Pending leaves that reach into the month
+  const pendingLeaves = pendingLeavesResult.documents.filter(l => (l.endDate || l.date) >= month + '-01');
+  const today = formatDate(getNowIST());
+
+  const employees = [];
+  const totals = { grossSalary: 0, totalDeductions: 0, netSalary: 0 };
+
+  for (const employee of context.employees) {
+    const result = await calculateEmployeePayroll(databases, dbId, employee, month, context);
+    if (!result) continue;
+
+    const { payroll } = result;
+    const warnings = [];
+    result.attendance.forEach(att => {
+      if (att.checkInTime && !att.checkOutTime && att.date < today) {
+        warnings.push({ type: 'missing-checkout', date: att.date, message: 'Checked in but never checked out' });
+      }
+      if (att.isLocationFlagged) {
+        warnings.push({ type: 'location-flagged', date: att.date, message: 'Punched from outside the office geofence' });
+      }
+    });
+    pendingLeaves.filter(l => l.employeeId === employee.$id).forEach(leave => {
+      warnings.push({
+        type: 'pending-leave',
+        date: leave.startDate || leave.date,
+        message: `${leave.type} leave ${leave.startDate || leave.date} to ${leave.endDate || leave.date} awaits a decision`
+      });
+    });
+    if (payroll.pendingOvertimeHours > 0) {
+      warnings.push({ type: 'pending-overtime', date: null, message: `${payroll.pendingOvertimeHours}h of overtime awaits approval` });
+    }
+
+    employees.push({
+      employeeId: employee.$id,
+      employeeName: employee.name,
+      totalWorkingDays: payroll.totalWorkingDays,
+      paidDays: Math.max(0, calculatePaidDays(payroll) - payroll.penaltyDays),
+      presentDays: payroll.presentDays,
+      halfDays: payroll.halfDays,
+      absentDays: payroll.absentDays,
+      sundayDays: payroll.sundayDays,
+      holidayDays: payroll.holidayDays,
+      leaveDays: payroll.leaveDays,
+      unpaidLeaveDays: payroll.unpaidLeaveDays,
+      penaltyDays: payroll.penaltyDays,
+      overtimePay: payroll.overtimePay,
+      arrearsPay: payroll.arrearsPay,
+      earnings: JSON.parse(payroll.earnings),
+      deductions: JSON.parse(payroll.deductions),
+      grossSalary: payroll.grossSalary,
+      totalDeductions: payroll.totalDeductions,
+      netSalary: payroll.netSalary,
+      autoMarkedDays: result.attendanceToCreate.map(({ date, status, notes }) => ({ date, status, notes })),
+      warnings
+    });
+    Object.keys(totals).forEach(key => { totals[key] += payroll[key]; });
+  }
+
+  const payrollExists = existingPayrollResult.total > 0;
+  return {
+    success: true,
+    message: payrollExists
+      ? `Payroll exists for ${month}; this is what regenerating it would give`
+      : `Payroll preview for ${month}`,
+    data: {
+      month,
+      payrollExists,
+      employeesProcessed: employees.length,
+      totalGross: totals.grossSalary.toFixed(2),
+      totalDeductions: totals.totalDeductions.toFixed(2),
+      totalPayout: totals.netSalary.toFixed(2),
+      employees
+    }
+  };
+};
+
 /**
  * Handle unlock payroll
  */
@@ -1626,6 +5573,9 @@ const handleUnlockPayroll = async (payload, databases, dbId, callerId) => {
 
 /**
  * Handle delete payroll (for regeneration)
+ * Arrears the deleted payroll paid out are pending again; pending arrears for the month
+ * itself are void, as the regenerated payroll pays the revised salary. Arrears for the
+ * month a later payroll already paid are recovered by the next payroll (a negative arrear).
  */
 const handleDeletePayroll = async (payload, databases, dbId, callerId) => {
   const { month, reason } = payload;
@@ -1648,8 +5598,25 @@ const handleDeletePayroll = async (payload, databases, dbId, callerId) => {
 
   let deletedCount = 0;
   let deletedAttendanceCount = 0;
+  let reopenedArrearsCount = 0;
+  let voidedArrearsCount = 0;
+  let recoveredArrearsCount = 0;
 
   for (const payroll of payrollResult.documents) {
+    const paidArrears = await databases.listDocuments(dbId, 'salary_arrears', [
+      Query.equal('payrollId', payroll.$id),
+      Query.equal('status', ARREAR_STATUS.PAID),
+      Query.limit(100)
+    ]);
+    for (const arrear of paidArrears.documents.filter(a => a.status === ARREAR_STATUS.PAID && a.paidInMonth === month)) {
+      await databases.updateDocument(dbId, 'salary_arrears', arrear.$id, {
+        status: ARREAR_STATUS.PENDING,
+        paidInMonth: null,
+        payrollId: null
+      });
+      reopenedArrearsCount++;
+    }
+
     const attendanceResult = await databases.listDocuments(dbId, 'attendance', [
       Query.equal('employeeId', payroll.employeeId),
       Query.equal('isAutoCalculated', true),
@@ -1666,6 +5633,42 @@ const handleDeletePayroll = async (payload, databases, dbId, callerId) => {
     deletedCount++;
   }
 
+  const monthArrears = await databases.listDocuments(dbId, 'salary_arrears', [
+    Query.equal('month', month),
+    Query.equal('status', ARREAR_STATUS.PENDING),
+    Query.limit(500)
+  ]);
+  for (const arrear of monthArrears.documents.filter(a => a.month === month && a.status === ARREAR_STATUS.PENDING)) {
+    await databases.updateDocument(dbId, 'salary_arrears', arrear.$id, { status: ARREAR_STATUS.VOID });
+    voidedArrearsCount++;
+  }
+
+  // Net of the month's arrears already paid (and recovered) per employee
+  const paidMonthArrears = await databases.listDocuments(dbId, 'salary_arrears', [
+    Query.equal('month', month),
+    Query.equal('status', ARREAR_STATUS.PAID),
+    Query.limit(500)
+  ]);
+  const deletedEmployeeIds = new Set(payrollResult.documents.map(p => p.employeeId));
+  const paidByEmployee = {};
+  paidMonthArrears.documents
+    .filter(a => a.month === month && a.status === ARREAR_STATUS.PAID && deletedEmployeeIds.has(a.employeeId))
+    .forEach(a => { paidByEmployee[a.employeeId] = (paidByEmployee[a.employeeId] || 0) + (a.amount || 0); });
+  for (const [employeeId, paid] of Object.entries(paidByEmployee)) {
+    const amount = parseFloat((-paid).toFixed(2));
+    if (Math.abs(amount) < 0.01) continue;
+    await databases.createDocument(dbId, 'salary_arrears', ID.unique(), {
+      employeeId,
+      revisionId: null,
+      month,
+      payrollId: null,
+      amount,
+      status: ARREAR_STATUS.PENDING,
+      createdAt: new Date().toISOString()
+    });
+    recoveredArrearsCount++;
+  }
+
   await createAuditLog(databases, dbId, {
     actorId: callerId,
     action: 'payroll-deleted',
@@ -1675,7 +5678,10 @@ const handleDeletePayroll = async (payload, databases, dbId, callerId) => {
       month,
       reason,
       deletedPayrollRecords: deletedCount,
-      deletedAttendanceRecords: deletedAttendanceCount
+      deletedAttendanceRecords: deletedAttendanceCount,
+      reopenedArrears: reopenedArrearsCount,
+      voidedArrears: voidedArrearsCount,
+      recoveredArrears: recoveredArrearsCount
     }
   });
 
@@ -1684,7 +5690,10 @@ const handleDeletePayroll = async (payload, databases, dbId, callerId) => {
     message: `Deleted payroll for ${month}`,
     data: {
       deletedPayrollRecords: deletedCount,
-      deletedAttendanceRecords: deletedAttendanceCount
+      deletedAttendanceRecords: deletedAttendanceCount,
+      reopenedArrears: reopenedArrearsCount,
+      voidedArrears: voidedArrearsCount,
+      recoveredArrears: recoveredArrearsCount
     }
   };
 };
@@ -1721,9 +5730,22 @@ const handleGetPayrollReport = async (payload, databases, dbId) => {
       date: att.date,
       day: new Date(att.date).toLocaleDateString('en-US', { weekday: 'short' }),
       status: att.status,
-      checkIn: att.checkInTime ? toIST(att.checkInTime).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true }) : '-',
-      checkOut: att.checkOutTime ? toIST(att.checkOutTime).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true }) : '-',
+      checkIn: att.checkInTime ? formatClockIST(att.checkInTime) : '-',
+      checkOut: att.checkOutTime ? formatClockIST(att.checkOutTime) : '-',
       hours: att.workHours || 0,
+      breakHours: att.breakHours || 0,
+      lateByMinutes: att.lateByMinutes || 0,
+      earlyLeaveByMinutes: att.earlyLeaveByMinutes || 0,
+      overtimeHours: att.overtimeHours || 0,
+      overtimePay: att.overtimePay || 0,
+      overtimeApproved: att.overtimeApproved ?? null,
+      punches: parsePunches(att).map(p => ({
+        type: p.type,
+        time: formatClockIST(p.time),
+        breakType: p.breakType || null
+      })),
+      shift: att.shiftName || '',
+      sandwiched: !!att.sandwiched,
       notes: att.notes || ''
     }));
 
@@ -1733,6 +5755,7 @@ const handleGetPayrollReport = async (payload, databases, dbId) => {
       month: targetMonth,
       baseSalary: payroll.baseSalary.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
       dailyRate: payroll.dailyRate.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+      payableDaysBasis: payroll.payableDaysBasis || PAYABLE_DAYS_BASIS.CALENDAR,
       totalWorkingDays: payroll.totalWorkingDays,
       presentDays: payroll.presentDays,
       halfDays: payroll.halfDays,
@@ -1740,7 +5763,30 @@ const handleGetPayrollReport = async (payload, databases, dbId) => {
       sundayDays: payroll.sundayDays,
       holidayDays: payroll.holidayDays,
       leaveDays: payroll.leaveDays,
+      unpaidLeaveDays: payroll.unpaidLeaveDays || 0,
+      halfDayLeaves: payroll.halfDayLeaves || 0,
+      sandwichDays: payroll.sandwichDays || 0,
+      overtimeHours: payroll.overtimeHours || 0,
+      overtimePay: (payroll.overtimePay || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+      pendingOvertimeHours: payroll.pendingOvertimeHours || 0,
+      lateMarks: payroll.lateMarks || 0,
+      earlyLeaves: payroll.earlyLeaves || 0,
+      penaltyDays: payroll.penaltyDays || 0,
+      penaltyDeduction: (payroll.penaltyDeduction || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+      // Payrolls generated before salary structures have no breakup: all of it is gross pay
+      grossSalary: (payroll.grossSalary ?? payroll.netSalary).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+      totalDeductions: (payroll.totalDeductions || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+      earnings: parseJSONField(payroll.earnings, []).map(e => ({
+        ...e,
+        amount: e.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+      })),
+      deductions: parseJSONField(payroll.deductions, []).map(d => ({
+        ...d,
+        amount: d.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+      })),
       netSalary: payroll.netSalary.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+      // Employee and employer PF/ESI shares and professional tax, when statutory deductions are on
+      statutoryContributions: parseJSONField(payroll.statutoryContributions, null),
       isLocked: payroll.isLocked,
       dailyBreakdown
     });
@@ -1754,38 +5800,377 @@ const handleGetPayrollReport = async (payload, databases, dbId) => {
   };
 };
 
+/**
+ * Handle get statutory challan
+ * Monthly PF and ESI totals with the PF ECR and ESI contribution files, and professional
+ * tax by state, from the month's payroll. Members without a UAN / IP number are counted
+ * in the totals but left out of the files and listed under `missing`; payroll of deleted
+ * employees is left out and listed under `skipped`.
+ */
+const handleGetStatutoryChallan = async (payload, databases, dbId) => {
+  const { month } = payload;
+  if (!month || !/^\d{4}-\d{2}$/.test(month)) {
+    return { success: false, message: 'Month required (YYYY-MM)' };
+  }
+
+  const payrollResult = await databases.listDocuments(dbId, 'payroll', [
+    Query.equal('month', month),
+    Query.limit(500)
+  ]);
+  const payrolls = payrollResult.documents.filter(p => p.statutoryContributions);
+  if (payrolls.length === 0) {
+    return { success: false, message: `No statutory contributions in payroll for ${month}` };
+  }
+
+  const summary = {
+    pf: { members: 0, wages: 0, employeeShare: 0, employerEps: 0, employerEpf: 0, total: 0 },
+    esi: { members: 0, wages: 0, employeeShare: 0, employerShare: 0, total: 0 },
+    professionalTax: {}
+  };
+  const ecrRows = [];
+  const esiRows = [];
+  const missing = [];
+  const skipped = [];
+
+  for (const payroll of payrolls) {
+    const employee = await databases.getDocument(dbId, 'employees', payroll.employeeId).catch(() => null);
+    if (!employee) {
+      skipped.push({ employeeId: payroll.employeeId, reason: 'Employee not found' });
+      continue;
+    }
+    const { pf, esi, professionalTax } = parseJSONField(payroll.statutoryContributions, {});
+    const paidDays = Math.max(0, calculatePaidDays(payroll) - (payroll.penaltyDays || 0));
+
+    if (pf && pf.employee > 0) {
+      summary.pf.members++;
+      summary.pf.wages += pf.wages;
+      summary.pf.employeeShare += pf.employee;
+      summary.pf.employerEps += pf.employerEps;
+      summary.pf.employerEpf += pf.employerEpf;
+      summary.pf.total += pf.employee + pf.employerEps + pf.employerEpf;
+
+      if (employee.uan) {
+        ecrRows.push({
+          uan: employee.uan,
+          name: employee.name,
+          grossWages: payroll.grossSalary ?? payroll.netSalary,
+          pf,
+          ncpDays: Math.max(0, Math.round((payroll.totalWorkingDays || 0) - paidDays)) // Days without wages
+        });
+      } else {
+        missing.push({ employeeId: employee.$id, employeeName: employee.name, field: 'uan' });
+      }
+    }
+
+    if (esi) {
+      summary.esi.members++;
+      summary.esi.wages += esi.wages;
+      summary.esi.employeeShare += esi.employee;
+      summary.esi.employerShare += esi.employer;
+      summary.esi.total += esi.employee + esi.employer;
+
+      if (employee.esiNumber) {
+        const leftInMonth = !!employee.terminationDate && employee.terminationDate.startsWith(month);
+        esiRows.push({
+          ipNumber: employee.esiNumber,
+          name: employee.name,
+          paidDays: Math.round(paidDays),
+          wages: esi.wages,
+          reasonCode: leftInMonth ? 2 : (paidDays > 0 ? 0 : 1),
+          lastWorkingDay: leftInMonth ? employee.terminationDate.substring(0, 10) : ''
+        });
+      } else {
+        missing.push({ employeeId: employee.$id, employeeName: employee.name, field: 'esiNumber' });
+      }
+    }
+
+    if (professionalTax && professionalTax.amount > 0) {
+      const state = summary.professionalTax[professionalTax.state] || { employees: 0, total: 0 };
+      state.employees++;
+      state.total += professionalTax.amount;
+      summary.professionalTax[professionalTax.state] = state;
+    }
+  }
+
+  const files = [];
+  if (ecrRows.length > 0) {
+    files.push({ filename: `PF_ECR_${month}.txt`, contentType: 'text/plain', content: buildPFECR(ecrRows) });
+  }
+  if (esiRows.length > 0) {
+    files.push({ filename: `ESI_${month}.csv`, contentType: 'text/csv', content: buildESIContributionFile(esiRows) });
+  }
+
+  return { success: true, data: { month, summary, files, missing, skipped } };
+};
+
+/**
+ * Render an employee's payslip for a month as a PDF
+ * `lockedOnly` refuses payroll that is still open for changes.
+ * Returns { error } or { file: { filename, contentType, encoding, content } }
+ */
+const buildEmployeePayslip = async (databases, dbId, employeeId, month, { lockedOnly = false } = {}) => {
+  const payrollResult = await databases.listDocuments(dbId, 'payroll', [
+    Query.equal('employeeId', employeeId),
+    Query.equal('month', month),
+    Query.limit(1)
+  ]);
+  if (payrollResult.total === 0) return { error: `No payroll found for ${month}` };
+
+  const payroll = payrollResult.documents[0];
+  if (lockedOnly && !payroll.isLocked) {
+    return { error: `Payslip for ${month} is available once payroll is locked` };
+  }
+
+  const [employee, company] = await Promise.all([
+    getEmployee(databases, dbId, employeeId),
+    getSettings(databases, dbId, 'company')
+  ]);
+  const monthLabel = new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const paidDays = Math.max(0, calculatePaidDays(payroll) - (payroll.penaltyDays || 0));
+
+  const content = buildPayslipPDF({
+    company,
+    monthLabel,
+    employee: [
+      ['Employee', employee.name],
+      ['Employee ID', employee.$id],
+      ['UAN', employee.uan],
+      ['ESI No.', employee.esiNumber],
+      ['Monthly salary', (payroll.baseSalary || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })]
+    ],
+    attendance: [
+      ['Days in period', payroll.totalWorkingDays],
+      ['Paid days', paidDays],
+      ['Present', payroll.presentDays || 0],
+      ['Half days', payroll.halfDays || 0],
+      ['Leave', payroll.leaveDays || 0],
+      ['Unpaid leave', payroll.unpaidLeaveDays || 0],
+      ['Absent', payroll.absentDays || 0],
+      ['Weekly offs', payroll.sundayDays || 0],
+      ['Holidays', payroll.holidayDays || 0],
+      ['Penalty days', payroll.penaltyDays || 0]
+    ],
+    // Payrolls generated before salary structures have no breakup: all of it is gross pay
+    earnings: parseJSONField(payroll.earnings, null) || [{ name: 'Salary', amount: payroll.netSalary }],
+    deductions: parseJSONField(payroll.deductions, []),
+    grossSalary: payroll.grossSalary ?? payroll.netSalary,
+    totalDeductions: payroll.totalDeductions || 0,
+    netSalary: payroll.netSalary
+  });
+
+  return {
+    file: {
+      filename: `payslip-${employee.$id}-${month}.pdf`,
+      contentType: 'application/pdf',
+      encoding: 'base64',
+      content: content.toString('base64')
+    }
+  };
+};
+
+/**
+ * Handle generate payslip (admin): { employeeId, month }
+ */
+const handleGeneratePayslip = async (payload, databases, dbId) => {
+  const { employeeId, month } = payload;
+  if (!employeeId || !month || !/^\d{4}-\d{2}$/.test(month)) {
+    return { success: false, message: 'employeeId and month (YYYY-MM) required' };
+  }
+
+  const { error, file } = await buildEmployeePayslip(databases, dbId, employeeId, month);
+  if (error) return { success: false, message: error };
+  return { success: true, data: file };
+};
+
+/**
+ * Handle get my payslip: the caller's own payslip, for locked months only
+ */
+const handleGetMyPayslip = async (payload, databases, dbId, callerId) => {
+  const { month } = payload;
+  if (!month || !/^\d{4}-\d{2}$/.test(month)) {
+    return { success: false, message: 'Month required (YYYY-MM)' };
+  }
+
+  const { error, file } = await buildEmployeePayslip(databases, dbId, callerId, month, { lockedOnly: true });
+  if (error) return { success: false, message: error };
+  return { success: true, data: file };
+};
+
+/**
+ * Handle export bank transfer
+ * Bulk salary payment file for a month's locked payroll: { month, format, paymentDate }.
+ * Unlocked payroll, nothing to pay, deleted employees and missing bank details are left out
+ * and listed in `skipped`.
+ */
+const handleExportBankTransfer = async (payload, databases, dbId, callerId) => {
+  const { month, format = 'neft-csv' } = payload;
+  const paymentDate = payload.paymentDate || formatDate(getNowIST());
+
+  if (!month || !/^\d{4}-\d{2}$/.test(month)) {
+    return { success: false, message: 'Month required (YYYY-MM)' };
+  }
+  if (!Object.hasOwn(BANK_FILE_FORMATS, format)) {
+    return { success: false, message: `format must be one of: ${Object.keys(BANK_FILE_FORMATS).join(', ')}` };
+  }
+  const bankFormat = BANK_FILE_FORMATS[format];
+  if (!DATE_REGEX.test(paymentDate)) {
+    return { success: false, message: 'paymentDate must be YYYY-MM-DD' };
+  }
+
+  const company = await getSettings(databases, dbId, 'company');
+  if (bankFormat.requiresDebitAccount && !company.bankAccountNumber) {
+    return { success: false, message: `Set the company bankAccountNumber in settings to export ${bankFormat.label} files` };
+  }
+
+  const payrollResult = await databases.listDocuments(dbId, 'payroll', [
+    Query.equal('month', month),
+    Query.limit(500)
+  ]);
+  if (payrollResult.total === 0) {
+    return { success: false, message: 'No payroll found for this month' };
+  }
+
+  const payments = [];
+  const skipped = [];
+  for (const payroll of payrollResult.documents) {
+    const employee = await databases.getDocument(dbId, 'employees', payroll.employeeId).catch(() => null);
+    if (!employee) {
+      skipped.push({ employeeId: payroll.employeeId, reason: 'Employee not found' });
+      continue;
+    }
+    const skip = (reason) => skipped.push({ employeeId: employee.$id, employeeName: employee.name, reason });
+
+    if (!payroll.isLocked) {
+      skip('Payroll is unlocked');
+    } else if (!(payroll.netSalary > 0)) {
+      skip('Nothing to pay');
+    } else if (!employee.bankAccountNumber || !employee.bankIfsc) {
+      skip('Missing bank details');
+    } else {
+      payments.push({
+        beneficiaryCode: employee.$id,
+        beneficiaryName: employee.beneficiaryName || employee.name,
+        accountNumber: employee.bankAccountNumber,
+        ifsc: employee.bankIfsc,
+        amount: payroll.netSalary,
+        narration: `Salary ${month}`,
+        reference: `SAL${month.replace('-', '')}`
+      });
+    }
+  }
+
+  if (payments.length === 0) {
+    return { success: false, message: 'No locked payroll with bank details to pay', data: { skipped } };
+  }
+
+  const totalAmount = parseFloat(payments.reduce((sum, p) => sum + p.amount, 0).toFixed(2));
+  const content = buildBankTransferFile(format, payments, {
+    paymentDate,
+    debitAccountNumber: company.bankAccountNumber
+  });
+
+  await createAuditLog(databases, dbId, {
+    actorId: callerId,
+    action: AUDIT_ACTIONS.BANK_TRANSFER_EXPORTED,
+    targetId: null,
+    targetType: 'payroll',
+    payload: { month, format, paymentDate, employees: payments.length, totalAmount, skipped: skipped.length }
+  });
+
+  return {
+    success: true,
+    data: {
+      filename: `salary-${month}-${format}.csv`,
+      contentType: 'text/csv',
+      content,
+      summary: { employees: payments.length, totalAmount },
+      skipped
+    }
+  };
+};
+
 // ============================================
 // UTILITY/SYSTEM HANDLERS
 // ============================================
 
 /**
  * Handle get system info
+ * Check-in/out availability is evaluated against the caller's shift policy
  */
-const handleGetSystemInfo = async () => {
+const handleGetSystemInfo = async (databases, dbId, callerId) => {
   const now = getNowIST();
 
+  let employee = null;
+  if (callerId) {
+    try {
+      employee = await getEmployee(databases, dbId, callerId);
+    } catch (err) {
+      employee = null; // Admins without an employee record get the default policy
+    }
+  }
+  const resolveShift = await createShiftResolver(databases, dbId, employee);
+  const policy = resolveCheckInPolicy(resolveShift, formatDate(now));
+  const blockedWindow = getActiveCheckOutBlock(policy);
+
   return {
     success: true,
     data: {
       serverTime: new Date().toISOString(),
       serverTimeIST: now.toISOString(),
-      checkInAllowed: isCheckInAllowed(),
-      checkOutAllowed: isCheckOutAllowed()
+      checkInAllowed: isCheckInAllowed(policy),
+      checkOutAllowed: !blockedWindow,
+      checkInMessage: isCheckInAllowed(policy) ? null : getCheckInBlockedMessage(policy),
+      checkOutMessage: blockedWindow
+        ? getCheckOutBlockedMessage(blockedWindow)
+        : null,
+      shiftPolicy: {
+        id: policy.$id,
+        name: policy.name,
+        checkInOpen: policy.checkInOpen,
+        checkInClose: policy.checkInClose,
+        graceMinutes: policy.graceMinutes,
+        lateCheckInUntil: formatTimeOfDay(getCheckInCutoff(policy)),
+        shiftEnd: policy.shiftEnd,
+        checkoutBlockedWindows: policy.checkoutBlockedWindows
+      }
     }
   };
 };
 
 const handleGetEmployees = async (databases, dbId) => {
   // Fetch up to 100 employees (add pagination if you have more)
-  const result = await databases.listDocuments(dbId, 'employees', [
-    Query.limit(100),
-    Query.orderDesc('$createdAt')
+  const [result, revisionsResult] = await Promise.all([
+    databases.listDocuments(dbId, 'employees', [
+      Query.limit(100),
+      Query.orderDesc('$createdAt')
+    ]),
+    databases.listDocuments(dbId, 'salary_revisions', [
+      Query.orderAsc('effectiveFrom'),
+      Query.limit(1000)
+    ])
   ]);
 
+  const historyByEmployee = {};
+  revisionsResult.documents.forEach(r => {
+    (historyByEmployee[r.employeeId] = historyByEmployee[r.employeeId] || []).push({
+      $id: r.$id,
+      effectiveFrom: r.effectiveFrom,
+      salaryMonthly: r.salaryMonthly,
+      previousSalary: r.previousSalary,
+      reason: r.reason || '',
+      createdBy: r.createdBy,
+      createdAt: r.createdAt
+    });
+  });
+
   return {
     success: true,
     data: {
-      employees: result.documents
+      employees: result.documents.map(emp => ({
+        ...emp,
+        salaryHistory: (historyByEmployee[emp.$id] || [])
+          .sort((a, b) => String(a.effectiveFrom).localeCompare(String(b.effectiveFrom)))
+      }))
     }
   };
 };
@@ -1796,15 +6181,20 @@ const handleGetEmployees = async (databases, dbId) => {
  */
 const handleGetAllAttendance = async (payload, databases, dbId) => {
   const { date, startDate, endDate } = payload;
-  const employeesResult = await databases.listDocuments(dbId, 'employees', [
-    Query.equal('isActive', true),
-    Query.limit(100)
+  const [employeesResult, weeklyOffRules] = await Promise.all([
+    databases.listDocuments(dbId, 'employees', [
+      Query.equal('isActive', true),
+      Query.limit(100)
+    ]),
+    getWeeklyOffRules(databases, dbId)
   ]);
 
   const employees = employeesResult.documents;
   const employeeMap = {};
+  const weeklyOffByEmployee = {};
   employees.forEach(emp => {
     employeeMap[emp.$id] = { name: emp.name, email: emp.email };
+    weeklyOffByEmployee[emp.$id] = resolveWeeklyOff(emp, weeklyOffRules);
   });
 
   let queryStartDate, queryEndDate;
@@ -1840,6 +6230,9 @@ const handleGetAllAttendance = async (payload, databases, dbId) => {
       checkInTime: att.checkInTime,
       checkOutTime: att.checkOutTime,
       workHours: att.workHours || 0,
+      lateByMinutes: att.lateByMinutes || 0,
+      earlyLeaveByMinutes: att.earlyLeaveByMinutes || 0,
+      missedPunch: !!att.missedPunch,
       isLocked: att.isLocked,
       notes: att.notes || ''
     };
@@ -1857,15 +6250,18 @@ const handleGetAllAttendance = async (payload, databases, dbId) => {
       date: dateStr,
       day: current.toLocaleDateString('en-US', { weekday: 'short' }),
       isSunday: current.getDay() === 0,
+      isWeeklyOff: isWeeklyOff(dateStr, weeklyOffRules.organisation),
       employees: employees.map(emp => ({
         employeeId: emp.$id,
         employeeName: emp.name,
         ...(dayAttendance[emp.$id] || {
           id: null,
-          status: current.getDay() === 0 ? 'sunday' : null,
+          status: isWeeklyOff(dateStr, weeklyOffByEmployee[emp.$id]) ? ATTENDANCE_STATUS.SUNDAY : null,
           checkInTime: null,
           checkOutTime: null,
           workHours: 0,
+          lateByMinutes: 0,
+          earlyLeaveByMinutes: 0,
           isLocked: false,
           notes: ''
         })
@@ -1882,6 +6278,7 @@ const handleGetAllAttendance = async (payload, databases, dbId) => {
     totalEmployees: employees.length,
     checkedIn: Object.values(todayAttendance).filter(a => a.checkInTime).length,
     checkedOut: Object.values(todayAttendance).filter(a => a.checkOutTime).length,
+    lateToday: Object.values(todayAttendance).filter(a => a.lateByMinutes > 0).length,
     notYetIn: employees.length - Object.values(todayAttendance).filter(a => a.checkInTime).length
   };
 
@@ -1895,9 +6292,136 @@ const handleGetAllAttendance = async (payload, databases, dbId) => {
   };
 };
 
+/**
+ * Record a salary revision and bring payroll from its effective month on in line:
+ * unlocked payroll is recalculated in place, locked payroll gets an arrear (the gross
+ * difference less arrears already raised for that month) paid by the next payroll.
+ * A revision on the same date as an existing one replaces it. Returns null when the
+ * salary in effect on that date is already `salaryMonthly`.
+ */
+const applySalaryRevision = async (databases, dbId, employee, { salaryMonthly, effectiveFrom, reason, callerId }) => {
+  const revisions = await getSalaryRevisions(databases, dbId, employee.$id);
+  if (getSalaryOn(employee, revisions, effectiveFrom) === salaryMonthly) return null;
+
+  const previousSalary = getSalaryOn(employee, revisions, addDays(effectiveFrom, -1));
+  const sameDay = revisions.find(r => r.effectiveFrom === effectiveFrom);
+  const fields = { salaryMonthly, previousSalary, reason: reason || '', createdBy: callerId, createdAt: new Date().toISOString() };
+  const revision = sameDay
+    ? { ...sameDay, ...fields }
+    : { $id: ID.unique(), employeeId: employee.$id, effectiveFrom, ...fields };
+  if (sameDay) {
+    await databases.updateDocument(dbId, 'salary_revisions', sameDay.$id, fields);
+  } else {
+    await databases.createDocument(dbId, 'salary_revisions', revision.$id, {
+      employeeId: employee.$id,
+      effectiveFrom,
+      ...fields
+    });
+  }
+
+  const history = [...revisions.filter(r => r.effectiveFrom !== effectiveFrom), revision]
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  const currentSalary = history[history.length - 1].salaryMonthly;
+  const revised = { ...employee, salaryMonthly: currentSalary };
+
+  const effectiveMonth = effectiveFrom.substring(0, 7);
+  const [payrollResult, arrearsResult] = await Promise.all([
+    databases.listDocuments(dbId, 'payroll', [
+      Query.equal('employeeId', employee.$id),
+      Query.greaterThanEqual('month', effectiveMonth),
+      Query.limit(100)
+    ]),
+    databases.listDocuments(dbId, 'salary_arrears', [
+      Query.equal('employeeId', employee.$id),
+      Query.greaterThanEqual('month', effectiveMonth),
+      Query.limit(500)
+    ])
+  ]);
+  const arrearsByMonth = {};
+  arrearsResult.documents.filter(a => a.employeeId === employee.$id && a.status !== ARREAR_STATUS.VOID).forEach(a => {
+    arrearsByMonth[a.month] = (arrearsByMonth[a.month] || 0) + (a.amount || 0);
+  });
+
+  const recalculatedMonths = [];
+  const arrears = [];
+  const payrolls = payrollResult.documents.filter(p => p.employeeId === employee.$id && p.month >= effectiveMonth);
+  for (const payrollDoc of payrolls) {
+    const [year, monthNum] = payrollDoc.month.split('-');
+    const daysInMonth = new Date(parseInt(year), parseInt(monthNum), 0).getDate();
+    const { baseSalary, periods } = calculateMonthSalary(revised, history, payrollDoc.month);
+    const dailyRate = baseSalary / (payrollDoc.basisDays || daysInMonth);
+    // Overtime is paid on the old hourly rate until payroll is regenerated
+    const salaryUpdate = {
+      baseSalary,
+      salaryPeriods: JSON.stringify(periods),
+      dailyRate,
+      penaltyDeduction: parseFloat(((payrollDoc.penaltyDays || 0) * dailyRate).toFixed(2))
+    };
+    Object.assign(salaryUpdate, calculatePayrollAmounts({ ...payrollDoc, ...salaryUpdate }));
+
+    if (!payrollDoc.isLocked) {
+      await databases.updateDocument(dbId, 'payroll', payrollDoc.$id, salaryUpdate);
+      recalculatedMonths.push(payrollDoc.month);
+      continue;
+    }
+
+    const paidGross = (payrollDoc.grossSalary ?? payrollDoc.netSalary) + (arrearsByMonth[payrollDoc.month] || 0);
+    const amount = parseFloat((salaryUpdate.grossSalary - paidGross).toFixed(2));
+    if (Math.abs(amount) < 0.01) continue;
+
+    await databases.createDocument(dbId, 'salary_arrears', ID.unique(), {
+      employeeId: employee.$id,
+      revisionId: revision.$id,
+      month: payrollDoc.month,
+      payrollId: payrollDoc.$id,
+      amount,
+      status: ARREAR_STATUS.PENDING,
+      createdAt: new Date().toISOString()
+    });
+    arrears.push({ month: payrollDoc.month, amount });
+  }
+
+  return { revisionId: revision.$id, previousSalary, currentSalary, recalculatedMonths, arrears };
+};
+
+/**
+ * Recalculate an employee's unlocked payroll on their (changed) payable-days basis
+ * Overtime stays on the old hourly rate until payroll is regenerated. Returns the months
+ * recalculated.
+ */
+const applyPayableDaysBasis = async (databases, dbId, employee) => {
+  const [payrollResult, payrollRules, weeklyOff] = await Promise.all([
+    databases.listDocuments(dbId, 'payroll', [
+      Query.equal('employeeId', employee.$id),
+      Query.equal('isLocked', false),
+      Query.limit(100)
+    ]),
+    getSettings(databases, dbId, 'payroll'),
+    getEmployeeWeeklyOff(databases, dbId, employee)
+  ]);
+
+  const recalculatedMonths = [];
+  const payrolls = payrollResult.documents.filter(p => p.employeeId === employee.$id && !p.isLocked);
+  for (const payrollDoc of payrolls) {
+    const { basis, basisDays } = getPayableDays(employee, payrollRules, payrollDoc.month, weeklyOff);
+    const dailyRate = (payrollDoc.baseSalary || 0) / basisDays;
+    const basisUpdate = {
+      payableDaysBasis: basis,
+      basisDays,
+      dailyRate,
+      penaltyDeduction: parseFloat(((payrollDoc.penaltyDays || 0) * dailyRate).toFixed(2))
+    };
+    Object.assign(basisUpdate, calculatePayrollAmounts({ ...payrollDoc, ...basisUpdate }));
+    await databases.updateDocument(dbId, 'payroll', payrollDoc.$id, basisUpdate);
+    recalculatedMonths.push(payrollDoc.month);
+  }
+  return recalculatedMonths;
+};
+
 /**
  * Handle update employee
- * Allows editing salary, name, and status
+ * Allows editing salary, name, and status. A salary change is a revision effective from
+ * `salaryEffectiveFrom` (default today), optionally with a `salaryReason`.
  */
 const handleUpdateEmployee = async (payload, databases, dbId, callerId) => {
   const { employeeId, data } = payload;
@@ -1917,39 +6441,65 @@ const handleUpdateEmployee = async (payload, databases, dbId, callerId) => {
     }
     updates.salaryMonthly = parsed;
   }
+  const salaryEffectiveFrom = data.salaryEffectiveFrom || formatDate(getNowIST());
+  if (updates.salaryMonthly !== undefined && !DATE_REGEX.test(salaryEffectiveFrom)) {
+    return { success: false, message: 'salaryEffectiveFrom must be YYYY-MM-DD' };
+  }
   if (data.joinDate) updates.joinDate = data.joinDate;
   if (data.isActive !== undefined) updates.isActive = data.isActive;
+  if (data.officeLocationId !== undefined) updates.officeLocationId = data.officeLocationId || null;
+  if (data.region !== undefined) updates.region = data.region || null;
+  if (data.salaryStructureId !== undefined) updates.salaryStructureId = data.salaryStructureId || null;
+  if (data.uan !== undefined) updates.uan = data.uan || null;
+  if (data.esiNumber !== undefined) updates.esiNumber = data.esiNumber || null;
+  const bankDetails = parseBankDetailsInput(data);
+  if (bankDetails.error) return { success: false, message: bankDetails.error };
+  Object.assign(updates, bankDetails.values);
+  if (data.weeklyOff !== undefined) {
+    const weeklyOffInput = parseWeeklyOffInput(data.weeklyOff);
+    if (weeklyOffInput.error) return { success: false, message: weeklyOffInput.error };
+    updates.weeklyOff = weeklyOffInput.value;
+  }
+  if (data.payableDaysBasis !== undefined) {
+    const basisInput = parsePayableDaysBasisInput(data.payableDaysBasis);
+    if (basisInput.error) return { success: false, message: basisInput.error };
+    updates.payableDaysBasis = basisInput.value;
+  }
 
-  await databases.updateDocument(dbId, 'employees', employeeId, updates);
-  if (updates.salaryMonthly && updates.salaryMonthly !== currentEmp.salaryMonthly) {
-      const now = getNowIST();
-      const currentMonth = formatMonth(now);
-      const payrollList = await databases.listDocuments(dbId, 'payroll', [
-        Query.equal('employeeId', employeeId),
-        Query.equal('month', currentMonth),
-        Query.limit(1)
-      ]);
+  // Before any salary revision, which recalculates on the payroll's stored basis days
+  let basisRecalculatedMonths = null;
+  if (updates.payableDaysBasis !== undefined && updates.payableDaysBasis !== (currentEmp.payableDaysBasis || null)) {
+    basisRecalculatedMonths = await applyPayableDaysBasis(databases, dbId, { ...currentEmp, ...updates });
+  }
 
-      if (payrollList.total > 0) {
-        const payrollDoc = payrollList.documents[0];
-        const newSalary = updates.salaryMonthly;
-        const [year, monthNum] = currentMonth.split('-');
-        const daysInMonth = new Date(parseInt(year), parseInt(monthNum), 0).getDate();
-        const newDailyRate = newSalary / daysInMonth;
-        const paidDays = payrollDoc.presentDays + 
-                         payrollDoc.sundayDays + 
-                         payrollDoc.holidayDays + 
-                         payrollDoc.leaveDays + 
-                         (payrollDoc.halfDays * 0.5);
-                         
-        const newNetSalary = newDailyRate * paidDays;
-
-        await databases.updateDocument(dbId, 'payroll', payrollDoc.$id, {
-            baseSalary: newSalary,
-            dailyRate: newDailyRate,
-            netSalary: newNetSalary
-        });
+  let salaryRevision = null;
+  if (updates.salaryMonthly !== undefined) {
+    salaryRevision = await applySalaryRevision(databases, dbId, currentEmp, {
+      salaryMonthly: updates.salaryMonthly,
+      effectiveFrom: salaryEffectiveFrom,
+      reason: data.salaryReason,
+      callerId
+    });
+    // The employee record carries the latest-effective salary, which a back-dated revision leaves alone
+    if (salaryRevision) updates.salaryMonthly = salaryRevision.currentSalary;
+    else delete updates.salaryMonthly;
+  }
+
+  await databases.updateDocument(dbId, 'employees', employeeId, updates);
+  if (salaryRevision) {
+    await createAuditLog(databases, dbId, {
+      actorId: callerId,
+      action: AUDIT_ACTIONS.SALARY_REVISED,
+      targetId: employeeId,
+      targetType: 'employee',
+      payload: {
+        previousSalary: salaryRevision.previousSalary,
+        salaryMonthly: salaryRevision.currentSalary,
+        effectiveFrom: salaryEffectiveFrom,
+        recalculatedMonths: salaryRevision.recalculatedMonths,
+        arrears: salaryRevision.arrears
       }
+    });
   }
   await createAuditLog(databases, dbId, {
     actorId: callerId,
@@ -1959,11 +6509,20 @@ const handleUpdateEmployee = async (payload, databases, dbId, callerId) => {
     payload: {
       updatedFields: Object.keys(updates),
       nameChanged: updates.name !== currentEmp.name,
-      salaryChanged: updates.salaryMonthly !== currentEmp.salaryMonthly
+      salaryChanged: !!salaryRevision,
+      ...(basisRecalculatedMonths && { basisRecalculatedMonths })
     }
   });
 
-  return { success: true, message: 'Employee updated successfully' };
+  const changes = {
+    ...(salaryRevision && { salaryRevision }),
+    ...(basisRecalculatedMonths && { basisRecalculatedMonths })
+  };
+  return {
+    success: true,
+    message: 'Employee updated successfully',
+    ...(Object.keys(changes).length > 0 && { data: changes })
+  };
 };
 
 // ============================================
@@ -2002,8 +6561,10 @@ export default async ({ req, res, log, error, _mockDatabases, _mockUsers, _mockT
   try {
     // Parse request payload
     const payload = JSON.parse(req.body || '{}');
-    const action = payload.action;
     const callerId = req.headers['x-appwrite-user-id'];
+    // Scheduled (cron) executions carry no user and usually no body
+    const isScheduled = req.headers['x-appwrite-trigger'] === 'schedule';
+    const action = payload.action || (isScheduled ? 'close-open-attendance' : undefined);
 
     log(`Action: ${action}, Caller: ${callerId}`);
 
@@ -2019,12 +6580,42 @@ export default async ({ req, res, log, error, _mockDatabases, _mockUsers, _mockT
       case 'check-out':
         return res.json(await handleCheckOut(payload, databases, DB_ID));
 
+      case 'break-start':
+        return res.json(await handleBreakPunch(payload, databases, DB_ID, PUNCH_TYPES.BREAK_START));
+
+      case 'break-end':
+        return res.json(await handleBreakPunch(payload, databases, DB_ID, PUNCH_TYPES.BREAK_END));
+
       case 'register-device':
         return res.json(await handleRegisterDevice(payload, databases, DB_ID, callerId));
 
+      case 'request-regularization':
+        return res.json(await handleRequestRegularization(payload, databases, DB_ID, callerId));
+
+      case 'request-leave':
+        return res.json(await handleRequestLeave(payload, databases, DB_ID, callerId));
+
+      case 'cancel-my-leave':
+        return res.json(await handleCancelMyLeave(payload, databases, DB_ID, callerId));
+
+      case 'list-my-leaves':
+        return res.json(await handleListMyLeaves(payload, databases, DB_ID, callerId));
+
+      case 'get-my-leave-balances':
+        return res.json(await handleGetMyLeaveBalances(payload, databases, DB_ID, callerId));
+
       case 'get-my-attendance':
         return res.json(await handleGetMyAttendance(payload, databases, DB_ID, callerId));
 
+      case 'get-my-payslip':
+        return res.json(await handleGetMyPayslip(payload, databases, DB_ID, callerId));
+
+      case 'select-optional-holiday':
+        return res.json(await handleSelectOptionalHoliday(payload, databases, DB_ID, callerId, true));
+
+      case 'unselect-optional-holiday':
+        return res.json(await handleSelectOptionalHoliday(payload, databases, DB_ID, callerId, false));
+
       case 'reset-my-password':
         return res.json(await handleResetMyPassword(payload, users, callerId));
 
@@ -2040,6 +6631,14 @@ export default async ({ req, res, log, error, _mockDatabases, _mockUsers, _mockT
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
         return res.json(await handleModifyAttendance(payload, databases, DB_ID, callerId));
 
+      case 'approve-overtime':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleDecideOvertime(payload, databases, DB_ID, callerId, true));
+
+      case 'reject-overtime':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleDecideOvertime(payload, databases, DB_ID, callerId, false));
+
       case 'reset-device':
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
         return res.json(await handleResetDevice(payload, databases, DB_ID, callerId));
@@ -2048,6 +6647,14 @@ export default async ({ req, res, log, error, _mockDatabases, _mockUsers, _mockT
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
         return res.json(await handleCreateHoliday(payload, databases, DB_ID, callerId));
 
+      case 'import-holidays':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleImportHolidays(payload, databases, DB_ID, callerId));
+
+      case 'update-holiday':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleUpdateHoliday(payload, databases, DB_ID, callerId));
+
       case 'delete-holiday':
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
         return res.json(await handleDeleteHoliday(payload, databases, DB_ID, callerId));
@@ -2086,11 +6693,51 @@ export default async ({ req, res, log, error, _mockDatabases, _mockUsers, _mockT
 
       case 'approve-leave':
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
-        return res.json(await handleDecideLeave(payload, databases, DB_ID, callerId, 'approved'));
+        return res.json(await handleDecideLeave(payload, databases, DB_ID, callerId, LEAVE_STATUS.APPROVED));
 
       case 'reject-leave':
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
-        return res.json(await handleDecideLeave(payload, databases, DB_ID, callerId, 'rejected'));
+        return res.json(await handleDecideLeave(payload, databases, DB_ID, callerId, LEAVE_STATUS.REJECTED));
+
+      case 'create-leave-type':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleCreateLeaveType(payload, databases, DB_ID, callerId));
+
+      case 'update-leave-type':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleUpdateLeaveType(payload, databases, DB_ID, callerId));
+
+      case 'list-leave-types':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleListLeaveTypes(databases, DB_ID));
+
+      case 'get-leave-balances':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleGetLeaveBalances(payload, databases, DB_ID));
+
+      case 'list-comp-offs':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleListCompOffs(payload, databases, DB_ID));
+
+      case 'approve-comp-off':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleDecideCompOff(payload, databases, DB_ID, callerId, COMP_OFF_STATUS.APPROVED));
+
+      case 'reject-comp-off':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleDecideCompOff(payload, databases, DB_ID, callerId, COMP_OFF_STATUS.REJECTED));
+
+      case 'list-regularizations':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleListRegularizations(payload, databases, DB_ID));
+
+      case 'approve-regularization':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleDecideRegularization(payload, databases, DB_ID, callerId, REGULARIZATION_STATUS.APPROVED));
+
+      case 'reject-regularization':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleDecideRegularization(payload, databases, DB_ID, callerId, REGULARIZATION_STATUS.REJECTED));
 
       case 'list-office-locations':
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
@@ -2104,6 +6751,46 @@ export default async ({ req, res, log, error, _mockDatabases, _mockUsers, _mockT
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
         return res.json(await handleDeleteOfficeLocation(payload, databases, DB_ID));
 
+      case 'create-shift-policy':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleCreateShiftPolicy(payload, databases, DB_ID, callerId));
+
+      case 'update-shift-policy':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleUpdateShiftPolicy(payload, databases, DB_ID, callerId));
+
+      case 'list-shift-policies':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleListShiftPolicies(databases, DB_ID));
+
+      case 'assign-shift':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleAssignShift(payload, databases, DB_ID, callerId));
+
+      case 'list-shift-assignments':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleListShiftAssignments(payload, databases, DB_ID));
+
+      case 'create-salary-structure':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleCreateSalaryStructure(payload, databases, DB_ID, callerId));
+
+      case 'update-salary-structure':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleUpdateSalaryStructure(payload, databases, DB_ID, callerId));
+
+      case 'list-salary-structures':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleListSalaryStructures(databases, DB_ID));
+
+      case 'get-settings':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleGetSettings(payload, databases, DB_ID));
+
+      case 'update-settings':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleUpdateSettings(payload, databases, DB_ID, callerId));
+
       case 'list-audit-logs':
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
         return res.json(await handleListAuditLogs(payload, databases, DB_ID));
@@ -2116,6 +6803,10 @@ export default async ({ req, res, log, error, _mockDatabases, _mockUsers, _mockT
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
         return res.json(await handleGeneratePayroll(payload, databases, DB_ID, callerId));
 
+      case 'preview-payroll':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handlePreviewPayroll(payload, databases, DB_ID));
+
       case 'unlock-payroll':
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
         return res.json(await handleUnlockPayroll(payload, databases, DB_ID, callerId));
@@ -2128,19 +6819,42 @@ export default async ({ req, res, log, error, _mockDatabases, _mockUsers, _mockT
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
         return res.json(await handleGetPayrollReport(payload, databases, DB_ID));
 
+      case 'get-statutory-challan':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleGetStatutoryChallan(payload, databases, DB_ID));
+
+      case 'generate-payslip':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleGeneratePayslip(payload, databases, DB_ID));
+
+      case 'export-bank-transfer':
+        await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleExportBankTransfer(payload, databases, DB_ID, callerId));
+
       case 'get-all-attendance':
         await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
         return res.json(await handleGetAllAttendance(payload, databases, DB_ID));
 
+      // ============================================
+      // SCHEDULED ACTIONS (Cron, or admin on demand)
+      // ============================================
+
+      case 'close-open-attendance':
+        if (!isScheduled) await checkAdmin(callerId, teams, ADMIN_TEAM_ID);
+        return res.json(await handleCloseOpenAttendance(payload, databases, DB_ID, isScheduled ? 'system' : callerId));
+
       // ============================================
       // UTILITY ACTIONS (Public)
       // ============================================
 
       case 'get-system-info':
-        return res.json(await handleGetSystemInfo());
+        return res.json(await handleGetSystemInfo(databases, DB_ID, callerId));
 
       case 'get-holidays':
-        return res.json(await handleGetHolidays(databases, DB_ID));
+        return res.json(await handleGetHolidays(payload, databases, DB_ID, callerId));
+
+      case 'export-holidays':
+        return res.json(await handleExportHolidays(payload, databases, DB_ID, callerId));
 
       // ============================================
       // UNKNOWN ACTION
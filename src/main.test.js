@@ -48,9 +48,13 @@ vi.mock('node-appwrite', () => {
             equal: vi.fn((field, value) => ({ field, value, type: 'equal' })),
             limit: vi.fn((value) => ({ value, type: 'limit' })),
             cursorAfter: vi.fn((id) => ({ id, type: 'cursorAfter' })),
+            greaterThan: vi.fn((field, value) => ({ field, value, type: 'greaterThan' })),
             greaterThanEqual: vi.fn((field, value) => ({ field, value, type: 'greaterThanEqual' })),
             lessThan: vi.fn((field, value) => ({ field, value, type: 'lessThan' })),
-            orderAsc: vi.fn((field) => ({ field, type: 'orderAsc' }))
+            lessThanEqual: vi.fn((field, value) => ({ field, value, type: 'lessThanEqual' })),
+            isNull: vi.fn((field) => ({ field, type: 'isNull' })),
+            orderAsc: vi.fn((field) => ({ field, type: 'orderAsc' })),
+            orderDesc: vi.fn((field) => ({ field, type: 'orderDesc' }))
         },
         ID: { unique: () => 'unique-id-12345' }
     };
@@ -212,10 +216,24 @@ describe('Check-In Logic', () => {
         expect(result.success).toBe(true);
     });
 
-    it('Should REJECT check-in at 7:06 AM IST (after cutoff)', async () => {
+    it('Should ACCEPT a late check-in at 7:06 AM IST and record the delay', async () => {
         // 7:06 AM IST = 1:36 AM UTC
         vi.setSystemTime(new Date('2024-01-15T01:36:00Z'));
 
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            if (collection === 'employees') {
+                return Promise.resolve({
+                    total: 1,
+                    documents: [{
+                        $id: 'emp-123',
+                        email: 'john@example.com',
+                        devicePublicKey: 'valid-key'
+                    }]
+                });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+
         const { result } = await run({
             action: 'check-in',
             email: 'john@example.com',
@@ -224,8 +242,10 @@ describe('Check-In Logic', () => {
             location: { latitude: 12.9716, longitude: 77.5946, accuracy: 10 }
         });
 
-        expect(result.success).toBe(false);
-        expect(result.message).toContain('not allowed after 7:05');
+        expect(result.success).toBe(true);
+        expect(result.message).toContain('late by 6 min');
+        const attendanceCall = mockCreateDocument.mock.calls.find(call => call[1] === 'attendance');
+        expect(attendanceCall[3].lateByMinutes).toBe(6);
     });
 
     it('Should reject check-in with invalid signature', async () => {
@@ -462,6 +482,7 @@ describe('Check-Out Logic', () => {
 
         expect(result.success).toBe(true);
         expect(result.data.status).toBe('half_day');
+        expect(result.data.earlyLeaveByMinutes).toBe(145); // left before the 3:25 PM shift end
     });
 
     it('Should calculate PRESENT if checkout after 3:25 PM', async () => {
@@ -694,6 +715,76 @@ describe('Admin Actions', () => {
         );
     });
 
+    it('Should clip breaks to a corrected check-out and move the check-out punch', async () => {
+        mockGetDocument.mockResolvedValue({
+            $id: 'att-123',
+            employeeId: 'emp-123',
+            date: '2024-01-15',
+            checkInTime: '2024-01-15T03:30:00Z', // 9:00 AM IST
+            checkOutTime: '2024-01-15T12:30:00Z',
+            status: 'present',
+            punches: JSON.stringify([
+                { type: 'check-in', time: '2024-01-15T03:30:00Z' },
+                { type: 'break-start', time: '2024-01-15T07:30:00Z', breakType: 'lunch' },
+                { type: 'break-end', time: '2024-01-15T08:30:00Z', breakType: 'lunch' },
+                { type: 'check-out', time: '2024-01-15T12:30:00Z' }
+            ]),
+            isLocked: false
+        });
+        mockUpdateDocument.mockResolvedValue({ $id: 'att-123' });
+        mockCreateDocument.mockResolvedValue({ $id: 'mod-123' });
+
+        const { result } = await run({
+            action: 'modify-attendance',
+            attendanceId: 'att-123',
+            reason: 'Left at 12:30 for a family emergency',
+            modifications: { checkOutTime: '2024-01-15T07:00:00Z' } // 12:30 PM IST, before lunch
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        const update = mockUpdateDocument.mock.calls.find(call => call[1] === 'attendance')[3];
+        expect(update.breakHours).toBe(0);
+        expect(update.workHours).toBe(3.5);
+        const punches = JSON.parse(update.punches);
+        expect(punches[punches.length - 1]).toMatchObject({ type: 'check-out', time: '2024-01-15T07:00:00Z', corrected: true });
+    });
+
+    it('Should re-work the week\'s overtime and the open payroll after a corrected check-out', async () => {
+        const attendance = {
+            $id: 'att-15', employeeId: 'emp-123', date: '2024-01-15', status: 'present', isLocked: false,
+            checkInTime: '2024-01-15T03:30:00Z', checkOutTime: '2024-01-15T12:30:00Z', workHours: 9, overtimeHours: 0, overtimePay: 0
+        };
+        mockGetDocument.mockImplementation((dbId, collection, id) => {
+            if (collection === 'attendance') return Promise.resolve(attendance);
+            if (collection === 'employees') return Promise.resolve({ $id: 'emp-123', name: 'John Doe' });
+            if (id === 'overtime') return Promise.resolve({ $id: id, value: JSON.stringify({ enabled: true }) });
+            return Promise.reject(Object.assign(new Error('Document not found'), { code: 404 }));
+        });
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            const docs = {
+                attendance: [attendance],
+                payroll: [{
+                    $id: 'pay-1', employeeId: 'emp-123', month: '2024-01', isLocked: false, baseSalary: 31000,
+                    dailyRate: 1000, presentDays: 27, sundayDays: 4, overtimeHours: 0, overtimePay: 0
+                }]
+            }[collection] || [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+
+        const { result } = await run({
+            action: 'modify-attendance',
+            attendanceId: 'att-15',
+            reason: 'Stayed back for the quarter-end close',
+            modifications: { checkOutTime: '2024-01-15T14:30:00Z' } // 11 hours worked
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        // 2 hours over the 9-hour day at 1000 / 8 x 1.5
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'attendance', 'att-15', { overtimeHours: 2, overtimePay: 375 });
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'payroll', 'pay-1',
+            expect.objectContaining({ overtimeHours: 2, overtimePay: 375, netSalary: 31375 }));
+    });
+
     it('Should reject modification of locked attendance', async () => {
         mockGetDocument.mockResolvedValue({
             $id: 'att-123',
@@ -735,6 +826,2054 @@ describe('Admin Actions', () => {
             })
         );
     });
+
+    it('Should validate and normalise employee bank details', async () => {
+        mockGetDocument.mockResolvedValue({ $id: 'emp-123', name: 'John Doe', salaryMonthly: 30000 });
+
+        const invalid = await run({
+            action: 'update-employee',
+            employeeId: 'emp-123',
+            data: { bankAccountNumber: '50100123456789', bankIfsc: 'HDFC1234567' }
+        }, { userId: 'admin-123' });
+
+        expect(invalid.result.success).toBe(false);
+        expect(invalid.result.message).toContain('valid IFSC');
+        expect(mockUpdateDocument).not.toHaveBeenCalled();
+
+        const { result } = await run({
+            action: 'update-employee',
+            employeeId: 'emp-123',
+            data: { bankAccountNumber: '5010 0123 4567 89', bankIfsc: 'hdfc0001234' }
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'employees', 'emp-123',
+            expect.objectContaining({ bankAccountNumber: '50100123456789', bankIfsc: 'HDFC0001234' }));
+    });
+});
+
+describe('Shift Policies', () => {
+
+    const employee = {
+        $id: 'emp-123',
+        email: 'john@example.com',
+        devicePublicKey: 'valid-key'
+    };
+
+    const withPolicy = (policy) => {
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            if (collection === 'employees') {
+                return Promise.resolve({ total: 1, documents: [employee] });
+            }
+            if (collection === 'shift_policies') {
+                return Promise.resolve({ total: 1, documents: [policy] });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockCreateDocument.mockResolvedValue({ $id: 'policy-123' });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+    });
+
+    it('Should reject check-in after the policy cutoff with a generated message', async () => {
+        // 6:50 AM IST = 1:20 AM UTC
+        vi.setSystemTime(new Date('2024-01-15T01:20:00Z'));
+        withPolicy({ $id: 'early', name: 'Early', checkInClose: '06:30', graceMinutes: 10, maxLateMinutes: 0, isDefault: true });
+
+        const { result } = await run({
+            action: 'check-in',
+            email: 'john@example.com',
+            signature: 'valid-signature',
+            dataToVerify: 'john@example.com|2024-01-15|check-in',
+            location: { latitude: 12.9716, longitude: 77.5946, accuracy: 10 }
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toBe('Check-in not allowed after 6:40 AM');
+    });
+
+    it('Should block check-out inside a policy window', async () => {
+        // 5:10 PM IST = 11:40 AM UTC
+        vi.setSystemTime(new Date('2024-01-15T11:40:00Z'));
+        withPolicy({
+            $id: 'late',
+            name: 'Late',
+            checkInClose: '09:00',
+            isDefault: true,
+            checkoutBlockedWindows: JSON.stringify([{ start: '16:00', end: '17:25' }])
+        });
+
+        const { result } = await run({
+            action: 'check-out',
+            email: 'john@example.com',
+            signature: 'valid-signature',
+            dataToVerify: 'john@example.com|2024-01-15|check-out'
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toBe('Check-out unavailable between 4:00-5:25 PM');
+    });
+
+    it('Should evaluate check-in against the rotating roster week', async () => {
+        // 7:00 AM IST on Monday 2024-01-08, second week of the rotation
+        vi.setSystemTime(new Date('2024-01-08T01:30:00Z'));
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            if (collection === 'employees') {
+                return Promise.resolve({ total: 1, documents: [employee] });
+            }
+            if (collection === 'shift_policies') {
+                return Promise.resolve({
+                    total: 2,
+                    documents: [
+                        { $id: 'morning', name: 'Morning', checkInClose: '07:00', isDefault: true },
+                        { $id: 'evening', name: 'Evening', checkInOpen: '13:00', checkInClose: '14:00' }
+                    ]
+                });
+            }
+            if (collection === 'shift_assignments') {
+                return Promise.resolve({
+                    total: 1,
+                    documents: [{
+                        $id: 'assign-1',
+                        employeeId: 'emp-123',
+                        shiftType: 'rotating',
+                        rotation: JSON.stringify(['morning', 'evening']),
+                        effectiveFrom: '2024-01-01'
+                    }]
+                });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+
+        const { result } = await run({
+            action: 'check-in',
+            email: 'john@example.com',
+            signature: 'valid-signature',
+            dataToVerify: 'john@example.com|2024-01-08|check-in',
+            location: { latitude: 12.9716, longitude: 77.5946, accuracy: 10 }
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toBe('Check-in opens at 1:00 PM');
+    });
+
+    it('Should require a policy or rotation when assigning a shift', async () => {
+        const { result } = await run({
+            action: 'assign-shift',
+            employeeId: 'emp-123',
+            effectiveFrom: '2024-02-01'
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('shiftPolicyId or a weekly rotation');
+    });
+
+    it('Should reject a shift policy with an invalid time', async () => {
+        const { result } = await run({
+            action: 'create-shift-policy',
+            name: 'Broken',
+            checkInClose: '25:00'
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('checkInClose must be HH:MM');
+        expect(mockCreateDocument).not.toHaveBeenCalled();
+    });
+
+    it('Should create a shift policy with blocked windows stored as JSON', async () => {
+        const { result } = await run({
+            action: 'create-shift-policy',
+            name: 'Morning',
+            checkInOpen: '06:00',
+            checkInClose: '09:00',
+            graceMinutes: 15,
+            checkoutBlockedWindows: [{ start: '12:00', end: '13:00' }]
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id',
+            'shift_policies',
+            expect.any(String),
+            expect.objectContaining({
+                name: 'Morning',
+                checkInClose: '09:00',
+                graceMinutes: 15,
+                checkoutBlockedWindows: JSON.stringify([{ start: '12:00', end: '13:00' }])
+            })
+        );
+    });
+});
+
+describe('Night Shifts', () => {
+
+    const employee = {
+        $id: 'emp-123',
+        email: 'john@example.com',
+        devicePublicKey: 'valid-key'
+    };
+    const nightPolicy = {
+        $id: 'night',
+        name: 'Night',
+        checkInOpen: '21:30',
+        checkInClose: '22:00',
+        graceMinutes: 15,
+        checkoutBlockedWindows: JSON.stringify([]),
+        isDefault: true
+    };
+
+    const mockNightShift = (attendanceByDate, policy = nightPolicy) => {
+        mockListDocuments.mockImplementation((dbId, collection, queries = []) => {
+            if (collection === 'employees') {
+                return Promise.resolve({ total: 1, documents: [employee] });
+            }
+            if (collection === 'shift_policies') {
+                return Promise.resolve({ total: 1, documents: [policy] });
+            }
+            if (collection === 'attendance') {
+                const dateQuery = queries.find(q => q.field === 'date');
+                const doc = dateQuery && attendanceByDate[dateQuery.value];
+                return Promise.resolve(doc ? { total: 1, documents: [doc] } : { total: 0, documents: [] });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockCreateDocument.mockResolvedValue({ $id: 'att-night' });
+        mockUpdateDocument.mockResolvedValue({ $id: 'att-night' });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+    });
+
+    it('Should anchor a post-midnight check-in to the previous business date', async () => {
+        // 12:05 AM IST on 2024-01-16 = 6:35 PM UTC on 2024-01-15, window 11:30 PM - 12:15 AM
+        vi.setSystemTime(new Date('2024-01-15T18:35:00Z'));
+        mockNightShift({}, { ...nightPolicy, checkInOpen: '23:30', checkInClose: '00:00' });
+
+        const { result } = await run({
+            action: 'check-in',
+            email: 'john@example.com',
+            signature: 'valid-signature',
+            dataToVerify: 'john@example.com|2024-01-16|check-in',
+            location: { latitude: 12.9716, longitude: 77.5946, accuracy: 10 }
+        });
+
+        expect(result.success).toBe(true);
+        const attendanceCall = mockCreateDocument.mock.calls.find(call => call[1] === 'attendance');
+        expect(attendanceCall[3].date).toBe('2024-01-15');
+    });
+
+    it('Should close yesterday\'s open record on a check-out after midnight', async () => {
+        // 6:00 AM IST on 2024-01-16 = 12:30 AM UTC
+        vi.setSystemTime(new Date('2024-01-16T00:30:00Z'));
+        mockNightShift({
+            '2024-01-15': {
+                $id: 'att-night',
+                employeeId: 'emp-123',
+                date: '2024-01-15',
+                checkInTime: '2024-01-15T16:40:00Z', // 10:10 PM IST
+                checkOutTime: null
+            }
+        });
+
+        const { result } = await run({
+            action: 'check-out',
+            email: 'john@example.com',
+            signature: 'valid-signature',
+            dataToVerify: 'john@example.com|2024-01-16|check-out'
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.data.attendanceId).toBe('att-night');
+        expect(result.data.workHours).toBe(7.83);
+        expect(result.data.status).toBe('present');
+    });
+});
+
+describe('Break Punches', () => {
+
+    const employee = {
+        $id: 'emp-123',
+        email: 'john@example.com',
+        devicePublicKey: 'valid-key'
+    };
+
+    const mockAttendance = (attendance) => {
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            if (collection === 'employees') {
+                return Promise.resolve({ total: 1, documents: [employee] });
+            }
+            if (collection === 'attendance') {
+                return Promise.resolve({ total: 1, documents: [attendance] });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockUpdateDocument.mockResolvedValue({ $id: 'att-123' });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+    });
+
+    it('Should subtract an unpaid lunch break from work hours at check-out', async () => {
+        // 4:00 PM IST = 10:30 AM UTC
+        vi.setSystemTime(new Date('2024-01-15T10:30:00Z'));
+        mockAttendance({
+            $id: 'att-123',
+            employeeId: 'emp-123',
+            date: '2024-01-15',
+            checkInTime: '2024-01-15T03:30:00Z',
+            punches: JSON.stringify([
+                { type: 'check-in', time: '2024-01-15T03:30:00Z' },
+                { type: 'break-start', time: '2024-01-15T06:30:00Z', breakType: 'lunch' },
+                { type: 'break-end', time: '2024-01-15T07:30:00Z', breakType: 'lunch' }
+            ])
+        });
+
+        const { result } = await run({
+            action: 'check-out',
+            email: 'john@example.com',
+            signature: 'valid-signature',
+            dataToVerify: 'john@example.com|2024-01-15|check-out'
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.data.workHours).toBe(6);
+        expect(result.data.breakHours).toBe(1);
+        const update = mockUpdateDocument.mock.calls.find(call => call[1] === 'attendance')[3];
+        expect(JSON.parse(update.punches).map(p => p.type)).toEqual([
+            'check-in', 'break-start', 'break-end', 'check-out'
+        ]);
+    });
+
+    it('Should reject starting a second break while one is open', async () => {
+        vi.setSystemTime(new Date('2024-01-15T07:00:00Z'));
+        mockAttendance({
+            $id: 'att-123',
+            employeeId: 'emp-123',
+            date: '2024-01-15',
+            checkInTime: '2024-01-15T03:30:00Z',
+            punches: JSON.stringify([
+                { type: 'check-in', time: '2024-01-15T03:30:00Z' },
+                { type: 'break-start', time: '2024-01-15T06:30:00Z', breakType: 'lunch' }
+            ])
+        });
+
+        const { result } = await run({
+            action: 'break-start',
+            email: 'john@example.com',
+            signature: 'valid-signature',
+            dataToVerify: 'john@example.com|2024-01-15|break-start'
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('already in progress');
+        expect(mockUpdateDocument).not.toHaveBeenCalled();
+    });
+});
+
+describe('Missed Check-outs', () => {
+
+    const openRecord = {
+        $id: 'att-open',
+        employeeId: 'emp-123',
+        date: '2024-01-15',
+        status: 'absent',
+        checkInTime: '2024-01-15T01:30:00Z', // 7:00 AM IST
+        checkOutTime: null,
+        isLocked: false
+    };
+
+    const mockOpenAttendance = (settings) => {
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            if (collection === 'attendance') {
+                return Promise.resolve({ total: 1, documents: [openRecord] });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+        mockGetDocument.mockImplementation((dbId, collection, id) => {
+            if (collection === 'settings') {
+                return Promise.resolve({ $id: id, value: JSON.stringify(settings) });
+            }
+            return Promise.resolve({ $id: id, name: 'John Doe' });
+        });
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockCreateDocument.mockImplementation((dbId, collection) => Promise.resolve({ $id: `${collection}-new` }));
+        mockUpdateDocument.mockResolvedValue({});
+        vi.setSystemTime(new Date('2024-01-17T06:30:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+    });
+
+    it('Should apply the shift end as check-out on a scheduled run', async () => {
+        mockOpenAttendance({ mode: 'default-checkout' });
+
+        const { result } = await run({}, { 'x-appwrite-trigger': 'schedule', userId: '' });
+
+        expect(result.success).toBe(true);
+        expect(mockListMemberships).not.toHaveBeenCalled();
+        expect(mockUpdateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', 'att-open',
+            expect.objectContaining({
+                missedPunch: true,
+                checkOutTime: '2024-01-15T09:55:00.000Z', // 3:25 PM IST
+                workHours: 8.42,
+                status: 'present'
+            })
+        );
+        const auditCall = mockCreateDocument.mock.calls.find(call => call[1] === 'audit');
+        expect(auditCall[3]).toMatchObject({ actorId: 'system', action: 'missed-checkout-closed', targetId: 'att-open' });
+    });
+
+    it('Should earn a comp-off when a worked weekly off is checked out automatically', async () => {
+        mockOpenAttendance({ mode: 'default-checkout', enabled: true });
+        mockListDocuments.mockImplementation((dbId, collection) => Promise.resolve(collection === 'attendance'
+            ? { total: 1, documents: [{ ...openRecord, offDay: 'sunday' }] }
+            : { total: 0, documents: [] }));
+
+        await run({}, { 'x-appwrite-trigger': 'schedule', userId: '' });
+
+        expect(mockCreateDocument).toHaveBeenCalledWith('test-db-id', 'comp_off_credits', expect.any(String),
+            expect.objectContaining({ attendanceId: 'att-open', days: 1 }));
+    });
+
+    it('Should open a regularization request in regularization mode', async () => {
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockOpenAttendance({ mode: 'regularization' });
+
+        const { result } = await run({ action: 'close-open-attendance' }, { userId: 'admin-123' });
+
+        expect(result.data.closed).toHaveLength(1);
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'regularizations', expect.any(String),
+            expect.objectContaining({ attendanceId: 'att-open', status: 'pending', isSystemGenerated: true })
+        );
+        expect(mockUpdateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', 'att-open',
+            expect.objectContaining({ missedPunch: true, regularizationId: 'regularizations-new' })
+        );
+    });
+});
+
+describe('Regularization Requests', () => {
+
+    const attendance = {
+        $id: 'att-15',
+        employeeId: 'emp-123',
+        date: '2024-01-15',
+        status: 'absent',
+        checkInTime: '2024-01-15T03:30:00Z', // 9:00 AM IST
+        checkOutTime: null,
+        isLocked: false
+    };
+
+    const mockDocuments = (docs, lists = {}) => {
+        mockGetDocument.mockImplementation((dbId, collection, id) => {
+            if (docs[collection]) return Promise.resolve({ $id: id, ...docs[collection] });
+            return Promise.reject(Object.assign(new Error('Document not found'), { code: 404 }));
+        });
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            const documents = lists[collection] || [];
+            return Promise.resolve({ total: documents.length, documents });
+        });
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockCreateDocument.mockImplementation((dbId, collection) => Promise.resolve({ $id: `${collection}-new` }));
+        mockUpdateDocument.mockImplementation((dbId, collection, id) => Promise.resolve({ $id: id }));
+        vi.setSystemTime(new Date('2024-01-17T06:30:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+    });
+
+    it('Should let an employee propose a check-out time for a past day', async () => {
+        mockDocuments({ employees: { name: 'John Doe' } }, { attendance: [attendance] });
+
+        const { result } = await run({
+            action: 'request-regularization',
+            date: '2024-01-15',
+            checkOutTime: '18:00',
+            reason: 'Forgot to check out'
+        }, { userId: 'emp-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'regularizations', expect.any(String),
+            expect.objectContaining({
+                employeeId: 'emp-123',
+                attendanceId: 'att-15',
+                proposedCheckOutTime: '2024-01-15T12:30:00.000Z', // 6:00 PM IST
+                status: 'pending'
+            })
+        );
+    });
+
+    it('Should apply an approved request through the modification path and adjust payroll', async () => {
+        mockDocuments({
+            regularizations: {
+                employeeId: 'emp-123',
+                attendanceId: 'att-15',
+                date: '2024-01-15',
+                proposedCheckInTime: null,
+                proposedCheckOutTime: '2024-01-15T12:30:00.000Z',
+                reason: 'Forgot to check out',
+                status: 'pending'
+            },
+            attendance,
+            employees: { name: 'John Doe' }
+        }, {
+            payroll: [{ $id: 'pay-1', presentDays: 10, halfDays: 0, absentDays: 2, sundayDays: 4, holidayDays: 0, leaveDays: 0, dailyRate: 1000 }]
+        });
+
+        const { result } = await run({ action: 'approve-regularization', regularizationId: 'reg-1' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', 'att-15',
+            expect.objectContaining({ checkOutTime: '2024-01-15T12:30:00.000Z', workHours: 9, status: 'present' })
+        );
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance_modifications', expect.any(String),
+            expect.objectContaining({ attendanceId: 'att-15', regularizationId: 'reg-1' })
+        );
+        expect(mockUpdateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'payroll', 'pay-1',
+            expect.objectContaining({ presentDays: 11, absentDays: 1, netSalary: 15000 })
+        );
+        expect(mockUpdateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'regularizations', 'reg-1',
+            expect.objectContaining({ status: 'approved', reviewedBy: 'admin-123' })
+        );
+    });
+});
+
+describe('Self-Service Leave', () => {
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockCreateDocument.mockImplementation((dbId, collection) => Promise.resolve({ $id: `${collection}-new` }));
+        mockUpdateDocument.mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        mockGetDocument.mockResolvedValue({});
+    });
+
+    it('Should file leave for the caller, ignoring any employeeId in the payload', async () => {
+        mockGetDocument.mockResolvedValue({ $id: 'emp-123', name: 'John Doe' });
+
+        const { result } = await run({
+            action: 'request-leave',
+            employeeId: 'emp-999',
+            date: '2024-01-20',
+            type: 'casual',
+            reason: 'Family function'
+        }, { userId: 'emp-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockListMemberships).not.toHaveBeenCalled();
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'leaves', expect.any(String),
+            expect.objectContaining({ employeeId: 'emp-123', date: '2024-01-20', status: 'pending' })
+        );
+    });
+
+    it('Should charge a leave range without its Sunday, counting a half last day', async () => {
+        mockGetDocument.mockResolvedValue({ $id: 'emp-123', name: 'John Doe' });
+
+        const { result } = await run({
+            action: 'request-leave',
+            startDate: '2024-01-19', // Friday
+            endDate: '2024-01-23', // Tuesday
+            halfDayEnd: true,
+            type: 'earned',
+            reason: 'Vacation'
+        }, { userId: 'emp-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'leaves', expect.any(String),
+            expect.objectContaining({
+                date: '2024-01-19',
+                startDate: '2024-01-19',
+                endDate: '2024-01-23',
+                halfDayEnd: true,
+                days: 3.5 // Fri, Sat, Mon + half of Tue
+            })
+        );
+    });
+
+    it('Should not cancel another employee\'s leave', async () => {
+        mockGetDocument.mockResolvedValue({ $id: 'leave-1', employeeId: 'emp-999', status: 'pending' });
+
+        const { result } = await run({ action: 'cancel-my-leave', leaveId: 'leave-1' }, { userId: 'emp-123' });
+
+        expect(result.success).toBe(false);
+        expect(mockUpdateDocument).not.toHaveBeenCalled();
+    });
+});
+
+describe('Leave Balances', () => {
+
+    const leave = { employeeId: 'emp-123', date: '2024-01-20', type: 'casual', status: 'pending' };
+
+    const mockLeaveData = (balance) => {
+        mockGetDocument.mockImplementation((dbId, collection, id) => {
+            if (collection === 'leaves') return Promise.resolve({ $id: id, ...leave });
+            return Promise.resolve({ $id: id, name: 'John Doe', joinDate: '2023-01-01' });
+        });
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            if (collection === 'leave_balances') return Promise.resolve({ total: 1, documents: [balance] });
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockUpdateDocument.mockResolvedValue({});
+        mockCreateDocument.mockResolvedValue({ $id: 'audit-1' });
+    });
+
+    afterEach(() => {
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+    });
+
+    it('Should debit the balance when approving leave', async () => {
+        // Casual leave accrues 1 day a month: January gives 1 day
+        mockLeaveData({ $id: 'bal-1', employeeId: 'emp-123', leaveType: 'casual', year: 2024, opening: 0, used: 0 });
+
+        const { result } = await run({ action: 'approve-leave', leaveId: 'leave-1' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'leave_balances', 'bal-1', { used: 1 });
+        expect(mockUpdateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'leaves', 'leave-1',
+            expect.objectContaining({ status: 'approved', isPaid: true })
+        );
+    });
+
+    it('Should refuse approval when the balance is insufficient', async () => {
+        mockLeaveData({ $id: 'bal-1', employeeId: 'emp-123', leaveType: 'casual', year: 2024, opening: 0, used: 1 });
+
+        const { result } = await run({ action: 'approve-leave', leaveId: 'leave-1' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('Insufficient Casual Leave balance');
+        expect(mockUpdateDocument).not.toHaveBeenCalled();
+    });
+
+    it('Should debit a leave crossing 31 December from each year\'s balance', async () => {
+        const balances = {
+            2023: { $id: 'bal-2023', employeeId: 'emp-123', leaveType: 'sick', year: 2023, used: 0 },
+            2024: { $id: 'bal-2024', employeeId: 'emp-123', leaveType: 'sick', year: 2024, used: 0 }
+        };
+        mockGetDocument.mockImplementation((dbId, collection, id) => {
+            if (collection === 'leaves') {
+                return Promise.resolve({
+                    $id: id, ...leave, type: 'sick', date: '2023-12-29', startDate: '2023-12-29', endDate: '2024-01-02', days: 4
+                });
+            }
+            if (collection === 'employees') return Promise.resolve({ $id: id, name: 'John Doe', joinDate: '2023-01-01' });
+            return Promise.reject(Object.assign(new Error('Document not found'), { code: 404 }));
+        });
+        mockListDocuments.mockImplementation((dbId, collection, queries = []) => {
+            const year = queries.find(q => q.field === 'year');
+            const docs = collection === 'leave_balances' && year ? [balances[year.value]] : [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+
+        const { result } = await run({ action: 'approve-leave', leaveId: 'leave-1' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        // 29-30 Dec, then 1-2 Jan (Sunday 31 Dec is a weekly off)
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'leave_balances', 'bal-2023', { used: 2 });
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'leave_balances', 'bal-2024', { used: 2 });
+    });
+
+    it('Should charge a Sunday sandwiched between two leave requests to the one approved second', async () => {
+        mockGetDocument.mockImplementation((dbId, collection, id) => {
+            if (collection === 'leaves') return Promise.resolve({ $id: id, ...leave, type: 'sick', date: '2024-01-15', days: 1 }); // Monday
+            if (collection === 'employees') return Promise.resolve({ $id: id, name: 'John Doe', joinDate: '2023-01-01' });
+            if (collection === 'settings' && id === 'leave') return Promise.resolve({ $id: id, value: JSON.stringify({ sandwichRule: true }) });
+            return Promise.reject(Object.assign(new Error('Document not found'), { code: 404 }));
+        });
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            const docs = {
+                leaves: [{ $id: 'leave-sat', employeeId: 'emp-123', date: '2024-01-13', type: 'casual', status: 'approved', days: 1 }],
+                leave_balances: [{ $id: 'bal-1', employeeId: 'emp-123', leaveType: 'sick', year: 2024, used: 1 }]
+            }[collection] || [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+
+        const { result } = await run({ action: 'approve-leave', leaveId: 'leave-mon' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'leave_balances', 'bal-1', { used: 3 });
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'leaves', 'leave-mon',
+            expect.objectContaining({ status: 'approved', sandwichedDates: '["2024-01-14"]' }));
+    });
+
+    it('Should carry last year\'s unused leave forward without a balance document for the new year', async () => {
+        mockGetDocument.mockResolvedValue({ $id: 'emp-123', name: 'John Doe', joinDate: '2023-01-01' });
+        mockListDocuments.mockImplementation((dbId, collection, queries = []) => {
+            const year = queries.find(q => q.field === 'year');
+            // Earned leave taken in 2023, read afresh so a late December approval still counts
+            const docs = collection === 'leave_balances' && year && year.value === 2023
+                ? [{ $id: 'bal-2023', employeeId: 'emp-123', leaveType: 'earned', year: 2023, used: 10 }]
+                : [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+
+        const { result } = await run({ action: 'get-leave-balances', employeeId: 'emp-123', year: 2024 }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        const earned = result.data.balances.find(b => b.leaveType === 'earned');
+        expect(earned).toMatchObject({ opening: 5, used: 0 }); // 15 accrued in 2023 less 10 taken
+        const casual = result.data.balances.find(b => b.leaveType === 'casual');
+        expect(casual.opening).toBe(0); // No carry-forward for casual leave
+    });
+});
+
+describe('Comp-Off', () => {
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockUpdateDocument.mockResolvedValue({});
+        mockCreateDocument.mockImplementation((dbId, collection, id, data) => Promise.resolve({ $id: id, ...data }));
+        mockGetDocument.mockImplementation((dbId, collection, id) => {
+            if (collection === 'settings' && id === 'compOff') {
+                return Promise.resolve({ $id: id, value: JSON.stringify({ enabled: true, expiryDays: 30 }) });
+            }
+            if (collection === 'leaves') {
+                return Promise.resolve({ $id: id, employeeId: 'emp-123', date: '2024-01-20', type: 'comp_off', status: 'pending', days: 1 });
+            }
+            return Promise.reject(new Error('Not found'));
+        });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+        mockCreateDocument.mockResolvedValue({ $id: 'audit-1' });
+    });
+
+    it('Should earn a comp-off credit for a full day worked on a Sunday', async () => {
+        // Sunday 2024-01-14, 6:00 PM IST
+        vi.setSystemTime(new Date('2024-01-14T12:30:00Z'));
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            if (collection === 'attendance') {
+                return Promise.resolve({
+                    total: 1,
+                    documents: [{
+                        $id: 'att-123', employeeId: 'emp-123', date: '2024-01-14',
+                        offDay: 'sunday', checkInTime: '2024-01-14T01:30:00Z'
+                    }]
+                });
+            }
+            if (collection === 'employees') {
+                return Promise.resolve({ total: 1, documents: [{ $id: 'emp-123', email: 'john@example.com', devicePublicKey: 'valid-key' }] });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+
+        const { result } = await run({
+            action: 'check-out',
+            email: 'john@example.com',
+            signature: 'valid-signature',
+            dataToVerify: 'john@example.com|2024-01-14|check-out'
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.data.compOffDays).toBe(1);
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'comp_off_credits', 'unique-id-12345',
+            expect.objectContaining({ attendanceId: 'att-123', days: 1, status: 'approved', expiresOn: '2024-02-13' })
+        );
+    });
+
+    it('Should redeem unexpired credits when approving comp-off leave, soonest expiry first', async () => {
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            if (collection === 'comp_off_credits') {
+                return Promise.resolve({
+                    total: 3,
+                    documents: [
+                        { $id: 'c-late', date: '2024-01-14', days: 1, used: 0, status: 'approved', expiresOn: '2024-02-13' },
+                        { $id: 'c-soon', date: '2024-01-07', days: 0.5, used: 0, status: 'approved', expiresOn: '2024-02-06' },
+                        { $id: 'c-expired', date: '2023-12-10', days: 1, used: 0, status: 'approved', expiresOn: '2024-01-09' }
+                    ]
+                });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+
+        const { result } = await run({ action: 'approve-leave', leaveId: 'leave-1' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'comp_off_credits', 'c-soon', { used: 0.5 });
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'comp_off_credits', 'c-late', { used: 0.5 });
+        expect(mockUpdateDocument).not.toHaveBeenCalledWith('test-db-id', 'comp_off_credits', 'c-expired', expect.anything());
+    });
+
+    it('Should revoke an unused comp-off when the worked day is corrected to absent', async () => {
+        mockGetDocument.mockImplementation((dbId, collection, id) => Promise.resolve(collection === 'attendance'
+            ? { $id: id, employeeId: 'emp-123', date: '2024-01-14', offDay: 'sunday', status: 'present', isLocked: false }
+            : { $id: id }));
+        mockListDocuments.mockImplementation((dbId, collection) => Promise.resolve(collection === 'comp_off_credits'
+            ? { total: 1, documents: [{ $id: 'c-1', attendanceId: 'att-sun', date: '2024-01-14', days: 1, used: 0, status: 'approved' }] }
+            : { total: 0, documents: [] }));
+
+        const { result } = await run({
+            action: 'modify-attendance',
+            attendanceId: 'att-sun',
+            reason: 'Did not actually work',
+            modifications: { status: 'absent' }
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'comp_off_credits', 'c-1', { days: 0, status: 'rejected' });
+    });
+});
+
+describe('Holiday Calendars', () => {
+
+    const payroll = {
+        $id: 'pay-1', employeeId: 'emp-123', month: '2024-01', isLocked: false,
+        presentDays: 20, absentDays: 5, sundayDays: 4, holidayDays: 0, leaveDays: 0, halfDays: 0,
+        dailyRate: 1000, netSalary: 24000
+    };
+
+    const mockPaidMonth = (payrollDoc) => {
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            const docs = {
+                payroll: [payrollDoc],
+                attendance: [{ $id: 'att-26', employeeId: 'emp-123', date: '2024-01-26', status: 'absent', isAutoCalculated: true }],
+                holidays: [{ $id: 'h-new', date: '2024-01-26', name: 'Republic Day' }]
+            }[collection] || [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+    };
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        vi.setSystemTime(new Date('2024-03-01T06:30:00Z'));
+        mockCreateDocument.mockResolvedValue({ $id: 'sel-new' });
+        mockGetDocument.mockImplementation((dbId, collection, id) => {
+            if (collection === 'employees') return Promise.resolve({ $id: id, name: 'John Doe', officeLocationId: 'office-1' });
+            if (collection === 'holidays') {
+                return Promise.resolve({ $id: id, date: '2024-08-19', name: 'Raksha Bandhan', isOptional: true });
+            }
+            return Promise.reject(new Error('Not found'));
+        });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+        mockCreateDocument.mockResolvedValue({ $id: 'audit-1' });
+    });
+
+    it('Should return the caller\'s calendar with optional holidays they may pick', async () => {
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            if (collection === 'holidays') {
+                return Promise.resolve({
+                    total: 3,
+                    documents: [
+                        { $id: 'h-1', date: '2024-01-26', name: 'Republic Day' },
+                        { $id: 'h-2', date: '2024-08-19', name: 'Raksha Bandhan', isOptional: true },
+                        { $id: 'h-3', date: '2024-09-16', name: 'Onam', officeLocationId: 'office-2' }
+                    ]
+                });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+
+        const { result } = await run({ action: 'get-holidays' }, { userId: 'emp-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.holidays.map(h => h.$id)).toEqual(['h-1', 'h-2']);
+        expect(result.data.holidays[1]).toMatchObject({ isOptional: true, isSelected: false });
+    });
+
+    it('Should refuse picking more optional holidays than the yearly limit', async () => {
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            if (collection === 'holiday_selections') {
+                return Promise.resolve({
+                    total: 2,
+                    documents: [
+                        { $id: 'sel-1', employeeId: 'emp-123', holidayId: 'h-a', date: '2024-03-25' },
+                        { $id: 'sel-2', employeeId: 'emp-123', holidayId: 'h-b', date: '2024-04-11' }
+                    ]
+                });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+
+        const { result } = await run({ action: 'select-optional-holiday', holidayId: 'h-2' }, { userId: 'emp-123' });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('only 2 optional holiday(s) a year');
+        expect(mockCreateDocument).not.toHaveBeenCalled();
+    });
+
+    it('Should import CSV holidays in one go, skipping duplicates and invalid rows', async () => {
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            if (collection === 'holidays') {
+                return Promise.resolve({ total: 1, documents: [{ $id: 'h-1', date: '2024-01-26', name: 'Republic Day' }] });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+        const content = [
+            'date,name,scope',
+            '2024-01-26,Republic Day,',
+            '2024-01-15,Pongal,region:TN',
+            '2024-08-19,"Raksha Bandhan, optional",optional',
+            '2024-13-01,Bad Date,'
+        ].join('\n');
+
+        const { result } = await run({ action: 'import-holidays', format: 'csv', content, commit: true }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.created).toHaveLength(2);
+        expect(result.data.duplicates).toEqual([expect.objectContaining({ line: 2, existingHolidayId: 'h-1' })]);
+        expect(result.data.invalid).toEqual([{ line: 5, reason: 'Date must be YYYY-MM-DD' }]);
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'holidays', 'unique-id-12345',
+            { date: '2024-01-15', name: 'Pongal', officeLocationId: null, region: 'TN', isOptional: false, isRecurring: false }
+        );
+        const auditCalls = mockCreateDocument.mock.calls.filter(c => c[1] === 'audit');
+        expect(auditCalls).toHaveLength(1);
+    });
+
+    it('Should remove the holidays it created when an import fails part-way', async () => {
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        let holidayCount = 0;
+        mockCreateDocument.mockImplementation((dbId, collection, id, data) => {
+            if (collection !== 'holidays') return Promise.resolve({ $id: `${collection}-new` });
+            holidayCount++;
+            return holidayCount === 2
+                ? Promise.reject(Object.assign(new Error('Server error'), { code: 500 }))
+                : Promise.resolve({ $id: `h-new-${holidayCount}`, ...data });
+        });
+        const content = 'date,name\n2024-01-15,Pongal\n2024-08-15,Independence Day';
+
+        const { result } = await run({ action: 'import-holidays', format: 'csv', content, commit: true }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(false);
+        expect(mockDeleteDocument).toHaveBeenCalledWith('test-db-id', 'holidays', 'h-new-1');
+    });
+
+    it('Should report an .ics event spanning more than a month as invalid', async () => {
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        const content = [
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20240126', 'DTEND;VALUE=DATE:99991231', 'SUMMARY:Forever', 'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n');
+
+        const { result } = await run({ action: 'import-holidays', format: 'ics', content }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.toCreate).toHaveLength(0);
+        expect(result.data.invalid).toEqual([{ line: 2, reason: 'Event spans more than 31 days' }]);
+    });
+
+    it('Should list a recurring holiday in every year from its first date', async () => {
+        mockListDocuments.mockImplementation((dbId, collection, queries) => {
+            const recurringQuery = queries.some(q => q.field === 'isRecurring');
+            if (collection === 'holidays' && recurringQuery) {
+                return Promise.resolve({ total: 1, documents: [{ $id: 'h-r', date: '2020-01-26', name: 'Republic Day', isRecurring: true }] });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+
+        const { result } = await run({ action: 'get-holidays' }, { userId: 'emp-123' });
+
+        expect(result.data.holidays.map(h => h.date)).toEqual(['2024-01-26', '2025-01-26']);
+        expect(result.data.holidays[0]).toMatchObject({ $id: 'h-r', isRecurring: true });
+    });
+
+    it('Should rename and move a holiday with an audit entry', async () => {
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockGetDocument.mockResolvedValue({ $id: 'h-1', date: '2024-10-31', name: 'Diwali' });
+
+        const { result } = await run({
+            action: 'update-holiday',
+            holidayId: 'h-1',
+            data: { date: '2024-11-01', name: 'Deepavali' }
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'holidays', 'h-1', { date: '2024-11-01', name: 'Deepavali' });
+        expect(mockCreateDocument).toHaveBeenCalledWith('test-db-id', 'audit', 'unique-id-12345', expect.objectContaining({
+            action: 'holiday-updated',
+            payload: JSON.stringify({
+                before: { date: '2024-10-31', name: 'Diwali' },
+                after: { date: '2024-11-01', name: 'Deepavali' },
+                reclassifiedDays: 0
+            })
+        }));
+    });
+
+    it('Should refuse a holiday in a month whose payroll is locked', async () => {
+        mockPaidMonth({ ...payroll, isLocked: true });
+
+        const { result } = await run({ action: 'create-holiday', date: '2024-01-26', name: 'Republic Day' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('Payroll for 2024-01 is locked');
+        expect(mockCreateDocument).not.toHaveBeenCalled();
+    });
+
+    it('Should find a locked payroll past the first page of a month', async () => {
+        const firstPage = Array.from({ length: 100 }, (_, i) => ({ ...payroll, $id: `pay-${i}`, employeeId: `emp-${i}` }));
+        mockListDocuments.mockImplementation((dbId, collection, queries = []) => {
+            if (collection !== 'payroll') return Promise.resolve({ total: 0, documents: [] });
+            const docs = queries.some(q => q.type === 'cursorAfter')
+                ? [{ ...payroll, $id: 'pay-100', employeeId: 'emp-100', isLocked: true }]
+                : firstPage;
+            return Promise.resolve({ total: 101, documents: docs });
+        });
+
+        const { result } = await run({ action: 'create-holiday', date: '2024-01-26', name: 'Republic Day' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('Payroll for 2024-01 is locked');
+    });
+
+    it('Should turn an auto-marked absence into the new holiday and recount payroll', async () => {
+        mockPaidMonth(payroll);
+
+        const { result } = await run({ action: 'create-holiday', date: '2024-01-26', name: 'Republic Day' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'attendance', 'att-26', { status: 'holiday', notes: 'Republic Day' });
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'payroll', 'pay-1',
+            expect.objectContaining({ absentDays: 4, holidayDays: 1, netSalary: 25000 }));
+        expect(result.data.corrections.payrolls).toEqual([
+            { payrollId: 'pay-1', employeeId: 'emp-123', month: '2024-01', netSalaryBefore: 24000, netSalaryAfter: 25000 }
+        ]);
+    });
+
+    it('Should export the caller\'s holidays as an iCalendar feed', async () => {
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            if (collection === 'holidays') {
+                return Promise.resolve({ total: 1, documents: [{ $id: 'h-1', date: '2024-01-26', name: 'Republic Day' }] });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+
+        const { result } = await run({ action: 'export-holidays' }, { userId: 'emp-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.content).toContain('DTSTART;VALUE=DATE:20240126\r\nDTEND;VALUE=DATE:20240127');
+        expect(result.data.content).toContain('SUMMARY:Republic Day');
+    });
+
+    it('Should only export the picked occurrence of a recurring optional holiday', async () => {
+        mockListDocuments.mockImplementation((dbId, collection, queries = []) => {
+            if (collection === 'holidays' && queries.some(q => q.field === 'isRecurring')) {
+                return Promise.resolve({ total: 1, documents: [{ $id: 'h-holi', date: '2020-03-25', name: 'Holi', isOptional: true, isRecurring: true }] });
+            }
+            if (collection === 'holiday_selections') {
+                return Promise.resolve({ total: 1, documents: [{ $id: 'sel-1', employeeId: 'emp-123', holidayId: 'h-holi', date: '2024-03-25' }] });
+            }
+            return Promise.resolve({ total: 0, documents: [] });
+        });
+
+        const { result } = await run({ action: 'export-holidays' }, { userId: 'emp-123' });
+
+        expect(result.data.content).toContain('DTSTART;VALUE=DATE:20240325');
+        expect(result.data.content).not.toContain('DTSTART;VALUE=DATE:20250325');
+    });
+});
+
+// Payroll fixtures shared by the payroll, salary and payslip suites
+const payrollEmployee = {
+    $id: 'emp-123',
+    name: 'John Doe',
+    salaryMonthly: 31000,
+    joinDate: '2024-01-01',
+    isActive: true
+};
+
+const mockPayrollData = ({ attendance = [], holidays = [], leaves = [], settings = {}, offices = [], employeeData = {}, selections = [], structures = [], revisions = [], arrears = [], compOffCredits = [] } = {}) => {
+    mockListDocuments.mockImplementation((dbId, collection, queries = []) => {
+        const status = queries.find(q => q.type === 'equal' && q.field === 'status');
+        const docs = {
+            employees: [{ ...payrollEmployee, ...employeeData }],
+            attendance,
+            holidays,
+            leaves: leaves.filter(l => !status || (l.status || 'approved') === status.value),
+            office_locations: offices,
+            holiday_selections: selections,
+            salary_structures: structures,
+            salary_revisions: revisions,
+            salary_arrears: arrears,
+            comp_off_credits: compOffCredits
+        }[collection] || [];
+        return Promise.resolve({ total: docs.length, documents: docs });
+    });
+    mockGetDocument.mockImplementation((dbId, collection, id) => {
+        if (collection === 'settings' && settings[id]) {
+            return Promise.resolve({ $id: id, value: JSON.stringify(settings[id]) });
+        }
+        return Promise.reject(Object.assign(new Error('Document not found'), { code: 404 }));
+    });
+};
+
+const generatedPayroll = () => {
+    const call = mockCreateDocument.mock.calls.find(c => c[1] === 'payroll');
+    return call && call[3];
+};
+
+// Present every working day of January 2024 (Sundays are weekly offs)
+const fullMonthAttendance = () => {
+    const attendance = [];
+    for (let day = 1; day <= 31; day++) {
+        const date = `2024-01-${String(day).padStart(2, '0')}`;
+        if (new Date(date).getUTCDay() === 0) continue;
+        attendance.push({ $id: `att-${day}`, employeeId: 'emp-123', date, status: 'present', workHours: 8, isLocked: true });
+    }
+    return attendance;
+};
+
+describe('Payroll Generation', () => {
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockCreateDocument.mockImplementation((dbId, collection, id, data) => Promise.resolve({ $id: `${collection}-new`, ...data }));
+        mockUpdateDocument.mockResolvedValue({});
+        vi.setSystemTime(new Date('2024-02-10T06:30:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+    });
+
+    it('Should pay daily overtime when overtime is enabled', async () => {
+        mockPayrollData({
+            attendance: [{
+                $id: 'att-15',
+                employeeId: 'emp-123',
+                date: '2024-01-15',
+                status: 'present',
+                workHours: 11,
+                isLocked: false
+            }],
+            settings: { overtime: { enabled: true } }
+        });
+
+        const { result } = await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        const payroll = generatedPayroll();
+        expect(payroll.dailyRate).toBe(1000);
+        expect(payroll.overtimeHours).toBe(2);
+        expect(payroll.overtimePay).toBe(375); // 2h x (1000 / 8) x 1.5
+        expect(payroll.netSalary).toBe(5375); // 1 present + 4 Sundays + overtime
+        expect(mockUpdateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', 'att-15',
+            expect.objectContaining({ isLocked: true, overtimeHours: 2, overtimePay: 375 })
+        );
+    });
+
+    it('Should hold unapproved overtime when approval is required', async () => {
+        mockPayrollData({
+            attendance: [{
+                $id: 'att-15',
+                employeeId: 'emp-123',
+                date: '2024-01-15',
+                status: 'present',
+                workHours: 11,
+                isLocked: false
+            }],
+            settings: { overtime: { enabled: true, requireApproval: true } }
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        const payroll = generatedPayroll();
+        expect(payroll.overtimePay).toBe(0);
+        expect(payroll.pendingOvertimeHours).toBe(2);
+        expect(payroll.netSalary).toBe(5000);
+    });
+
+    it('Should count a week straddling the month start towards the weekly threshold', async () => {
+        const worked = (date) => ({ $id: `att-${date}`, employeeId: 'emp-123', date, status: 'present', workHours: 9, isLocked: false });
+        mockPayrollData({
+            // Week of Mon 29 Jan - Sun 4 Feb: 54 regular hours against a 48-hour week
+            attendance: ['2024-01-29', '2024-01-30', '2024-01-31', '2024-02-01', '2024-02-02', '2024-02-03'].map(worked),
+            settings: { overtime: { enabled: true } }
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-02' }, { userId: 'admin-123' });
+
+        const payroll = generatedPayroll();
+        expect(payroll.overtimeHours).toBe(6);
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'attendance', 'att-2024-02-03',
+            expect.objectContaining({ overtimeHours: 6 }));
+        expect(mockUpdateDocument.mock.calls.some(c => c[2] === 'att-2024-01-31')).toBe(false);
+    });
+
+    it('Should pay every hour worked on a weekly off at the Sunday multiplier', async () => {
+        mockPayrollData({
+            attendance: [{ $id: 'att-14', employeeId: 'emp-123', date: '2024-01-14', status: 'present', workHours: 6, isLocked: false }],
+            settings: { overtime: { enabled: true } }
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        const payroll = generatedPayroll();
+        expect(payroll.overtimeHours).toBe(6);
+        expect(payroll.overtimePay).toBe(1500); // 6h x (1000 / 8) x 2
+    });
+
+    it('Should not pay the Sunday premium for a day that earned a comp-off', async () => {
+        mockPayrollData({
+            attendance: [{ $id: 'att-14', employeeId: 'emp-123', date: '2024-01-14', status: 'present', workHours: 9, isLocked: false }],
+            settings: { overtime: { enabled: true }, compOff: { enabled: true } },
+            compOffCredits: [{ $id: 'co-1', employeeId: 'emp-123', attendanceId: 'att-14', date: '2024-01-14', days: 1, used: 0, status: 'approved' }]
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        const payroll = generatedPayroll();
+        expect(payroll.overtimeHours).toBe(0);
+        expect(payroll.overtimePay).toBe(0);
+    });
+
+    it('Should count unpaid leave as loss of pay', async () => {
+        mockPayrollData({
+            leaves: [{ $id: 'leave-1', employeeId: 'emp-123', date: '2024-01-15', type: 'unpaid', status: 'approved', isPaid: false }]
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        const payroll = generatedPayroll();
+        expect(payroll.unpaidLeaveDays).toBe(1);
+        expect(payroll.leaveDays).toBe(0);
+        expect(payroll.netSalary).toBe(4000); // Sundays only
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', expect.any(String),
+            expect.objectContaining({ date: '2024-01-15', status: 'unpaid_leave' })
+        );
+    });
+
+    it('Should pay a half-day leave plus a half day of work as a full day', async () => {
+        mockPayrollData({
+            attendance: [{
+                $id: 'att-15',
+                employeeId: 'emp-123',
+                date: '2024-01-15',
+                status: 'half_day',
+                workHours: 4.5,
+                isLocked: false
+            }],
+            leaves: [
+                { $id: 'leave-1', employeeId: 'emp-123', date: '2024-01-15', startDate: '2024-01-15', endDate: '2024-01-15', halfDayStart: true, type: 'casual', status: 'approved', isPaid: true },
+                { $id: 'leave-2', employeeId: 'emp-123', date: '2024-01-16', startDate: '2024-01-16', endDate: '2024-01-17', type: 'casual', status: 'approved', isPaid: true }
+            ]
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        const payroll = generatedPayroll();
+        expect(payroll.halfDays).toBe(1);
+        expect(payroll.halfDayLeaves).toBe(1);
+        expect(payroll.leaveDays).toBe(2);
+        expect(payroll.netSalary).toBe(7000); // 1 (half + half leave) + 2 leave + 4 Sundays
+        expect(mockUpdateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', 'att-15',
+            expect.objectContaining({ isLocked: true, halfDayLeave: true })
+        );
+    });
+
+    it('Should count a Sunday between two leave days as leave under the sandwich rule', async () => {
+        const unpaidLeave = (date) => ({ $id: `leave-${date}`, employeeId: 'emp-123', date, type: 'unpaid', status: 'approved', isPaid: false });
+        mockPayrollData({
+            leaves: [unpaidLeave('2024-01-13'), unpaidLeave('2024-01-15')], // Saturday and Monday
+            settings: { leave: { sandwichRule: true } }
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        const payroll = generatedPayroll();
+        expect(payroll.sandwichDays).toBe(1);
+        expect(payroll.unpaidLeaveDays).toBe(3);
+        expect(payroll.sundayDays).toBe(3);
+        expect(payroll.netSalary).toBe(3000);
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', expect.any(String),
+            expect.objectContaining({
+                date: '2024-01-14',
+                status: 'unpaid_leave',
+                sandwiched: true,
+                notes: 'Sandwich rule: Sunday between unpaid leave'
+            })
+        );
+    });
+
+    it('Should mark the organisation\'s 2nd and 4th Saturdays as weekly offs', async () => {
+        mockPayrollData({ settings: { weeklyOff: { pattern: [{ day: 0 }, { day: 6, weeks: [2, 4] }] } } });
+
+        const { result } = await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        const payroll = generatedPayroll();
+        expect(payroll.sundayDays).toBe(6); // 4 Sundays + Jan 13 and 27
+        expect(payroll.netSalary).toBe(6000);
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', 'unique-id-12345',
+            expect.objectContaining({ date: '2024-01-13', status: 'sunday', notes: 'Weekly off' })
+        );
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', 'unique-id-12345',
+            expect.objectContaining({ date: '2024-01-06', status: 'absent' })
+        );
+    });
+
+    it('Should apply an office\'s Friday weekly off instead of Sunday', async () => {
+        mockPayrollData({
+            offices: [{ $id: 'office-1', name: 'Dubai', weeklyOff: JSON.stringify([{ day: 5 }]) }],
+            employeeData: { officeLocationId: 'office-1' }
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        expect(generatedPayroll().sundayDays).toBe(4); // Jan 5, 12, 19, 26
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', 'unique-id-12345',
+            expect.objectContaining({ date: '2024-01-05', status: 'sunday' })
+        );
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', 'unique-id-12345',
+            expect.objectContaining({ date: '2024-01-07', status: 'absent' })
+        );
+    });
+
+    it('Should apply only the employee\'s regional holidays and picked optional holidays', async () => {
+        mockPayrollData({
+            holidays: [
+                { $id: 'h-pongal', date: '2024-01-15', name: 'Pongal', region: 'TN' },
+                { $id: 'h-optional', date: '2024-01-25', name: 'Optional Festival', isOptional: true },
+                { $id: 'h-republic', date: '2024-01-26', name: 'Republic Day' },
+                { $id: 'h-other-office', date: '2024-01-29', name: 'Office Day', officeLocationId: 'office-2' }
+            ],
+            selections: [{ $id: 'sel-1', employeeId: 'emp-123', holidayId: 'h-optional', date: '2024-01-25' }],
+            employeeData: { officeLocationId: 'office-1', region: 'KA' }
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        expect(generatedPayroll().holidayDays).toBe(2); // Optional Festival + Republic Day
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', 'unique-id-12345',
+            expect.objectContaining({ date: '2024-01-15', status: 'absent' })
+        );
+        expect(mockCreateDocument).toHaveBeenCalledWith(
+            'test-db-id', 'attendance', 'unique-id-12345',
+            expect.objectContaining({ date: '2024-01-25', status: 'holiday', notes: 'Optional Festival' })
+        );
+    });
+
+    it('Should deduct a half day for every three late marks', async () => {
+        const lateDay = (day) => ({
+            $id: `att-${day}`,
+            employeeId: 'emp-123',
+            date: `2024-01-${day}`,
+            status: 'present',
+            workHours: 8,
+            lateByMinutes: 20,
+            isLocked: false
+        });
+        mockPayrollData({
+            attendance: ['15', '16', '17', '18'].map(lateDay),
+            settings: { penalties: { enabled: true } }
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        const payroll = generatedPayroll();
+        expect(payroll.lateMarks).toBe(4);
+        expect(payroll.penaltyDays).toBe(0.5);
+        expect(payroll.penaltyDeduction).toBe(500);
+        expect(payroll.netSalary).toBe(7500); // (4 present + 4 Sundays - 0.5) x 1000
+    });
+});
+
+describe('Salary Structures', () => {
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockCreateDocument.mockImplementation((dbId, collection, id, data) => Promise.resolve({ $id: `${collection}-new`, ...data }));
+        mockUpdateDocument.mockResolvedValue({});
+        vi.setSystemTime(new Date('2024-02-10T06:30:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+    });
+
+    it('Should break payroll into salary structure components and deductions', async () => {
+        mockPayrollData({
+            attendance: fullMonthAttendance(),
+            employeeData: { salaryStructureId: 'ss-1' },
+            structures: [{
+                $id: 'ss-1',
+                name: 'Staff',
+                earnings: JSON.stringify([
+                    { code: 'basic', name: 'Basic', type: 'percent', value: 50, base: 'ctc' },
+                    { code: 'hra', name: 'HRA', type: 'percent', value: 40, base: 'basic' },
+                    { code: 'special', name: 'Special Allowance', type: 'remainder' }
+                ]),
+                deductions: JSON.stringify([
+                    { code: 'pf', name: 'PF', type: 'percent', value: 12, base: 'basic', maxBase: 15000 },
+                    { code: 'esi', name: 'ESI', type: 'percent', value: 0.75, base: 'gross', grossLimit: 21000 },
+                    { code: 'pt', name: 'Professional Tax', type: 'fixed', value: 200 }
+                ])
+            }]
+        });
+
+        const { result } = await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        const payroll = generatedPayroll();
+        expect(payroll.salaryStructureId).toBe('ss-1');
+        expect(JSON.parse(payroll.earnings)).toEqual([
+            { code: 'basic', name: 'Basic', amount: 15500 },
+            { code: 'hra', name: 'HRA', amount: 6200 },
+            { code: 'special', name: 'Special Allowance', amount: 9300 }
+        ]);
+        // PF on basic capped at 15000; no ESI above the 21000 gross limit
+        expect(JSON.parse(payroll.deductions)).toEqual([
+            { code: 'pf', name: 'PF', amount: 1800 },
+            { code: 'pt', name: 'Professional Tax', amount: 200 }
+        ]);
+        expect(payroll.grossSalary).toBe(31000);
+        expect(payroll.totalDeductions).toBe(2000);
+        expect(payroll.netSalary).toBe(29000);
+        expect(result.data.totalPayout).toBe('29000.00');
+    });
+
+    it('Should scale structure components down to a salary they add up to more than', async () => {
+        mockPayrollData({
+            attendance: fullMonthAttendance(),
+            employeeData: { salaryMonthly: 10000, salaryStructureId: 'ss-1' },
+            structures: [{
+                $id: 'ss-1',
+                name: 'Senior',
+                earnings: JSON.stringify([
+                    { code: 'basic', name: 'Basic', type: 'fixed', value: 15000 },
+                    { code: 'hra', name: 'HRA', type: 'percent', value: 40, base: 'basic' },
+                    { code: 'special', name: 'Special Allowance', type: 'remainder' }
+                ]),
+                deductions: '[]'
+            }]
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        const payroll = generatedPayroll();
+        expect(JSON.parse(payroll.earnings)).toEqual([
+            { code: 'basic', name: 'Basic', amount: 7142.86 },
+            { code: 'hra', name: 'HRA', amount: 2857.14 },
+            { code: 'special', name: 'Special Allowance', amount: 0 }
+        ]);
+        expect(payroll.grossSalary).toBe(10000);
+    });
+
+    it('Should reject earnings based on basic when basic is the remainder', async () => {
+        const { result } = await run({
+            action: 'create-salary-structure',
+            name: 'Broken',
+            earnings: [
+                { code: 'basic', type: 'remainder' },
+                { code: 'hra', type: 'percent', value: 40, base: 'basic' }
+            ]
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('basic must be fixed or a percentage of ctc');
+        expect(mockCreateDocument).not.toHaveBeenCalledWith('test-db-id', 'salary_structures', expect.anything(), expect.anything());
+    });
+});
+
+describe('Statutory Deductions', () => {
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockCreateDocument.mockImplementation((dbId, collection, id, data) => Promise.resolve({ $id: `${collection}-new`, ...data }));
+        mockUpdateDocument.mockResolvedValue({});
+        vi.setSystemTime(new Date('2024-02-10T06:30:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+    });
+
+    it('Should deduct PF and professional tax and record employer contributions', async () => {
+        mockPayrollData({
+            attendance: fullMonthAttendance(),
+            employeeData: { region: 'Maharashtra' },
+            settings: { statutory: { enabled: true } }
+        });
+
+        const { result } = await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        const payroll = generatedPayroll();
+        // PF on basic capped at 15000; no ESI above the 21000 threshold
+        expect(JSON.parse(payroll.deductions)).toEqual([
+            { code: 'pf', name: 'Provident Fund', amount: 1800 },
+            { code: 'pt', name: 'Professional Tax', amount: 200 }
+        ]);
+        expect(payroll.netSalary).toBe(29000);
+        expect(JSON.parse(payroll.statutoryContributions)).toEqual({
+            pf: { wages: 15000, epsWages: 15000, employee: 1800, employerEps: 1250, employerEpf: 550 },
+            esi: null,
+            professionalTax: { state: 'MH', amount: 200 }
+        });
+    });
+
+    it('Should build the PF ECR and ESI contribution files for a month', async () => {
+        const contributions = (pf, esi) => JSON.stringify({ pf, esi, professionalTax: { state: 'KA', amount: 0 } });
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            const docs = collection === 'payroll' ? [
+                {
+                    $id: 'pay-1', employeeId: 'emp-1', month: '2024-01', totalWorkingDays: 31, presentDays: 25, sundayDays: 4,
+                    absentDays: 2, grossSalary: 29000, netSalary: 26600,
+                    statutoryContributions: contributions({ wages: 15000, epsWages: 15000, employee: 1800, employerEps: 1250, employerEpf: 550 }, null)
+                },
+                {
+                    $id: 'pay-2', employeeId: 'emp-2', month: '2024-01', totalWorkingDays: 31, presentDays: 27, sundayDays: 4,
+                    grossSalary: 18000, netSalary: 16200,
+                    statutoryContributions: contributions(
+                        { wages: 9000, epsWages: 9000, employee: 1080, employerEps: 750, employerEpf: 330 },
+                        { wages: 18000, employee: 135, employer: 585 }
+                    )
+                }
+            ] : [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+        mockGetDocument.mockImplementation((dbId, collection, id) => Promise.resolve(
+            id === 'emp-1'
+                ? { $id: 'emp-1', name: 'Asha Rao', uan: '100200300400' }
+                : { $id: 'emp-2', name: 'Ravi Kumar' } // No UAN or IP number yet
+        ));
+
+        const { result } = await run({ action: 'get-statutory-challan', month: '2024-01' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.summary.pf).toEqual({ members: 2, wages: 24000, employeeShare: 2880, employerEps: 2000, employerEpf: 880, total: 5760 });
+        expect(result.data.summary.esi).toEqual({ members: 1, wages: 18000, employeeShare: 135, employerShare: 585, total: 720 });
+        expect(result.data.files).toEqual([{
+            filename: 'PF_ECR_2024-01.txt',
+            contentType: 'text/plain',
+            content: '100200300400#~#ASHA RAO#~#29000#~#15000#~#15000#~#15000#~#1800#~#1250#~#550#~#2#~#0'
+        }]);
+        expect(result.data.missing).toEqual([
+            { employeeId: 'emp-2', employeeName: 'Ravi Kumar', field: 'uan' },
+            { employeeId: 'emp-2', employeeName: 'Ravi Kumar', field: 'esiNumber' }
+        ]);
+    });
+
+    it('Should skip payroll of a deleted employee in the statutory challan', async () => {
+        const contributions = JSON.stringify({
+            pf: { wages: 15000, epsWages: 15000, employee: 1800, employerEps: 1250, employerEpf: 550 },
+            esi: null,
+            professionalTax: null
+        });
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            const docs = collection === 'payroll' ? [
+                { $id: 'pay-1', employeeId: 'emp-1', month: '2024-01', totalWorkingDays: 31, presentDays: 27, sundayDays: 4, grossSalary: 29000, statutoryContributions: contributions },
+                { $id: 'pay-2', employeeId: 'emp-gone', month: '2024-01', totalWorkingDays: 31, presentDays: 27, sundayDays: 4, grossSalary: 29000, statutoryContributions: contributions }
+            ] : [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+        mockGetDocument.mockImplementation((dbId, collection, id) => id === 'emp-1'
+            ? Promise.resolve({ $id: 'emp-1', name: 'Asha Rao', uan: '100200300400' })
+            : Promise.reject(new Error('Document not found')));
+
+        const { result } = await run({ action: 'get-statutory-challan', month: '2024-01' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.summary.pf.members).toBe(1);
+        expect(result.data.files).toHaveLength(1);
+        expect(result.data.skipped).toEqual([{ employeeId: 'emp-gone', reason: 'Employee not found' }]);
+    });
+});
+
+describe('Payslips', () => {
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockCreateDocument.mockImplementation((dbId, collection, id, data) => Promise.resolve({ $id: `${collection}-new`, ...data }));
+        mockUpdateDocument.mockResolvedValue({});
+        vi.setSystemTime(new Date('2024-02-10T06:30:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+    });
+
+    it('Should render a payslip PDF with the net pay in words', async () => {
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            const docs = collection === 'payroll' ? [{
+                $id: 'pay-1', employeeId: 'emp-123', month: '2024-01', isLocked: true, baseSalary: 130000,
+                totalWorkingDays: 31, presentDays: 27, sundayDays: 4,
+                earnings: JSON.stringify([{ code: 'basic', name: 'Basic', amount: 130000 }]),
+                deductions: JSON.stringify([{ code: 'tds', name: 'TDS', amount: 6543.5 }]),
+                grossSalary: 130000, totalDeductions: 6543.5, netSalary: 123456.5
+            }] : [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+        mockGetDocument.mockImplementation((dbId, collection, id) => Promise.resolve(
+            collection === 'settings'
+                ? { $id: id, value: JSON.stringify({ name: 'Acme (India) Pvt Ltd' }) }
+                : { $id: 'emp-123', name: 'John Doe' }
+        ));
+
+        const { result } = await run({ action: 'generate-payslip', employeeId: 'emp-123', month: '2024-01' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data).toMatchObject({ filename: 'payslip-emp-123-2024-01.pdf', contentType: 'application/pdf', encoding: 'base64' });
+        const pdf = Buffer.from(result.data.content, 'base64').toString('latin1');
+        expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+        expect(pdf).toContain('(Acme \\(India\\) Pvt Ltd)');
+        expect(pdf).toContain('(Payslip for January 2024)');
+        expect(pdf).toContain('(Net Pay: Rs. 1,23,456.50)');
+        expect(pdf).toContain('(Rupees One Lakh Twenty Three Thousand Four Hundred Fifty Six and Fifty Paise Only)');
+    });
+
+    it('Should only give employees payslips for locked months', async () => {
+        mockListDocuments.mockImplementation((dbId, collection) => Promise.resolve(collection === 'payroll'
+            ? { total: 1, documents: [{ $id: 'pay-1', employeeId: 'emp-123', month: '2024-02', isLocked: false, netSalary: 10000 }] }
+            : { total: 0, documents: [] }));
+
+        const { result } = await run({ action: 'get-my-payslip', month: '2024-02' }, { userId: 'emp-123' });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toBe('Payslip for 2024-02 is available once payroll is locked');
+        expect(mockListDocuments).toHaveBeenCalledWith('test-db-id', 'payroll', expect.arrayContaining([
+            expect.objectContaining({ type: 'equal', field: 'employeeId', value: 'emp-123' })
+        ]));
+    });
+});
+
+describe('Bank Transfer Export', () => {
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockCreateDocument.mockImplementation((dbId, collection, id, data) => Promise.resolve({ $id: `${collection}-new`, ...data }));
+        mockUpdateDocument.mockResolvedValue({});
+        vi.setSystemTime(new Date('2024-02-10T06:30:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+    });
+
+    it('Should export an HDFC bank file for locked payroll and list who was left out', async () => {
+        const employees = {
+            'emp-1': { $id: 'emp-1', name: 'Asha Rao', bankAccountNumber: '50100123456789', bankIfsc: 'HDFC0001234' },
+            'emp-2': { $id: 'emp-2', name: 'Ravi Kumar', beneficiaryName: 'R Kumar', bankAccountNumber: '123456789012', bankIfsc: 'SBIN0005678' },
+            'emp-3': { $id: 'emp-3', name: 'Meena Shah' }
+        };
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            const docs = collection === 'payroll' ? [
+                { $id: 'pay-1', employeeId: 'emp-1', month: '2024-01', isLocked: true, netSalary: 29000 },
+                { $id: 'pay-2', employeeId: 'emp-2', month: '2024-01', isLocked: true, netSalary: 15400.5 },
+                { $id: 'pay-3', employeeId: 'emp-3', month: '2024-01', isLocked: true, netSalary: 12000 }
+            ] : [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+        mockGetDocument.mockImplementation((dbId, collection, id) => (collection === 'employees'
+            ? Promise.resolve(employees[id])
+            : Promise.reject(Object.assign(new Error('Document not found'), { code: 404 }))));
+
+        const { result } = await run({
+            action: 'export-bank-transfer', month: '2024-01', format: 'hdfc', paymentDate: '2024-02-01'
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.summary).toEqual({ employees: 2, totalAmount: 44400.5 });
+        expect(result.data.skipped).toEqual([{ employeeId: 'emp-3', employeeName: 'Meena Shah', reason: 'Missing bank details' }]);
+        const rows = result.data.content.trim().split('\n').map(line => line.split(','));
+        expect(rows).toHaveLength(2);
+        expect(rows[0].slice(0, 5)).toEqual(['I', 'emp-1', '50100123456789', '29000.00', 'Asha Rao']);
+        expect(rows[1].slice(0, 5)).toEqual(['N', 'emp-2', '123456789012', '15400.50', 'R Kumar']);
+        expect(rows[1][22]).toBe('01/02/2024');
+        expect(rows[1][24]).toBe('SBIN0005678');
+        expect(mockCreateDocument).toHaveBeenCalledWith('test-db-id', 'audit', expect.anything(),
+            expect.objectContaining({ action: 'bank-transfer-exported' }));
+    });
+
+    it('Should skip a deleted employee and reject inherited names as bank file formats', async () => {
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            const docs = collection === 'payroll' ? [
+                { $id: 'pay-1', employeeId: 'emp-1', month: '2024-01', isLocked: true, netSalary: 29000 },
+                { $id: 'pay-2', employeeId: 'emp-gone', month: '2024-01', isLocked: true, netSalary: 12000 }
+            ] : [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+        mockGetDocument.mockImplementation((dbId, collection, id) => (collection === 'employees' && id === 'emp-1'
+            ? Promise.resolve({ $id: 'emp-1', name: 'Asha Rao', bankAccountNumber: '50100123456789', bankIfsc: 'HDFC0001234' })
+            : Promise.reject(Object.assign(new Error('Document not found'), { code: 404 }))));
+
+        const { result: invalid } = await run({ action: 'export-bank-transfer', month: '2024-01', format: 'toString' }, { userId: 'admin-123' });
+        expect(invalid.success).toBe(false);
+        expect(invalid.message).toMatch(/^format must be one of/);
+
+        const { result } = await run({ action: 'export-bank-transfer', month: '2024-01', paymentDate: '2024-02-01' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.summary).toEqual({ employees: 1, totalAmount: 29000 });
+        expect(result.data.skipped).toEqual([{ employeeId: 'emp-gone', reason: 'Employee not found' }]);
+    });
+});
+
+describe('Payroll Preview', () => {
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockCreateDocument.mockImplementation((dbId, collection, id, data) => Promise.resolve({ $id: `${collection}-new`, ...data }));
+        mockUpdateDocument.mockResolvedValue({});
+        vi.setSystemTime(new Date('2024-02-10T06:30:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+    });
+
+    it('Should preview payroll without writing anything and flag what needs attention', async () => {
+        mockPayrollData({
+            attendance: [{
+                $id: 'att-15',
+                employeeId: 'emp-123',
+                date: '2024-01-15',
+                status: 'present',
+                checkInTime: '2024-01-15T03:30:00.000Z',
+                isLocationFlagged: true,
+                isLocked: false
+            }],
+            leaves: [{ $id: 'leave-1', employeeId: 'emp-123', date: '2024-01-22', endDate: '2024-01-23', type: 'casual', status: 'pending' }]
+        });
+
+        const { result } = await run({ action: 'preview-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockCreateDocument).not.toHaveBeenCalled();
+        expect(mockUpdateDocument).not.toHaveBeenCalled();
+        expect(result.data.totalPayout).toBe('5000.00'); // 1 present + 4 Sundays
+        const [preview] = result.data.employees;
+        expect(preview).toMatchObject({ employeeId: 'emp-123', presentDays: 1, sundayDays: 4, absentDays: 26, netSalary: 5000 });
+        expect(preview.autoMarkedDays).toHaveLength(30);
+        expect(preview.autoMarkedDays[0]).toEqual({ date: '2024-01-01', status: 'absent', notes: 'Auto-marked' });
+        expect(preview.warnings.map(w => [w.type, w.date])).toEqual([
+            ['missing-checkout', '2024-01-15'],
+            ['location-flagged', '2024-01-15'],
+            ['pending-leave', '2024-01-22']
+        ]);
+    });
+});
+
+describe('Salary Revisions', () => {
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockCreateDocument.mockImplementation((dbId, collection, id, data) => Promise.resolve({ $id: `${collection}-new`, ...data }));
+        mockUpdateDocument.mockResolvedValue({});
+        vi.setSystemTime(new Date('2024-02-10T06:30:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+    });
+
+    it('Should prorate a month with a mid-month salary revision and pay pending arrears', async () => {
+        mockPayrollData({
+            attendance: fullMonthAttendance(),
+            employeeData: { salaryMonthly: 62000 },
+            revisions: [{ $id: 'rev-1', employeeId: 'emp-123', effectiveFrom: '2024-01-16', salaryMonthly: 62000, previousSalary: 31000 }],
+            arrears: [{ $id: 'arr-1', employeeId: 'emp-123', month: '2023-12', amount: 500, status: 'pending' }]
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        const payroll = generatedPayroll();
+        expect(payroll.baseSalary).toBe(47000); // 15 days at 31000 + 16 days at 62000
+        expect(JSON.parse(payroll.salaryPeriods)).toEqual([
+            { from: '2024-01-01', to: '2024-01-15', salaryMonthly: 31000 },
+            { from: '2024-01-16', to: '2024-01-31', salaryMonthly: 62000 }
+        ]);
+        expect(payroll.arrearsPay).toBe(500);
+        expect(payroll.netSalary).toBe(47500);
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'salary_arrears', 'arr-1',
+            expect.objectContaining({ status: 'paid', paidInMonth: '2024-01' }));
+    });
+
+    it('Should raise arrears for locked months and recalculate open ones on a back-dated revision', async () => {
+        mockGetDocument.mockResolvedValue({ $id: 'emp-123', name: 'John Doe', salaryMonthly: 31000 });
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            const docs = collection === 'payroll' ? [
+                { $id: 'pay-1', employeeId: 'emp-123', month: '2024-01', isLocked: true, baseSalary: 31000, dailyRate: 1000, presentDays: 27, sundayDays: 4, grossSalary: 31000, netSalary: 31000 },
+                { $id: 'pay-2', employeeId: 'emp-123', month: '2024-02', isLocked: false, baseSalary: 31000, dailyRate: 31000 / 29, presentDays: 25, sundayDays: 4, grossSalary: 31000, netSalary: 31000 }
+            ] : [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+
+        const { result } = await run({
+            action: 'update-employee',
+            employeeId: 'emp-123',
+            data: { salary: 62000, salaryEffectiveFrom: '2024-01-16', salaryReason: 'Promotion' }
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.salaryRevision).toMatchObject({
+            previousSalary: 31000,
+            currentSalary: 62000,
+            recalculatedMonths: ['2024-02'],
+            arrears: [{ month: '2024-01', amount: 16000 }]
+        });
+        expect(mockCreateDocument).toHaveBeenCalledWith('test-db-id', 'salary_revisions', expect.anything(),
+            expect.objectContaining({ employeeId: 'emp-123', effectiveFrom: '2024-01-16', salaryMonthly: 62000, previousSalary: 31000 }));
+        expect(mockCreateDocument).toHaveBeenCalledWith('test-db-id', 'salary_arrears', expect.anything(),
+            expect.objectContaining({ month: '2024-01', payrollId: 'pay-1', amount: 16000, status: 'pending' }));
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'payroll', 'pay-2',
+            expect.objectContaining({ baseSalary: 62000, netSalary: 62000 }));
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'employees', 'emp-123',
+            expect.objectContaining({ salaryMonthly: 62000 }));
+    });
+
+    it('Should only pay arrears for earlier months', async () => {
+        mockPayrollData({
+            attendance: fullMonthAttendance(),
+            arrears: [
+                { $id: 'arr-1', employeeId: 'emp-123', month: '2023-12', amount: 500, status: 'pending' },
+                { $id: 'arr-2', employeeId: 'emp-123', month: '2024-01', amount: 800, status: 'pending' }
+            ]
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        expect(generatedPayroll().arrearsPay).toBe(500);
+        expect(mockUpdateDocument).not.toHaveBeenCalledWith('test-db-id', 'salary_arrears', 'arr-2', expect.anything());
+    });
+
+    it('Should reopen arrears paid by a deleted payroll and void the month\'s own arrears', async () => {
+        const arrears = [
+            { $id: 'arr-1', employeeId: 'emp-123', month: '2023-12', amount: 500, status: 'paid', paidInMonth: '2024-01', payrollId: 'pay-1' },
+            { $id: 'arr-2', employeeId: 'emp-123', month: '2024-01', amount: 800, status: 'pending', payrollId: 'pay-1' }
+        ];
+        mockListDocuments.mockImplementation((dbId, collection, queries = []) => {
+            const matches = (doc) => queries.every(q => q.type !== 'equal' || doc[q.field] === q.value);
+            const docs = {
+                payroll: [{ $id: 'pay-1', employeeId: 'emp-123', month: '2024-01', isLocked: false }],
+                salary_arrears: arrears
+            }[collection] || [];
+            const found = docs.filter(matches);
+            return Promise.resolve({ total: found.length, documents: found });
+        });
+
+        const { result } = await run({
+            action: 'delete-payroll', month: '2024-01', reason: 'Regenerating after revision'
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data).toMatchObject({ deletedPayrollRecords: 1, reopenedArrears: 1, voidedArrears: 1 });
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'salary_arrears', 'arr-1',
+            { status: 'pending', paidInMonth: null, payrollId: null });
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'salary_arrears', 'arr-2', { status: 'void' });
+        expect(mockDeleteDocument).toHaveBeenCalledWith('test-db-id', 'payroll', 'pay-1');
+    });
+
+    it('Should recover arrears a later payroll paid for a month that is regenerated', async () => {
+        const arrears = [
+            { $id: 'arr-1', employeeId: 'emp-123', month: '2024-01', amount: 16000, status: 'paid', paidInMonth: '2024-02', payrollId: 'pay-2' }
+        ];
+        mockListDocuments.mockImplementation((dbId, collection, queries = []) => {
+            const matches = (doc) => queries.every(q => q.type !== 'equal' || doc[q.field] === q.value);
+            const docs = {
+                payroll: [{ $id: 'pay-1', employeeId: 'emp-123', month: '2024-01', isLocked: false }],
+                salary_arrears: arrears
+            }[collection] || [];
+            const found = docs.filter(matches);
+            return Promise.resolve({ total: found.length, documents: found });
+        });
+
+        const { result } = await run({
+            action: 'delete-payroll', month: '2024-01', reason: 'Regenerating after revision'
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data).toMatchObject({ reopenedArrears: 0, voidedArrears: 0, recoveredArrears: 1 });
+        expect(mockUpdateDocument).not.toHaveBeenCalledWith('test-db-id', 'salary_arrears', 'arr-1', expect.anything());
+        // The regenerated month pays the revised salary, so the next payroll takes the arrear back
+        expect(mockCreateDocument).toHaveBeenCalledWith('test-db-id', 'salary_arrears', expect.anything(),
+            expect.objectContaining({ employeeId: 'emp-123', month: '2024-01', amount: -16000, status: 'pending' }));
+    });
+});
+
+describe('Payable Days', () => {
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mockListMemberships.mockResolvedValue({ total: 1 });
+        mockCreateDocument.mockImplementation((dbId, collection, id, data) => Promise.resolve({ $id: `${collection}-new`, ...data }));
+        mockUpdateDocument.mockResolvedValue({});
+        vi.setSystemTime(new Date('2024-02-10T06:30:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        mockListDocuments.mockResolvedValue({ total: 0, documents: [] });
+        mockGetDocument.mockResolvedValue({});
+    });
+
+    it('Should work out the daily rate on the organisation\'s fixed 26-day basis', async () => {
+        mockPayrollData({
+            attendance: fullMonthAttendance().filter(a => a.date !== '2024-01-15'),
+            settings: { payroll: { payableDaysBasis: 'fixed-26' } }
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        const payroll = generatedPayroll();
+        expect(payroll).toMatchObject({ payableDaysBasis: 'fixed-26', basisDays: 26, absentDays: 1 });
+        expect(payroll.dailyRate).toBeCloseTo(31000 / 26);
+        expect(payroll.netSalary).toBe(29807.69); // Full salary less one day at 31000 / 26
+    });
+
+    it('Should let an employee\'s working-days basis override the organisation\'s', async () => {
+        mockPayrollData({
+            attendance: fullMonthAttendance().filter(a => a.date !== '2024-01-15'),
+            employeeData: { payableDaysBasis: 'working-days' },
+            settings: { payroll: { payableDaysBasis: 'fixed-30' } }
+        });
+
+        await run({ action: 'generate-payroll', month: '2024-01' }, { userId: 'admin-123' });
+
+        const payroll = generatedPayroll();
+        expect(payroll).toMatchObject({ payableDaysBasis: 'working-days', basisDays: 27 }); // 31 days less 4 Sundays
+        expect(payroll.netSalary).toBe(29851.85);
+
+        mockGetDocument.mockResolvedValue({ $id: 'emp-123', name: 'John Doe', salaryMonthly: 31000 });
+        const { result } = await run({
+            action: 'update-employee', employeeId: 'emp-123', data: { payableDaysBasis: 'fixed-28' }
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(false);
+        expect(result.message).toContain('payableDaysBasis must be one of');
+    });
+
+    it('Should recalculate unlocked payroll when an employee\'s payable-days basis changes', async () => {
+        mockGetDocument.mockImplementation((dbId, collection) => (collection === 'employees'
+            ? Promise.resolve({ $id: 'emp-123', name: 'John Doe', salaryMonthly: 29000 })
+            : Promise.reject(Object.assign(new Error('Document not found'), { code: 404 }))));
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            const docs = collection === 'payroll' ? [{
+                $id: 'pay-2', employeeId: 'emp-123', month: '2024-02', isLocked: false, baseSalary: 29000,
+                totalWorkingDays: 29, payableDaysBasis: 'calendar', basisDays: 29, dailyRate: 1000,
+                presentDays: 24, sundayDays: 4, absentDays: 1, grossSalary: 28000, netSalary: 28000
+            }] : [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+
+        const { result } = await run({
+            action: 'update-employee', employeeId: 'emp-123', data: { payableDaysBasis: 'fixed-26' }
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.basisRecalculatedMonths).toEqual(['2024-02']);
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'payroll', 'pay-2', expect.objectContaining({
+            payableDaysBasis: 'fixed-26',
+            basisDays: 26,
+            dailyRate: 29000 / 26,
+            netSalary: 27884.62 // Full salary less one day at 29000 / 26
+        }));
+    });
+
+    it('Should end a mid-month joiner\'s payroll period on their termination day', async () => {
+        mockGetDocument.mockImplementation((dbId, collection) => (collection === 'employees'
+            ? Promise.resolve({ $id: 'emp-123', name: 'John Doe', salaryMonthly: 29000, joinDate: '2024-02-05', isActive: true })
+            : Promise.reject(Object.assign(new Error('Document not found'), { code: 404 }))));
+        mockListDocuments.mockImplementation((dbId, collection) => {
+            const docs = collection === 'payroll' ? [{
+                $id: 'pay-2', employeeId: 'emp-123', month: '2024-02', isLocked: false, baseSalary: 29000,
+                totalWorkingDays: 6, payableDaysBasis: 'fixed-26', basisDays: 26, dailyRate: 29000 / 26,
+                presentDays: 5, sundayDays: 1
+            }] : [];
+            return Promise.resolve({ total: docs.length, documents: docs });
+        });
+
+        const { result } = await run({
+            action: 'terminate-employee', employeeId: 'emp-123', terminationDate: '2024-02-20', reason: 'Resigned'
+        }, { userId: 'admin-123' });
+
+        expect(result.success).toBe(true);
+        expect(mockUpdateDocument).toHaveBeenCalledWith('test-db-id', 'payroll', 'pay-2',
+            expect.objectContaining({ totalWorkingDays: 16 })); // 5 to 20 February
+    });
 });
 
 describe('System Info', () => {
@@ -0,0 +1,110 @@
+/**
+ * Bank Transfer File Utilities
+ * Bulk salary payment files for upload to bank portals
+ */
+
+import { toCSVField } from './csv.js';
+
+/**
+ * Join rows of fields into CSV
+ * @param {Array} rows - Rows of field values
+ * @returns {string} - CSV content
+ */
+const toCSV = (rows) => rows.map(row => row.map(toCSVField).join(',')).join('\n') + '\n';
+
+/**
+ * Convert YYYY-MM-DD to DD/MM/YYYY (or another separator)
+ * @param {string} date - Date string
+ * @param {string} separator - Separator
+ * @returns {string} - Bank date
+ */
+const toBankDate = (date, separator = '/') => date.split('-').reverse().join(separator);
+
+/**
+ * Generic NEFT CSV with a header row
+ * @param {Array} payments - [{ beneficiaryName, accountNumber, ifsc, amount, narration, reference }]
+ * @param {Object} options - { paymentDate }
+ * @returns {string} - CSV content
+ */
+const buildNeftCSV = (payments, options) => toCSV([
+    ['Sr No', 'Beneficiary Name', 'Account Number', 'IFSC', 'Amount', 'Payment Date', 'Narration', 'Reference'],
+    ...payments.map((p, index) => [
+        index + 1, p.beneficiaryName, p.accountNumber, p.ifsc, p.amount.toFixed(2),
+        toBankDate(options.paymentDate), p.narration, p.reference
+    ])
+]);
+
+/**
+ * HDFC Bank bulk upload (ENet), no header row
+ * Transfers to HDFC accounts go as internal transfers (I), the rest by NEFT (N).
+ * Columns: type, beneficiary code, account, amount, name, drawee/print location,
+ * address 1-5, instruction ref, customer ref, payment details 1-7, cheque no, date,
+ * MICR, IFSC, bank name, branch, email.
+ * @param {Array} payments - [{ beneficiaryName, accountNumber, ifsc, amount, narration, reference }]
+ * @param {Object} options - { paymentDate }
+ * @returns {string} - CSV content
+ */
+const buildHdfcFile = (payments, options) => toCSV(payments.map(p => [
+    p.ifsc.startsWith('HDFC') ? 'I' : 'N',
+    p.beneficiaryCode,
+    p.accountNumber,
+    p.amount.toFixed(2),
+    p.beneficiaryName,
+    '', '',
+    '', '', '', '', '',
+    '',
+    p.reference,
+    p.narration, '', '', '', '', '', '',
+    '',
+    toBankDate(options.paymentDate),
+    '',
+    p.ifsc,
+    '', '', ''
+]));
+
+/**
+ * ICICI Bank corporate bulk payment CSV with a header row
+ * Transfers to ICICI accounts go as fund transfers (FT), the rest by NEFT.
+ * @param {Array} payments - [{ beneficiaryName, accountNumber, ifsc, amount, narration, reference }]
+ * @param {Object} options - { paymentDate, debitAccountNumber }
+ * @returns {string} - CSV content
+ */
+const buildIciciFile = (payments, options) => toCSV([
+    ['PYMT_PROD_TYPE_CODE', 'PYMT_MODE', 'DEBIT_ACC_NO', 'BNF_NAME', 'BENE_ACC_NO', 'BENE_IFSC', 'AMOUNT',
+        'DEBIT_NARR', 'CREDIT_NARR', 'MOBILE_NUM', 'EMAIL_ID', 'REMARK', 'PYMT_DATE', 'REF_NO'],
+    ...payments.map(p => [
+        'PAB_VENDOR',
+        p.ifsc.startsWith('ICIC') ? 'FT' : 'NEFT',
+        options.debitAccountNumber,
+        p.beneficiaryName,
+        p.accountNumber,
+        p.ifsc,
+        p.amount.toFixed(2),
+        p.narration,
+        p.narration,
+        '', '', '',
+        toBankDate(options.paymentDate, '-'),
+        p.reference
+    ])
+]);
+
+/**
+ * Supported bank file formats
+ * `requiresDebitAccount`: the file names the company account the salaries are paid from
+ */
+export const BANK_FILE_FORMATS = {
+    'neft-csv': { label: 'Generic NEFT CSV', requiresDebitAccount: false, build: buildNeftCSV },
+    hdfc: { label: 'HDFC Bank bulk upload', requiresDebitAccount: false, build: buildHdfcFile },
+    icici: { label: 'ICICI Bank bulk payment', requiresDebitAccount: true, build: buildIciciFile }
+};
+
+/**
+ * Build a bulk salary transfer file
+ * @param {string} format - Key of BANK_FILE_FORMATS
+ * @param {Array} payments - [{ beneficiaryCode, beneficiaryName, accountNumber, ifsc, amount, narration, reference }]
+ * @param {Object} options - { paymentDate (YYYY-MM-DD), debitAccountNumber }
+ * @returns {string} - File content
+ */
+export const buildBankTransferFile = (format, payments, options) => {
+    return BANK_FILE_FORMATS[format].build(payments, options);
+};
@@ -0,0 +1,228 @@
+/**
+ * Calendar Utilities
+ * Parse holiday lists from iCalendar (.ics) / CSV and build .ics feeds
+ */
+
+/**
+ * Unfold and split iCalendar content into lines
+ * Long lines continue on the next line starting with a space or tab (RFC 5545 3.1)
+ * @param {string} content - Raw .ics content
+ * @returns {string[]} - Unfolded lines
+ */
+const unfoldLines = (content) => {
+    return String(content)
+        .replace(/\r\n/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n');
+};
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {string} value - Escaped text
+ * @returns {string} - Plain text
+ */
+const unescapeText = (value) => {
+    return value.replace(/\\([\\;,nN])/g, (match, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+};
+
+/**
+ * Escape text for an iCalendar TEXT value
+ * @param {string} value - Plain text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (value) => {
+    return String(value).replace(/([\\;,])/g, '\\$1').replace(/\n/g, '\\n');
+};
+
+/**
+ * Convert an iCalendar date (20240126 or 20240126T000000Z) to YYYY-MM-DD
+ * @param {string} value - DTSTART/DTEND value
+ * @returns {string|null} - Date string, or null if not a date
+ */
+const toDateString = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest event expanded into holidays; longer ones are reported as invalid rows
+export const MAX_EVENT_DAYS = 31;
+
+/**
+ * Parse holidays from iCalendar content
+ * Each VEVENT gives one holiday per day it covers (DTEND is exclusive for all-day events);
+ * events with a yearly RRULE are marked recurring.
+ * @param {string} content - Raw .ics content
+ * @returns {Array} - [{ line, date, name, isRecurring, error }], `date` null when DTSTART is missing/invalid
+ *                    and `error` set for events that cannot be imported
+ */
+export const parseICS = (content) => {
+    const holidays = [];
+    let event = null;
+
+    unfoldLines(content).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line === 'BEGIN:VEVENT') {
+            event = { line: index + 1 };
+            return;
+        }
+        if (!event) return;
+
+        if (line === 'END:VEVENT') {
+            const start = toDateString(event.start);
+            const end = toDateString(event.end);
+            const name = event.summary || '';
+            const isRecurring = /(^|;)FREQ=YEARLY(;|$)/i.test(event.rrule || '');
+            const spanDays = start && end
+                ? (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS
+                : 1;
+            if (!start) {
+                holidays.push({ line: event.line, date: null, name, isRecurring });
+            } else if (!(spanDays <= MAX_EVENT_DAYS)) {
+                // Also catches unparseable dates (NaN) before expanding day by day
+                holidays.push({
+                    line: event.line, date: start, name, isRecurring,
+                    error: `Event spans more than ${MAX_EVENT_DAYS} days`
+                });
+            } else {
+                // Multi-day events cover start..end-1
+                let date = start;
+                do {
+                    holidays.push({ line: event.line, date, name, isRecurring });
+                    const next = new Date(`${date}T00:00:00Z`);
+                    next.setUTCDate(next.getUTCDate() + 1);
+                    date = next.toISOString().slice(0, 10);
+                } while (end && date < end);
+            }
+            event = null;
+            return;
+        }
+
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const property = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+
+        if (property === 'DTSTART') event.start = value;
+        else if (property === 'DTEND') event.end = value;
+        else if (property === 'SUMMARY') event.summary = unescapeText(value).trim();
+        else if (property === 'RRULE') event.rrule = value;
+    });
+
+    return holidays;
+};
+
+/**
+ * Split one CSV line into fields (double-quoted fields may contain commas and "")
+ * @param {string} line - CSV line
+ * @returns {string[]} - Fields
+ */
+const splitCSVLine = (line) => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+};
+
+/**
+ * Parse holidays from CSV with columns date, name, scope (a header row is optional)
+ * @param {string} content - Raw CSV content
+ * @returns {Array} - [{ line, date, name, scope }]
+ */
+export const parseHolidayCSV = (content) => {
+    const rows = [];
+
+    String(content).replace(/\r\n/g, '\n').split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        const [date = '', name = '', scope = ''] = splitCSVLine(line);
+        if (index === 0 && date.toLowerCase() === 'date') return; // Header
+        rows.push({ line: index + 1, date, name, scope });
+    });
+
+    return rows;
+};
+
+/**
+ * Parse a holiday scope: space- or semicolon-separated tokens
+ * `optional`, `recurring` (every year), `office:<officeLocationId>`, `region:<region>`;
+ * empty or `all` = everyone
+ * @param {string} scope - Scope text
+ * @returns {Object} - { officeLocationId, region, isOptional, isRecurring } or { error }
+ */
+export const parseHolidayScope = (scope) => {
+    const result = { officeLocationId: null, region: null, isOptional: false, isRecurring: false };
+
+    for (const token of String(scope || '').split(/[\s;]+/).filter(Boolean)) {
+        const [kind, ...rest] = token.split(':');
+        const value = rest.join(':');
+        if (kind.toLowerCase() === 'all' && !value) continue;
+        if (kind.toLowerCase() === 'optional' && !value) result.isOptional = true;
+        else if (kind.toLowerCase() === 'recurring' && !value) result.isRecurring = true;
+        else if (kind.toLowerCase() === 'office' && value) result.officeLocationId = value;
+        else if (kind.toLowerCase() === 'region' && value) result.region = value;
+        else return { error: `Unknown scope "${token}"` };
+    }
+
+    return result;
+};
+
+/**
+ * Build an iCalendar feed of all-day holiday events
+ * @param {Array} holidays - [{ $id, date, name, isOptional }]
+ * @param {string} calendarName - Calendar display name
+ * @returns {string} - .ics content (CRLF line endings)
+ */
+export const buildHolidayICS = (holidays, calendarName = 'Holidays') => {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Attendance Guardian//Holidays//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(calendarName)}`
+    ];
+
+    holidays.forEach(holiday => {
+        const start = holiday.date.replace(/-/g, '');
+        const next = new Date(`${holiday.date}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + 1);
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${holiday.$id ? `${holiday.$id}-${start}` : start}@attendance-guardian`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${start}`,
+            `DTEND;VALUE=DATE:${next.toISOString().slice(0, 10).replace(/-/g, '')}`,
+            `SUMMARY:${escapeText(holiday.isOptional ? `${holiday.name} (optional)` : holiday.name)}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.join('\r\n') + '\r\n';
+};
@@ -0,0 +1,14 @@
+/**
+ * CSV Utilities
+ * Shared by the files the API builds for download (bank transfers, statutory challans)
+ */
+
+/**
+ * Quote a CSV field when it contains a comma, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+export const toCSVField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
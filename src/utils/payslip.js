@@ -0,0 +1,158 @@
+/**
+ * Payslip Utilities
+ * Amounts in words (Indian numbering) and the payslip PDF layout
+ */
+
+import { buildPDF, PAGE_WIDTH, PAGE_HEIGHT } from './pdf.js';
+
+const ONES = [
+    '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+/**
+ * Words for 0-999 (empty for 0)
+ * @param {number} n - Number below 1000
+ * @returns {string} - Words
+ */
+const hundredsToWords = (n) => {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const restWords = rest < 20 ? ONES[rest] : `${TENS[Math.floor(rest / 10)]}${rest % 10 ? ` ${ONES[rest % 10]}` : ''}`;
+    return [hundreds ? `${ONES[hundreds]} Hundred` : '', restWords].filter(Boolean).join(' ');
+};
+
+/**
+ * Whole number in words with Indian grouping (thousand, lakh, crore)
+ * @param {number} n - Non-negative integer
+ * @returns {string} - Words, e.g. "Twelve Lakh Thirty Four Thousand Five Hundred"
+ */
+export const numberToWords = (n) => {
+    if (n === 0) return 'Zero';
+
+    const crore = Math.floor(n / 10000000);
+    const lakh = Math.floor(n / 100000) % 100;
+    const thousand = Math.floor(n / 1000) % 100;
+    const rest = n % 1000;
+
+    return [
+        crore ? `${numberToWords(crore)} Crore` : '',
+        lakh ? `${hundredsToWords(lakh)} Lakh` : '',
+        thousand ? `${hundredsToWords(thousand)} Thousand` : '',
+        hundredsToWords(rest)
+    ].filter(Boolean).join(' ');
+};
+
+/**
+ * Rupee amount in words
+ * @param {number} amount - Amount in rupees
+ * @returns {string} - e.g. "Rupees Twenty Nine Thousand and Fifty Paise Only"
+ */
+export const amountInWords = (amount) => {
+    const paiseTotal = Math.round(Math.max(0, amount) * 100);
+    const rupees = Math.floor(paiseTotal / 100);
+    const paise = paiseTotal % 100;
+    return `Rupees ${numberToWords(rupees)}${paise ? ` and ${hundredsToWords(paise)} Paise` : ''} Only`;
+};
+
+/**
+ * Format an amount with Indian digit grouping and two decimals
+ * @param {number} amount - Amount
+ * @returns {string} - e.g. "1,23,456.00"
+ */
+const formatAmount = (amount) => {
+    return (amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+/**
+ * Build a payslip PDF
+ * @param {Object} payslip - { company: { name, address }, monthLabel, employee: [[label, value]],
+ *                            attendance: [[label, value]], earnings: [{ name, amount }],
+ *                            deductions: [{ name, amount }], grossSalary, totalDeductions, netSalary }
+ * @returns {Buffer} - PDF file
+ */
+export const buildPayslipPDF = (payslip) => {
+    const left = 40;
+    const right = PAGE_WIDTH - 40;
+    const middle = PAGE_WIDTH / 2;
+    const items = [];
+    const text = (x, y, value, options = {}) => items.push({ type: 'text', x, y, text: String(value), size: 10, ...options });
+    const rule = (y, width) => items.push({ type: 'line', x1: left, y1: y, x2: right, y2: y, width });
+    let y = PAGE_HEIGHT - 50;
+
+    // Company header
+    if (payslip.company.name) {
+        text(left, y, payslip.company.name, { size: 16, bold: true });
+        y -= 16;
+    }
+    if (payslip.company.address) {
+        text(left, y, payslip.company.address, { size: 9 });
+        y -= 14;
+    }
+    text(left, y - 6, `Payslip for ${payslip.monthLabel}`, { size: 12, bold: true });
+    y -= 18;
+    rule(y, 1);
+    y -= 20;
+
+    // Label/value pairs in two columns
+    const pairs = (list) => {
+        list.forEach(([label, value], index) => {
+            const x = index % 2 === 0 ? left : middle + 10;
+            text(x, y, `${label}:`, { bold: true });
+            text(x + 110, y, value === undefined || value === null || value === '' ? '-' : value);
+            if (index % 2 === 1 || index === list.length - 1) y -= 16;
+        });
+    };
+
+    pairs(payslip.employee);
+    y -= 6;
+    text(left, y, 'Attendance', { size: 11, bold: true });
+    y -= 18;
+    pairs(payslip.attendance);
+    y -= 6;
+
+    // Earnings and deductions side by side
+    rule(y);
+    y -= 16;
+    text(left, y, 'Earnings', { bold: true });
+    text(middle - 10, y, 'Amount', { bold: true, align: 'right' });
+    text(middle + 10, y, 'Deductions', { bold: true });
+    text(right, y, 'Amount', { bold: true, align: 'right' });
+    y -= 8;
+    rule(y);
+    y -= 16;
+
+    const rows = Math.max(payslip.earnings.length, payslip.deductions.length, 1);
+    for (let i = 0; i < rows; i++) {
+        const earning = payslip.earnings[i];
+        const deduction = payslip.deductions[i];
+        if (earning) {
+            text(left, y, earning.name);
+            text(middle - 10, y, formatAmount(earning.amount), { align: 'right' });
+        }
+        if (deduction) {
+            text(middle + 10, y, deduction.name);
+            text(right, y, formatAmount(deduction.amount), { align: 'right' });
+        }
+        y -= 16;
+    }
+
+    rule(y + 8);
+    y -= 8;
+    text(left, y, 'Gross Earnings', { bold: true });
+    text(middle - 10, y, formatAmount(payslip.grossSalary), { bold: true, align: 'right' });
+    text(middle + 10, y, 'Total Deductions', { bold: true });
+    text(right, y, formatAmount(payslip.totalDeductions), { bold: true, align: 'right' });
+    y -= 10;
+    rule(y);
+    y -= 24;
+
+    text(left, y, `Net Pay: Rs. ${formatAmount(payslip.netSalary)}`, { size: 12, bold: true });
+    y -= 16;
+    text(left, y, amountInWords(payslip.netSalary), { size: 9 });
+
+    text(left, 40, 'This is a computer-generated payslip and does not require a signature.', { size: 8 });
+
+    return buildPDF(items);
+};
@@ -0,0 +1,82 @@
+/**
+ * PDF Utilities
+ * Minimal single-page PDF writer for text and rules, using the standard Helvetica
+ * fonts (no embedding, no compression)
+ */
+
+// A4 in points
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+// Helvetica advance widths (1/1000 em) for the characters amounts are made of;
+// anything else uses an average width
+const CHAR_WIDTHS = { ' ': 278, ',': 278, '.': 278, '-': 333, '(': 333, ')': 333 };
+const DIGIT_WIDTH = 556;
+const AVERAGE_WIDTH = 556;
+
+/**
+ * Approximate width of a text in Helvetica
+ * @param {string} text - Text
+ * @param {number} size - Font size in points
+ * @returns {number} - Width in points
+ */
+export const measureText = (text, size) => {
+    let units = 0;
+    for (const ch of String(text)) {
+        units += CHAR_WIDTHS[ch] || (ch >= '0' && ch <= '9' ? DIGIT_WIDTH : AVERAGE_WIDTH);
+    }
+    return units * size / 1000;
+};
+
+/**
+ * Escape text for a PDF string literal; characters outside Latin-1 become "?"
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapePDFText = (text) => {
+    return String(text)
+        .replace(/[^\x20-\xff]/g, '?')
+        .replace(/([\\()])/g, '\\$1');
+};
+
+/**
+ * Build a one-page PDF
+ * @param {Array} items - [{ type: 'text', x, y, text, size, bold, align: 'left'|'right' }
+ *                         | { type: 'line', x1, y1, x2, y2, width }], coordinates from the bottom left
+ * @returns {Buffer} - PDF file
+ */
+export const buildPDF = (items) => {
+    const content = items.map(item => {
+        if (item.type === 'line') {
+            return `${item.width || 0.5} w ${item.x1} ${item.y1} m ${item.x2} ${item.y2} l S`;
+        }
+        const size = item.size || 10;
+        const x = item.align === 'right' ? item.x - measureText(item.text, size) : item.x;
+        return `BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${item.y} Td (${escapePDFText(item.text)}) Tj ET`;
+    }).join('\n');
+
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+    ];
+
+    // Byte offsets of each object for the cross-reference table
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => { pdf += `${String(offset).padStart(10, '0')} 00000 n \n`; });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+};
@@ -76,8 +76,8 @@ export const ERROR_MESSAGES = {
     [ERROR_CODES.INVALID_SIGNATURE]: 'Invalid signature. Device not authorized.',
     [ERROR_CODES.DUPLICATE_CHECK_IN]: 'You have already checked in today.',
     [ERROR_CODES.DUPLICATE_CHECK_OUT]: 'You have already checked out today.',
-    [ERROR_CODES.LATE_CHECK_IN]: '⛔ Late Entry! Check-in closes at 9:05 AM.',
-    [ERROR_CODES.CHECKOUT_WINDOW_BLOCKED]: '⛔ Check-out disabled from 4:00 PM to 5:25 PM. Please try again after 5:25 PM.',
+    [ERROR_CODES.LATE_CHECK_IN]: '⛔ Late Entry! Check-in window for your shift has closed.',
+    [ERROR_CODES.CHECKOUT_WINDOW_BLOCKED]: '⛔ Check-out is blocked for your shift right now. Please try again later.',
     [ERROR_CODES.ATTENDANCE_LOCKED]: 'Attendance is locked. Unlock payroll first.',
     [ERROR_CODES.MISSING_REASON]: 'Reason is required for modifications.',
     [ERROR_CODES.DUPLICATE_HOLIDAY]: 'Holiday already exists for this date.',
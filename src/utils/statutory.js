@@ -0,0 +1,153 @@
+/**
+ * Statutory Deduction Utilities
+ * Provident Fund, ESI and professional tax for Indian payroll, and the monthly
+ * challan files (PF ECR, ESI contributions)
+ */
+
+import { toCSVField } from './csv.js';
+
+/**
+ * Monthly professional tax slabs by state code: the first slab whose `upTo` covers
+ * the month's gross applies (`upTo` null = no upper limit). `february` is the amount
+ * charged in February where the state collects the year's balance then.
+ */
+export const PROFESSIONAL_TAX_SLABS = {
+    MH: {
+        name: 'Maharashtra',
+        slabs: [{ upTo: 7500, amount: 0 }, { upTo: 10000, amount: 175 }, { upTo: null, amount: 200, february: 300 }]
+    },
+    KA: {
+        name: 'Karnataka',
+        slabs: [{ upTo: 24999, amount: 0 }, { upTo: null, amount: 200 }]
+    },
+    WB: {
+        name: 'West Bengal',
+        slabs: [
+            { upTo: 10000, amount: 0 },
+            { upTo: 15000, amount: 110 },
+            { upTo: 25000, amount: 130 },
+            { upTo: 40000, amount: 150 },
+            { upTo: null, amount: 200 }
+        ]
+    },
+    TS: {
+        name: 'Telangana',
+        slabs: [{ upTo: 15000, amount: 0 }, { upTo: 20000, amount: 150 }, { upTo: null, amount: 200 }]
+    },
+    GJ: {
+        name: 'Gujarat',
+        slabs: [{ upTo: 11999, amount: 0 }, { upTo: null, amount: 200 }]
+    }
+};
+
+/**
+ * Find a professional tax state by code or name (case-insensitive)
+ * @param {string} value - State code (e.g. "MH") or name (e.g. "Maharashtra")
+ * @returns {string|null} - State code, or null if there are no slabs for it
+ */
+export const findProfessionalTaxState = (value) => {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+    return Object.keys(PROFESSIONAL_TAX_SLABS).find(code =>
+        code.toLowerCase() === text || PROFESSIONAL_TAX_SLABS[code].name.toLowerCase() === text
+    ) || null;
+};
+
+/**
+ * Provident Fund contributions for a month
+ * Employee and employer each pay `employeeRate`/`employerRate`% of PF wages (basic, capped
+ * at the wage ceiling unless `restrictToCeiling` is off). Of the employer's share,
+ * `employerEpsRate`% of wages up to the ceiling goes to the pension scheme (EPS), the rest to EPF.
+ * @param {number} basic - Basic wages earned in the month
+ * @param {Object} rules - { wageCeiling, employeeRate, employerRate, employerEpsRate, restrictToCeiling }
+ * @returns {Object} - { wages, epsWages, employee, employerEps, employerEpf } (whole rupees)
+ */
+export const calculatePF = (basic, rules) => {
+    const wages = Math.round(rules.restrictToCeiling ? Math.min(basic, rules.wageCeiling) : basic);
+    const epsWages = Math.min(wages, rules.wageCeiling);
+    const employee = Math.round(wages * rules.employeeRate / 100);
+    const employer = Math.round(wages * rules.employerRate / 100);
+    const employerEps = Math.min(employer, Math.round(epsWages * rules.employerEpsRate / 100));
+
+    return { wages, epsWages, employee, employerEps, employerEpf: employer - employerEps };
+};
+
+/**
+ * ESI contributions for a month
+ * Only employees whose monthly gross is within the threshold are covered; contributions
+ * are rounded up to the next rupee.
+ * @param {number} wages - Wages paid in the month (including overtime)
+ * @param {number} monthlyGross - Full-month gross that decides coverage
+ * @param {Object} rules - { threshold, employeeRate, employerRate }
+ * @returns {Object|null} - { wages, employee, employer }, or null when not covered
+ */
+export const calculateESI = (wages, monthlyGross, rules) => {
+    if (monthlyGross > rules.threshold) return null;
+    const paidWages = Math.round(wages);
+    return {
+        wages: paidWages,
+        employee: Math.ceil(paidWages * rules.employeeRate / 100),
+        employer: Math.ceil(paidWages * rules.employerRate / 100)
+    };
+};
+
+/**
+ * Professional tax for a month
+ * @param {number} gross - Gross earned in the month
+ * @param {string} month - YYYY-MM (February may carry a different amount)
+ * @param {Array} slabs - [{ upTo, amount, february }]
+ * @returns {number} - Tax amount
+ */
+export const calculateProfessionalTax = (gross, month, slabs) => {
+    if (!(gross > 0)) return 0;
+    const slab = slabs.find(s => s.upTo === null || s.upTo === undefined || gross <= s.upTo);
+    if (!slab) return 0;
+    const isFebruary = String(month || '').slice(5, 7) === '02';
+    return isFebruary && slab.february !== undefined ? slab.february : slab.amount;
+};
+
+/**
+ * Build a PF Electronic Challan-cum-Return (ECR) text file
+ * One member per line, fields separated by #~#: UAN, name, gross wages, EPF wages,
+ * EPS wages, EDLI wages, EE share, EPS contribution, ER share (EPF), NCP days, refunds.
+ * @param {Array} rows - [{ uan, name, grossWages, pf: { wages, epsWages, employee, employerEps, employerEpf }, ncpDays }]
+ * @returns {string} - ECR content
+ */
+export const buildPFECR = (rows) => {
+    return rows.map(row => [
+        row.uan,
+        String(row.name).toUpperCase(),
+        Math.round(row.grossWages),
+        row.pf.wages,
+        row.pf.epsWages,
+        row.pf.epsWages, // EDLI wages follow the same ceiling
+        row.pf.employee,
+        row.pf.employerEps,
+        row.pf.employerEpf,
+        row.ncpDays,
+        0
+    ].join('#~#')).join('\n');
+};
+
+/**
+ * Build an ESI monthly contribution file (CSV in the ESIC upload column order)
+ * Reason codes: 0 = worked, 1 = on leave (no paid days), 2 = left service.
+ * @param {Array} rows - [{ ipNumber, name, paidDays, wages, reasonCode, lastWorkingDay }]
+ * @returns {string} - CSV content
+ */
+export const buildESIContributionFile = (rows) => {
+    const lines = [
+        'IP Number,IP Name,No of Days for which wages paid/payable during the month,Total Monthly Wages,Reason Code for Zero workings days,Last Working Day'
+    ];
+    rows.forEach(row => {
+        lines.push([
+            row.ipNumber,
+            row.name,
+            row.paidDays,
+            Math.round(row.wages),
+            row.reasonCode,
+            row.lastWorkingDay || ''
+        ].map(toCSVField).join(','));
+    });
+    return lines.join('\n') + '\n';
+};
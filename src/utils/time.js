@@ -216,10 +216,67 @@ export const getCheckoutTimeCategory = (workHours) => {
     }
 };
 
+/**
+ * Default weekly-off rule: every Sunday
+ * A rule is a list of { day, weeks }: `day` is 0 (Sunday) - 6 (Saturday) and `weeks`
+ * optionally limits it to the nth occurrences of that weekday in the month, e.g.
+ * [{ day: 0 }, { day: 6, weeks: [2, 4] }] = Sundays plus 2nd and 4th Saturdays off.
+ */
+export const DEFAULT_WEEKLY_OFF = [{ day: 0 }];
+
+/**
+ * Validate a weekly-off rule
+ * @param {Array} rule - List of { day, weeks } entries
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateWeeklyOffRule = (rule) => {
+    if (!Array.isArray(rule)) return 'Weekly off must be a list of { day, weeks }';
+
+    for (const entry of rule) {
+        if (!entry || !Number.isInteger(entry.day) || entry.day < 0 || entry.day > 6) {
+            return 'Weekly off day must be 0 (Sunday) - 6 (Saturday)';
+        }
+        if (entry.weeks !== undefined && (!Array.isArray(entry.weeks) || entry.weeks.length === 0 ||
+            entry.weeks.some(w => !Number.isInteger(w) || w < 1 || w > 5))) {
+            return 'Weekly off weeks must be a list of 1 - 5';
+        }
+    }
+    return null;
+};
+
+/**
+ * Check if a date is a weekly off under a rule
+ * @param {string|Date} date - YYYY-MM-DD (calendar date) or Date (taken in IST)
+ * @param {Array} rule - Weekly-off rule, defaults to Sundays
+ * @returns {boolean}
+ */
+export const isWeeklyOff = (date, rule = DEFAULT_WEEKLY_OFF) => {
+    const dateString = typeof date === 'string' ? date : formatDateToYYYYMMDD(date);
+    const d = new Date(`${dateString}T00:00:00Z`);
+    const day = d.getUTCDay();
+    const week = Math.ceil(d.getUTCDate() / 7);
+
+    return rule.some(entry => entry.day === day && (!entry.weeks || entry.weeks.includes(week)));
+};
+
+/**
+ * Count weekly offs in a month under a rule
+ * @param {string} month - YYYY-MM
+ * @param {Array} rule - Weekly-off rule, defaults to Sundays
+ * @returns {number}
+ */
+export const countWeeklyOffsInMonth = (month, rule = DEFAULT_WEEKLY_OFF) => {
+    const [year, monthNum] = month.split('-');
+    let count = 0;
+    for (let day = 1; day <= getDaysInMonth(month); day++) {
+        if (isWeeklyOff(`${year}-${monthNum}-${String(day).padStart(2, '0')}`, rule)) count++;
+    }
+    return count;
+};
+
 /**
  * Count Sundays in a month
  */
 export const countSundaysInMonth = (month) => {
-    const dates = getAllDatesInMonth(month);
-    return dates.filter(date => isSunday(date)).length;
+    return countWeeklyOffsInMonth(month, [{ day: 0 }]);
 };
\ No newline at end of file
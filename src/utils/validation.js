@@ -90,7 +90,7 @@ export const isValidLocation = (location) => {
  * @returns {boolean} - True if valid
  */
 export const isValidAttendanceStatus = (status) => {
-    const validStatuses = ['present', 'half_day', 'absent', 'sunday', 'holiday', 'leave'];
+    const validStatuses = ['present', 'half_day', 'absent', 'sunday', 'holiday', 'leave', 'unpaid_leave'];
     return validStatuses.includes(status);
 };
 
@@ -219,3 +219,24 @@ export const validateRequiredFields = (obj, requiredFields) => {
 export const isValidGeofenceRadius = (radius) => {
     return typeof radius === 'number' && radius > 0 && radius <= 10000;
 };
+
+/**
+ * Validate an Indian Financial System Code (IFSC)
+ * 4 letters (bank), a 0, then 6 letters/digits (branch), e.g. HDFC0001234
+ * @param {string} ifsc - IFSC to validate
+ * @returns {boolean} - True if valid
+ */
+export const isValidIFSC = (ifsc) => {
+    if (!ifsc || typeof ifsc !== 'string') return false;
+    return /^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc);
+};
+
+/**
+ * Validate a bank account number (9 to 18 digits)
+ * @param {string} accountNumber - Account number to validate
+ * @returns {boolean} - True if valid
+ */
+export const isValidBankAccountNumber = (accountNumber) => {
+    if (!accountNumber || typeof accountNumber !== 'string') return false;
+    return /^\d{9,18}$/.test(accountNumber);
+};